@@ -4,11 +4,12 @@
  */
 
 /**
- * 计算地震震级
- * @param {number} ax - X轴加速度值
- * @param {number} ay - Y轴加速度值
- * @param {number} az - Z轴加速度值
- * @returns {number} 计算出的震级值 (0-10)
+ * 计算振动等级（旧版"震级"，由瞬时加速度取对数得到，并非真正的震级；
+ * 真正的震级请使用 calculateStationMagnitude / calculateLocalMagnitude）
+ * @param {number} ax - X轴加速度值（g）
+ * @param {number} ay - Y轴加速度值（g）
+ * @param {number} az - Z轴加速度值（g）
+ * @returns {number} 振动等级 (0-10)
  */
 function calculateMagnitude(ax, ay, az) {
   // 计算加速度矢量和
@@ -26,9 +27,9 @@ function calculateMagnitude(ax, ay, az) {
 
 /**
  * 计算地震烈度（基于修订麦加利地震烈度表）
- * @param {number} ax - X轴加速度值
- * @param {number} ay - Y轴加速度值
- * @param {number} az - Z轴加速度值
+ * @param {number} ax - X轴加速度值（g）
+ * @param {number} ay - Y轴加速度值（g）
+ * @param {number} az - Z轴加速度值（g）
  * @param {number} distance - 距离震中的距离（千米），默认为10km
  * @returns {number} 修订麦加利地震烈度 (I-XII)
  */
@@ -56,15 +57,15 @@ function calculateIntensity(ax, ay, az, distance = 10) {
 
 /**
  * 计算地震震度（日本气象厅标准）
- * @param {number} ax - X轴加速度値
- * @param {number} ay - Y轴加速度値
- * @param {number} az - Z軸加速度値
+ * @param {number} ax - X轴加速度値（m/s²）
+ * @param {number} ay - Y轴加速度値（m/s²）
+ * @param {number} az - Z軸加速度値（m/s²）
  * @param {number} correctionFactor - 校正係数，默认为1.0
  * @returns {object} 包含震度和PGA（峰值地面加速度）的对象
  */
 function calculateJmaSeismicIntensity(ax, ay, az, correctionFactor = 1.0) {
   // 計算峰值地面加速度 (PGA) m/s²
-  const PGA = Math.sqrt(Math.pow(ax, 2) + Math.pow(ay, 2) + Math.pow(az, 2)) * 9.8; // 轉換為 m/s²
+  const PGA = Math.sqrt(Math.pow(ax, 2) + Math.pow(ay, 2) + Math.pow(az, 2));
   
   // 適用校正係数
   const correctedPGA = PGA * correctionFactor;
@@ -160,7 +161,7 @@ function assessAlertLevel(magnitude, intensity) {
 }
 
 /**
- * 检测地震事件
+ * 检测地震事件（旧版单点阈值判断，服务器已改用 StaLtaTrigger）
  * @param {number} magnitude - 震级
  * @param {number} threshold - 阈值，默认为3.0
  * @returns {boolean} 是否为地震事件
@@ -169,6 +170,156 @@ function detectEarthquake(magnitude, threshold = 3.0) {
   return magnitude >= threshold;
 }
 
+/**
+ * STA/LTA 触发器（流式，每台设备一个实例）
+ * STA 为按时间滑动的矩形窗平均，LTA 为递归平均（平滑系数按相邻样本的时间间隔计算），
+ * 因此可以处理采样间隔不均匀的数据流。最小持续时间应大于STA窗长，
+ * 这样单个冲击（如碰到桌子）在离开STA窗后比值即回落，不会形成触发
+ */
+class StaLtaTrigger {
+  /**
+   * @param {object} options - 触发参数
+   * @param {number} options.staWindow - 短时窗长度（秒），默认0.5
+   * @param {number} options.ltaWindow - 长时窗长度（秒），默认10
+   * @param {number} options.triggerOn - 触发比值，默认3.0
+   * @param {number} options.triggerOff - 解除比值，默认1.5
+   * @param {number} options.minDuration - 最小触发持续时间（秒），默认1.0
+   * @param {number} options.maxDuration - 最大触发持续时间（秒），超时强制解除，默认60
+   * @throws {Error} 参数无效时
+   */
+  constructor(options = {}) {
+    const option = (key, defaultValue) => options[key] !== undefined ? options[key] : defaultValue;
+    this.staWindow = option('staWindow', 0.5);
+    this.ltaWindow = option('ltaWindow', 10);
+    this.triggerOn = option('triggerOn', 3.0);
+    this.triggerOff = option('triggerOff', 1.5);
+    this.minDuration = option('minDuration', 1.0);
+    this.maxDuration = option('maxDuration', 60);
+    
+    ['staWindow', 'ltaWindow', 'triggerOn', 'triggerOff', 'maxDuration'].forEach(key => {
+      if (!(this[key] > 0) || !isFinite(this[key])) {
+        throw new Error(`${key} 必须是正数: ${this[key]}`);
+      }
+    });
+    if (!(this.minDuration >= 0) || !isFinite(this.minDuration)) {
+      throw new Error(`minDuration 必须是非负数: ${this.minDuration}`);
+    }
+    if (this.staWindow >= this.ltaWindow) {
+      throw new Error('短时窗必须短于长时窗');
+    }
+    if (this.triggerOff > this.triggerOn) {
+      throw new Error('解除比值不能大于触发比值');
+    }
+    
+    this.reset();
+  }
+  
+  /**
+   * 重置触发器状态
+   */
+  reset() {
+    this.startTime = null;
+    this.lastTime = null;
+    this.mean = 0;
+    this.staWindowSamples = [];
+    this.staSum = 0;
+    this.sta = 0;
+    this.lta = 0;
+    this.ratio = 0;
+    this.triggered = false;
+    this.pendingSince = null; // 比值超过触发值但尚未满足最小持续时间
+    this.onTime = null;
+    this.peakRatio = 0;
+  }
+  
+  /**
+   * 输入一个样本
+   * @param {number} value - 样本值（如加速度矢量和）
+   * @param {number} time - 样本时间（毫秒时间戳）
+   * @returns {object} 当前比值、触发状态，以及本次产生的触发事件（无则为null）
+   */
+  process(value, time) {
+    if (this.startTime === null) {
+      this.startTime = time;
+      this.lastTime = time;
+      this.mean = value;
+      return { ratio: 0, triggered: false, event: null };
+    }
+    
+    const dt = Math.max((time - this.lastTime) / 1000, 0.001);
+    this.lastTime = time;
+    
+    const alphaLta = 1 - Math.exp(-dt / this.ltaWindow);
+    
+    // 特征函数：去均值后的平方
+    const deviation = value - this.mean;
+    const cf = deviation * deviation;
+    
+    this.staWindowSamples.push({ time, cf });
+    this.staSum += cf;
+    while (time - this.staWindowSamples[0].time > this.staWindow * 1000) {
+      this.staSum -= this.staWindowSamples.shift().cf;
+    }
+    this.sta = Math.max(0, this.staSum / this.staWindowSamples.length);
+    
+    // 触发期间冻结均值和LTA，避免事件本身抬高背景噪声
+    const frozen = this.triggered || this.pendingSince !== null;
+    if (!frozen) {
+      this.mean += alphaLta * deviation;
+      this.lta += alphaLta * (cf - this.lta);
+    }
+    
+    this.ratio = this.lta > 0 ? this.sta / this.lta : 0;
+    
+    // LTA窗口未填满之前不触发
+    const ready = time - this.startTime >= this.ltaWindow * 1000;
+    let event = null;
+    
+    if (!this.triggered) {
+      if (this.pendingSince === null) {
+        if (ready && this.ratio >= this.triggerOn) {
+          this.pendingSince = time;
+          this.peakRatio = this.ratio;
+        }
+      } else {
+        this.peakRatio = Math.max(this.peakRatio, this.ratio);
+        if (this.ratio < this.triggerOff) {
+          // 持续时间不足，视为瞬时干扰
+          this.pendingSince = null;
+          this.peakRatio = 0;
+        } else if (time - this.pendingSince >= this.minDuration * 1000) {
+          this.triggered = true;
+          this.onTime = this.pendingSince;
+          this.pendingSince = null;
+          event = {
+            type: 'trigger_on',
+            on_time: this.onTime,
+            peak_ratio: this.peakRatio
+          };
+        }
+      }
+    } else {
+      this.peakRatio = Math.max(this.peakRatio, this.ratio);
+      const timedOut = time - this.onTime >= this.maxDuration * 1000;
+      if (this.ratio < this.triggerOff || timedOut) {
+        event = {
+          type: 'trigger_off',
+          on_time: this.onTime,
+          off_time: time,
+          duration: (time - this.onTime) / 1000,
+          peak_ratio: this.peakRatio,
+          timed_out: timedOut
+        };
+        this.triggered = false;
+        this.onTime = null;
+        this.peakRatio = 0;
+      }
+    }
+    
+    return { ratio: this.ratio, triggered: this.triggered, event };
+  }
+}
+
 /**
  * 计算地震能量
  * @param {number} magnitude - 震级
@@ -202,6 +353,1496 @@ function calculateImpactRadius(magnitude) {
   return radius;
 }
 
+/**
+ * 设计二阶 Butterworth 滤波器系数（RBJ 双二阶形式）
+ * @param {string} type - 'lowpass' 或 'highpass'
+ * @param {number} cutoff - 截止频率（Hz）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object} 归一化后的系数 { b0, b1, b2, a1, a2 }
+ */
+function designBiquad(type, cutoff, sampleRate) {
+  const w0 = 2 * Math.PI * cutoff / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2); // Q = 1/√2
+  const a0 = 1 + alpha;
+  
+  let b0, b1, b2;
+  if (type === 'lowpass') {
+    b0 = (1 - cosW0) / 2;
+    b1 = 1 - cosW0;
+    b2 = (1 - cosW0) / 2;
+  } else if (type === 'highpass') {
+    b0 = (1 + cosW0) / 2;
+    b1 = -(1 + cosW0);
+    b2 = (1 + cosW0) / 2;
+  } else {
+    throw new Error(`不支持的滤波器类型: ${type}`);
+  }
+  
+  return {
+    b0: b0 / a0,
+    b1: b1 / a0,
+    b2: b2 / a0,
+    a1: (-2 * cosW0) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/**
+ * 双二阶滤波器（直接II型转置结构），逐样本处理
+ */
+class BiquadFilter {
+  /**
+   * @param {object} coefficients - designBiquad 返回的系数
+   */
+  constructor(coefficients) {
+    this.coefficients = coefficients;
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+  
+  /**
+   * 滤波一个样本
+   * @param {number} x - 输入样本
+   * @returns {number} 输出样本
+   */
+  process(x) {
+    const { b0, b1, b2, a1, a2 } = this.coefficients;
+    const y = b0 * x + this.z1;
+    this.z1 = b1 * x - a1 * y + this.z2;
+    this.z2 = b2 * x - a2 * y;
+    return y;
+  }
+}
+
+/**
+ * 去除线性趋势（最小二乘拟合直线后相减）
+ * @param {number[]} values - 样本序列
+ * @returns {number[]} 去趋势后的序列
+ */
+function detrend(values) {
+  const n = values.length;
+  if (n < 2) return values.map(() => 0);
+  
+  // 以样本序号为横坐标拟合 y = a + b*x
+  const meanX = (n - 1) / 2;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) meanY += values[i];
+  meanY /= n;
+  
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (i - meanX) * (values[i] - meanY);
+    sxx += (i - meanX) * (i - meanX);
+  }
+  const slope = sxy / sxx;
+  
+  return values.map((v, i) => v - meanY - slope * (i - meanX));
+}
+
+/**
+ * 流式去趋势（每个实例处理一组轴）：对最近一段时间的样本做最小二乘直线拟合 y = a + b·t，
+ * 输出扣除拟合直线在当前时刻的值后的样本。累加和随样本进出增量更新
+ */
+class StreamingDetrend {
+  /**
+   * @param {number} window - 拟合窗长（秒）
+   * @param {string[]} axes - 处理的轴
+   */
+  constructor(window, axes) {
+    this.window = window;
+    this.axes = axes;
+    this.samples = [];
+    this.origin = null;
+  }
+  
+  // 以 origin 为时间原点（秒）重新计算全部累加和
+  rebase(origin) {
+    this.origin = origin;
+    this.sums = { n: 0, t: 0, tt: 0, y: {}, ty: {} };
+    this.axes.forEach(axis => {
+      this.sums.y[axis] = 0;
+      this.sums.ty[axis] = 0;
+    });
+    this.samples.forEach(sample => this.accumulate(sample, 1));
+  }
+  
+  // 把一个样本加入（sign 为1）或移出（sign 为-1）累加和
+  accumulate(sample, sign) {
+    const t = (sample.time - this.origin) / 1000;
+    const sums = this.sums;
+    sums.n += sign;
+    sums.t += sign * t;
+    sums.tt += sign * t * t;
+    this.axes.forEach(axis => {
+      sums.y[axis] += sign * sample[axis];
+      sums.ty[axis] += sign * t * sample[axis];
+    });
+  }
+  
+  /**
+   * 输入一个样本
+   * @param {object} values - 各轴的值
+   * @param {number} time - 样本时间（毫秒时间戳）
+   * @returns {object} 去趋势后的各轴的值
+   */
+  process(values, time) {
+    const sample = { time };
+    this.axes.forEach(axis => { sample[axis] = values[axis]; });
+    this.samples.push(sample);
+    if (this.origin === null) {
+      this.rebase(time);
+    } else {
+      this.accumulate(sample, 1);
+    }
+    while (time - this.samples[0].time > this.window * 1000) {
+      this.accumulate(this.samples.shift(), -1);
+    }
+    
+    // 时间原点落后超过一个窗长时移到窗口起点，避免累加和随时间增大损失精度
+    if (this.samples[0].time - this.origin > this.window * 1000) {
+      this.rebase(this.samples[0].time);
+    }
+    
+    const { n, t, tt, y, ty } = this.sums;
+    const now = (time - this.origin) / 1000;
+    const denominator = n * tt - t * t;
+    const result = {};
+    this.axes.forEach(axis => {
+      // 样本不足或时间都相同时只扣除均值
+      if (n < 2 || denominator <= 1e-12 * n * tt) {
+        result[axis] = values[axis] - y[axis] / n;
+        return;
+      }
+      const slope = (n * ty[axis] - t * y[axis]) / denominator;
+      const intercept = (y[axis] - slope * t) / n;
+      result[axis] = values[axis] - (intercept + slope * now);
+    });
+    return result;
+  }
+}
+
+/**
+ * 加速度预处理器（流式，每台设备一个实例）
+ * 处理流程：基线（重力+零偏）扣除 → 去趋势 → 高通/带通滤波。
+ * 基线采用长时间常数的指数平均跟踪，跟踪缓慢漂移时会留下与漂移速率成正比的残余，由去趋势扣除。
+ * 滤波器按设备声明的采样率设计，未声明时由时间戳估计；采样率变化时只更新系数，保留滤波器状态
+ */
+class SignalPreprocessor {
+  /**
+   * @param {object} options - 预处理参数
+   * @param {string} options.filter - 滤波方式：'highpass'、'bandpass' 或 'none'，默认 'highpass'
+   * @param {number} options.lowCut - 高通截止频率（Hz），默认0.1
+   * @param {number} options.highCut - 低通截止频率（Hz，仅带通使用），默认10
+   * @param {number} options.baselineWindow - 基线跟踪时间常数（秒），默认5
+   * @param {number} options.detrendWindow - 去趋势的拟合窗长（秒），0 表示不去趋势，默认10
+   * @param {number} options.sampleRate - 初始采样率（Hz），未声明采样率时之后根据时间戳估计，默认100
+   */
+  constructor(options = {}) {
+    const option = (key, defaultValue) => options[key] !== undefined ? options[key] : defaultValue;
+    this.filter = option('filter', 'highpass');
+    this.lowCut = option('lowCut', 0.1);
+    this.highCut = option('highCut', 10);
+    this.baselineWindow = option('baselineWindow', 5);
+    this.detrendWindow = option('detrendWindow', 10);
+    this.sampleRate = option('sampleRate', 100);
+    
+    if (!['highpass', 'bandpass', 'none'].includes(this.filter)) {
+      throw new Error(`不支持的滤波方式: ${this.filter}`);
+    }
+    
+    this.declaredRate = null;
+    this.designedRate = null;
+    this.reset();
+  }
+  
+  /**
+   * 重置基线、去趋势和滤波器状态（如校正量改变后），保留采样率
+   */
+  reset() {
+    this.lastTime = null;
+    this.baseline = null;
+    this.detrender = this.detrendWindow > 0 ? new StreamingDetrend(this.detrendWindow, ['ax', 'ay', 'az']) : null;
+    this.filters = null;
+  }
+  
+  /**
+   * 设置设备声明的采样率，之后不再由时间戳估计
+   * @param {number|null} sampleRate - 采样率（Hz），为null时恢复由时间戳估计
+   */
+  setSampleRate(sampleRate) {
+    this.declaredRate = sampleRate;
+    if (sampleRate !== null) {
+      this.sampleRate = sampleRate;
+    }
+  }
+  
+  /**
+   * 按当前采样率设计滤波器；已有滤波器时只更新系数、保留状态，避免产生阶跃瞬变
+   */
+  designFilters() {
+    const nyquist = this.sampleRate / 2;
+    const stages = [];
+    
+    if (this.filter !== 'none') {
+      stages.push(designBiquad('highpass', Math.min(this.lowCut, nyquist * 0.9), this.sampleRate));
+    }
+    if (this.filter === 'bandpass' && this.highCut < nyquist * 0.9) {
+      stages.push(designBiquad('lowpass', this.highCut, this.sampleRate));
+    }
+    
+    // 每个轴独立的滤波器状态
+    const previous = this.filters;
+    this.filters = ['ax', 'ay', 'az'].reduce((axes, axis) => {
+      axes[axis] = stages.map((coefficients, i) => {
+        const filter = previous && previous[axis][i];
+        if (!filter) return new BiquadFilter(coefficients);
+        filter.coefficients = coefficients;
+        return filter;
+      });
+      return axes;
+    }, {});
+    this.designedRate = this.sampleRate;
+  }
+  
+  /**
+   * 处理一个三轴加速度样本
+   * @param {object} sample - 原始样本 { ax, ay, az }
+   * @param {number} time - 样本时间（毫秒时间戳）
+   * @returns {object} 校正后的样本 { ax, ay, az }
+   */
+  process(sample, time) {
+    if (this.declaredRate === null && this.lastTime !== null && time > this.lastTime) {
+      // 未声明采样率时用采样间隔的指数平均估计（对间隔平均，时间抖动不会使估计偏高）
+      const interval = 1000 / this.sampleRate;
+      this.sampleRate = 1000 / (interval + 0.01 * (time - this.lastTime - interval));
+    }
+    const dt = this.lastTime !== null ? Math.max((time - this.lastTime) / 1000, 0.001) : 0;
+    this.lastTime = time;
+    
+    // 声明的采样率改变时立即更新，估计的采样率变化超过10%时才更新
+    const tolerance = this.declaredRate !== null ? 0 : this.designedRate * 0.1;
+    if (!this.filters || Math.abs(this.sampleRate - this.designedRate) > tolerance) {
+      this.designFilters();
+    }
+    
+    if (this.baseline === null) {
+      this.baseline = { ax: sample.ax, ay: sample.ay, az: sample.az };
+    }
+    
+    const alpha = 1 - Math.exp(-dt / this.baselineWindow);
+    const residual = {};
+    for (const axis of ['ax', 'ay', 'az']) {
+      this.baseline[axis] += alpha * (sample[axis] - this.baseline[axis]);
+      residual[axis] = sample[axis] - this.baseline[axis];
+    }
+    
+    const detrended = this.detrender ? this.detrender.process(residual, time) : residual;
+    const corrected = {};
+    for (const axis of ['ax', 'ay', 'az']) {
+      let value = detrended[axis];
+      for (const stage of this.filters[axis]) {
+        value = stage.process(value);
+      }
+      corrected[axis] = value;
+    }
+    
+    return corrected;
+  }
+}
+
+// 标准重力加速度 (m/s²)
+const GRAVITY = 9.80665;
+
+/**
+ * 快速傅里叶变换（基2，原地计算）
+ * @param {number[]} re - 实部，长度必须为2的幂
+ * @param {number[]} im - 虚部，长度与实部相同
+ * @param {boolean} inverse - 是否为逆变换（逆变换结果已除以N）
+ */
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new Error('FFT长度必须为2的幂');
+  }
+  
+  // 位反转重排
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  
+  // 蝶形运算
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+  
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * 不小于n的最小2的幂
+ * @param {number} n - 长度
+ * @returns {number} 2的幂
+ */
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * 日本气象厅计测震度的综合滤波器增益（周期效果 × 高截止 × 低截止）
+ * @param {number} f - 频率（Hz）
+ * @returns {number} 滤波器增益
+ */
+function jmaFilterGain(f) {
+  if (f <= 0) return 0;
+  const x = f / 10;
+  const x2 = x * x;
+  const periodEffect = Math.sqrt(1 / f);
+  const highCut = 1 / Math.sqrt(
+    1 + 0.694 * x2 + 0.241 * Math.pow(x2, 2) + 0.0557 * Math.pow(x2, 3) +
+    0.009664 * Math.pow(x2, 4) + 0.00134 * Math.pow(x2, 5) + 0.000155 * Math.pow(x2, 6)
+  );
+  const lowCut = Math.sqrt(1 - Math.exp(-Math.pow(f / 0.5, 3)));
+  return periodEffect * highCut * lowCut;
+}
+
+/**
+ * 将计测震度换算为震度阶级（日本气象厅，0-7，5和6分弱/强）
+ * @param {number} intensity - 计测震度
+ * @returns {string} 震度阶级：'0'、'1'…'4'、'5-'、'5+'、'6-'、'6+'、'7'
+ */
+function jmaIntensityClass(intensity) {
+  if (intensity < 0.5) return '0';
+  if (intensity < 1.5) return '1';
+  if (intensity < 2.5) return '2';
+  if (intensity < 3.5) return '3';
+  if (intensity < 4.5) return '4';
+  if (intensity < 5.0) return '5-';
+  if (intensity < 5.5) return '5+';
+  if (intensity < 6.0) return '6-';
+  if (intensity < 6.5) return '6+';
+  return '7';
+}
+
+/**
+ * 计算日本气象厅计测震度（基于三分量加速度波形窗口）
+ * 各分量在频域施加周期效果、高截止和低截止滤波后求矢量和，
+ * 取累计超过0.3秒的加速度值 a（gal），I = 2·log10(a) + 0.94
+ * @param {object[]} samples - 样本数组，每个元素为 { ax, ay, az }，单位 m/s²（已扣除重力）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object|null} 计测震度、震度阶级和对应加速度；样本不足0.3秒时返回null
+ */
+function calculateJmaInstrumentalIntensity(samples, sampleRate) {
+  const count = samples.length;
+  const exceedSamples = Math.ceil(0.3 * sampleRate);
+  if (!sampleRate || count < exceedSamples) {
+    return null;
+  }
+  
+  // 补零至2倍长度以上，避免循环卷积的首尾混叠
+  const size = nextPowerOfTwo(count * 2);
+  const filtered = [];
+  
+  for (const axis of ['ax', 'ay', 'az']) {
+    const values = detrend(samples.map(sample => sample[axis] * 100)); // m/s² → gal
+    const re = new Array(size).fill(0);
+    const im = new Array(size).fill(0);
+    for (let i = 0; i < count; i++) re[i] = values[i];
+    
+    fft(re, im);
+    for (let k = 0; k < size; k++) {
+      // 负频率与对应正频率使用相同增益
+      const f = Math.min(k, size - k) * sampleRate / size;
+      const gain = jmaFilterGain(f);
+      re[k] *= gain;
+      im[k] *= gain;
+    }
+    fft(re, im, true);
+    
+    filtered.push(re.slice(0, count));
+  }
+  
+  // 矢量和，按降序排列后取累计0.3秒对应的值
+  const vectorSum = new Array(count);
+  for (let i = 0; i < count; i++) {
+    vectorSum[i] = Math.sqrt(
+      filtered[0][i] * filtered[0][i] +
+      filtered[1][i] * filtered[1][i] +
+      filtered[2][i] * filtered[2][i]
+    );
+  }
+  vectorSum.sort((a, b) => b - a);
+  const acceleration = vectorSum[exceedSamples - 1];
+  
+  // 低于0按0处理；按气象厅规定：小数第3位四舍五入后，舍去小数第2位
+  const instrumental = acceleration > 0 ? Math.max(0, 2 * Math.log10(acceleration) + 0.94) : 0;
+  const intensity = Math.floor(Math.round(instrumental * 100) / 10) / 10;
+  
+  return {
+    intensity,
+    instrumental_intensity: instrumental,
+    scale: jmaIntensityClass(intensity),
+    acceleration
+  };
+}
+
+/**
+ * 零相位滤波（正向、反向各滤一次），用于窗口数据
+ * @param {number[]} values - 样本序列
+ * @param {object[]} stages - designBiquad 返回的系数数组，依次串联
+ * @returns {number[]} 滤波后的序列
+ */
+function filtfilt(values, stages) {
+  let output = values.slice();
+  for (const pass of [0, 1]) {
+    for (const coefficients of stages) {
+      const filter = new BiquadFilter(coefficients);
+      output = output.map(v => filter.process(v));
+    }
+    output.reverse(); // 第二次反向后恢复原顺序
+  }
+  return output;
+}
+
+/**
+ * 余弦渐变窗（Tukey窗），减小窗口首尾截断引起的滤波瞬态
+ * @param {number[]} values - 样本序列
+ * @param {number} fraction - 首尾各自渐变的比例，默认0.05
+ * @returns {number[]} 加窗后的序列
+ */
+function taper(values, fraction = 0.05) {
+  const n = values.length;
+  const width = Math.floor(n * fraction);
+  return values.map((v, i) => {
+    const edge = Math.min(i, n - 1 - i);
+    if (edge >= width) return v;
+    return v * 0.5 * (1 - Math.cos(Math.PI * edge / width));
+  });
+}
+
+/**
+ * 梯形积分
+ * @param {number[]} values - 样本序列
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {number[]} 积分序列（初值为0）
+ */
+function integrate(values, sampleRate) {
+  const dt = 1 / sampleRate;
+  const result = new Array(values.length);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (i > 0) sum += (values[i - 1] + values[i]) * dt / 2;
+    result[i] = sum;
+  }
+  return result;
+}
+
+/**
+ * 计算窗口内的峰值地面加速度、速度和位移（三分量矢量和）
+ * 按 GB/T 17742-2020 的要求，加速度先做 0.1～10Hz 带通滤波，
+ * 积分得到的速度、再次积分得到的位移都做一次高通滤波以抑制积分漂移
+ * @param {object[]} samples - 样本数组，每个元素为 { ax, ay, az }，单位 m/s²（已扣除重力）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object|null} { pga (m/s²), pgv (m/s), pgd (m) }；样本不足时返回null
+ */
+function calculatePeakGroundMotion(samples, sampleRate) {
+  if (!sampleRate || samples.length < 4) {
+    return null;
+  }
+  
+  const nyquist = sampleRate / 2;
+  const highPass = designBiquad('highpass', 0.1, sampleRate);
+  const bandPass = [highPass];
+  if (10 < nyquist * 0.9) {
+    bandPass.push(designBiquad('lowpass', 10, sampleRate));
+  }
+  
+  const acceleration = [];
+  const velocity = [];
+  const displacement = [];
+  for (const axis of ['ax', 'ay', 'az']) {
+    const filtered = filtfilt(taper(detrend(samples.map(sample => sample[axis]))), bandPass);
+    const axisVelocity = filtfilt(taper(detrend(integrate(filtered, sampleRate))), [highPass]);
+    acceleration.push(filtered);
+    velocity.push(axisVelocity);
+    displacement.push(filtfilt(taper(detrend(integrate(axisVelocity, sampleRate))), [highPass]));
+  }
+  
+  let pga = 0;
+  let pgv = 0;
+  let pgd = 0;
+  for (let i = 0; i < samples.length; i++) {
+    pga = Math.max(pga, Math.hypot(acceleration[0][i], acceleration[1][i], acceleration[2][i]));
+    pgv = Math.max(pgv, Math.hypot(velocity[0][i], velocity[1][i], velocity[2][i]));
+    pgd = Math.max(pgd, Math.hypot(displacement[0][i], displacement[1][i], displacement[2][i]));
+  }
+  
+  return { pga, pgv, pgd };
+}
+
+/**
+ * 计算累积绝对速度 CAV 和 Arias 强度（三分量矢量和）
+ * CAV = ∫|a(t)|dt，Ia = π/(2g)·∫a(t)²dt，积分区间为整个事件窗口
+ * @param {object[]} samples - 样本数组，每个元素为 { ax, ay, az }，单位 m/s²（已扣除重力）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object|null} { cav (m/s), arias (m/s) }；样本不足时返回null
+ */
+function calculateCumulativeMotion(samples, sampleRate) {
+  if (!sampleRate || samples.length < 2) {
+    return null;
+  }
+  
+  const components = ['ax', 'ay', 'az'].map(axis => detrend(samples.map(sample => sample[axis])));
+  const dt = 1 / sampleRate;
+  let cav = 0;
+  let squared = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = components[0][i] ** 2 + components[1][i] ** 2 + components[2][i] ** 2;
+    cav += Math.sqrt(value) * dt;
+    squared += value * dt;
+  }
+  
+  return { cav, arias: Math.PI / (2 * GRAVITY) * squared };
+}
+
+/**
+ * 计算事件窗口的地震动参数（破坏潜势指标）
+ * @param {object[]} samples - 样本数组，每个元素为 { ax, ay, az }，单位 m/s²
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object|null} { pga, pgv, pgd, cav, arias }；样本不足时返回null
+ */
+function calculateGroundMotionMetrics(samples, sampleRate) {
+  const peaks = calculatePeakGroundMotion(samples, sampleRate);
+  const cumulative = calculateCumulativeMotion(samples, sampleRate);
+  if (!peaks || !cumulative) {
+    return null;
+  }
+  return { ...peaks, ...cumulative };
+}
+
+// 中国地震烈度罗马数字表示
+const CHINA_INTENSITY_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+/**
+ * 计算中国地震仪器烈度（GB/T 17742-2020《中国地震烈度表》附录A）
+ * I_A = 3.17·log10(PGA) + 6.59，I_V = 3.00·log10(PGV) + 9.77，
+ * 当 I_A 与 I_V 均不小于6.0时取 I_V，否则取两者平均
+ * @param {number} pga - 峰值地面加速度（m/s²，三分量矢量合成）
+ * @param {number} pgv - 峰值地面速度（m/s，三分量矢量合成）
+ * @returns {object} 仪器烈度值（1.0～12.0，保留一位小数）和烈度等级（I～XII）
+ */
+function calculateChinaSeismicIntensity(pga, pgv) {
+  const intensityA = pga > 0 ? 3.17 * Math.log10(pga) + 6.59 : 1.0;
+  const intensityV = pgv > 0 ? 3.00 * Math.log10(pgv) + 9.77 : 1.0;
+  
+  let value = (intensityA >= 6.0 && intensityV >= 6.0) ?
+    intensityV :
+    (intensityA + intensityV) / 2;
+  value = Math.max(1.0, Math.min(12.0, value));
+  value = Math.round(value * 10) / 10;
+  
+  // 四舍五入取整得到烈度等级，如 [5.5, 6.5) 为 VI 度
+  const level = Math.max(1, Math.min(12, Math.round(value)));
+  
+  return {
+    intensity: value,
+    level,
+    numeral: CHINA_INTENSITY_NUMERALS[level - 1],
+    intensity_pga: intensityA,
+    intensity_pgv: intensityV
+  };
+}
+
+/**
+ * AIC 到时拾取（Maeda 1985，直接由波形计算）
+ * AIC(k) = k·log(var(x[0..k])) + (N-k-1)·log(var(x[k+1..N-1]))，最小值处即为震相到时
+ * @param {number[]} values - 单分量波形
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object|null} 到时样本序号、质量（0～1）和不确定度（秒）；数据不足时返回null
+ */
+function aicPick(values, sampleRate) {
+  const n = values.length;
+  if (n < 10 || !sampleRate) {
+    return null;
+  }
+  
+  // 前缀和，便于O(1)计算任意前后段方差
+  const sum = new Array(n + 1).fill(0);
+  const sumSq = new Array(n + 1).fill(0);
+  for (let i = 0; i < n; i++) {
+    sum[i + 1] = sum[i] + values[i];
+    sumSq[i + 1] = sumSq[i] + values[i] * values[i];
+  }
+  const variance = (start, end) => {
+    const count = end - start;
+    const mean = (sum[end] - sum[start]) / count;
+    return Math.max((sumSq[end] - sumSq[start]) / count - mean * mean, 1e-20);
+  };
+  
+  const aic = new Array(n).fill(Infinity);
+  let best = -1;
+  for (let k = 2; k < n - 2; k++) {
+    aic[k] = k * Math.log(variance(0, k + 1)) + (n - k - 1) * Math.log(variance(k + 1, n));
+    if (best < 0 || aic[k] < aic[best]) best = k;
+  }
+  
+  // Akaike 权重：w_k ∝ exp(-(AIC_k - AIC_min)/2)，
+  // 不确定度取权重的标准差，质量取到时±0.05秒内的权重占比
+  let total = 0;
+  let mean = 0;
+  const weights = aic.map(value => {
+    const w = Number.isFinite(value) ? Math.exp(-(value - aic[best]) / 2) : 0;
+    total += w;
+    return w;
+  });
+  weights.forEach((w, k) => { mean += w * k; });
+  mean /= total;
+  
+  let spread = 0;
+  let near = 0;
+  const halfWidth = 0.05 * sampleRate;
+  weights.forEach((w, k) => {
+    spread += w * (k - mean) * (k - mean);
+    if (Math.abs(k - best) <= halfWidth) near += w;
+  });
+  
+  return {
+    index: best + 1, // 后段第一个样本即为到时
+    quality: near / total,
+    uncertainty: Math.sqrt(spread / total) / sampleRate
+  };
+}
+
+/**
+ * 根据S-P到时差估算震源距离（单台法）
+ * d = ΔT·Vp·Vs / (Vp - Vs)
+ * @param {number} spTime - S波与P波到时差（秒）
+ * @param {number} vp - P波速度（km/s），默认6.0
+ * @param {number} vs - S波速度（km/s），默认3.5
+ * @returns {number} 震源距离（千米）
+ */
+function estimateDistanceFromSP(spTime, vp = 6.0, vs = 3.5) {
+  return spTime * vp * vs / (vp - vs);
+}
+
+// 地球平均半径（千米）
+const EARTH_RADIUS_KM = 6371.0;
+
+/**
+ * 计算两点间的大圆距离（Haversine 公式）
+ * @param {number} lat1 - 点1纬度（度）
+ * @param {number} lon1 - 点1经度（度）
+ * @param {number} lat2 - 点2纬度（度）
+ * @param {number} lon2 - 点2经度（度）
+ * @returns {number} 距离（千米）
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * 网格搜索定位震中和发震时刻（均匀半空间速度模型，固定震源深度）
+ * 每个网格点的发震时刻取各台（到时 - 走时）的平均值，以到时残差平方和最小的点为震中；
+ * 先粗网格搜索，再在最优点附近细化。不确定度取 Δχ² ≤ 2.3（约68%置信）区域内
+ * 网格点到最优点的最大距离
+ * @param {object[]} arrivals - 各台到时 [{ lat, lon, time, timeError }]，time 为毫秒时间戳，
+ *   timeError 为可选的该台时间基准误差（秒，如时钟同步的不确定度），与到时误差下限合成误差下限
+ * @param {object} options - 定位参数
+ * @param {number} options.velocity - 波速（km/s），默认6.0（P波）
+ * @param {number} options.depth - 固定震源深度（km），默认10
+ * @param {number} options.gridRadius - 搜索半径（km，以台站中心为圆心），默认100
+ * @param {number} options.gridStep - 粗网格间距（km），默认2
+ * @param {number} options.pickError - 到时误差下限（秒），默认0.05
+ * @returns {object|null} 定位结果（含各台震中距和到时残差，顺序与输入一致）；少于3个台站时返回null
+ */
+function locateEpicenter(arrivals, options = {}) {
+  const velocity = options.velocity || 6.0;
+  const depth = options.depth !== undefined ? options.depth : 10;
+  const gridRadius = options.gridRadius || 100;
+  const gridStep = options.gridStep || 2;
+  const pickError = options.pickError || 0.05;
+  
+  if (!arrivals || arrivals.length < 3) {
+    return null;
+  }
+  
+  // 以台站中心为原点的局部平面坐标（km）
+  const centerLat = arrivals.reduce((sum, a) => sum + a.lat, 0) / arrivals.length;
+  const centerLon = arrivals.reduce((sum, a) => sum + a.lon, 0) / arrivals.length;
+  const kmPerDegLat = Math.PI * EARTH_RADIUS_KM / 180;
+  const kmPerDegLon = kmPerDegLat * Math.cos(centerLat * Math.PI / 180);
+  const toLatLon = (x, y) => ({ lat: centerLat + y / kmPerDegLat, lon: centerLon + x / kmPerDegLon });
+  
+  // 到时相对于最早到时（秒），避免大数相减损失精度
+  const reference = Math.min(...arrivals.map(a => a.time));
+  const observed = arrivals.map(a => (a.time - reference) / 1000);
+  
+  const evaluate = (x, y) => {
+    const point = toLatLon(x, y);
+    const travelTimes = arrivals.map(a => {
+      const distance = haversineDistance(point.lat, point.lon, a.lat, a.lon);
+      return Math.sqrt(distance * distance + depth * depth) / velocity;
+    });
+    const origin = observed.reduce((sum, t, i) => sum + t - travelTimes[i], 0) / observed.length;
+    const misfit = observed.reduce((sum, t, i) => {
+      const residual = t - origin - travelTimes[i];
+      return sum + residual * residual;
+    }, 0);
+    return { x, y, origin, misfit };
+  };
+  
+  const search = (centerX, centerY, radius, step) => {
+    const points = [];
+    for (let x = centerX - radius; x <= centerX + radius + 1e-9; x += step) {
+      for (let y = centerY - radius; y <= centerY + radius + 1e-9; y += step) {
+        points.push(evaluate(x, y));
+      }
+    }
+    return points;
+  };
+  
+  const coarse = search(0, 0, gridRadius, gridStep);
+  const coarseBest = coarse.reduce((best, p) => (p.misfit < best.misfit ? p : best));
+  const fineStep = gridStep / 10;
+  const fine = search(coarseBest.x, coarseBest.y, gridStep * 2, fineStep);
+  const best = fine.reduce((b, p) => (p.misfit < b.misfit ? p : b));
+  
+  // 误差：残差RMS与误差下限取大者，下限由到时误差下限和各台时间基准误差的均方根合成；自由度 = 台站数 - 3（x, y, t0）
+  const count = arrivals.length;
+  const rms = Math.sqrt(best.misfit / count);
+  const timeError = Math.sqrt(arrivals.reduce((sum, a) => sum + (a.timeError || 0) ** 2, 0) / count);
+  const sigma = Math.max(rms, Math.hypot(pickError, timeError));
+  const threshold = best.misfit / (sigma * sigma) + 2.3;
+  let horizontalUncertainty = fineStep;
+  for (const p of coarse.concat(fine)) {
+    if (p.misfit / (sigma * sigma) <= threshold) {
+      horizontalUncertainty = Math.max(horizontalUncertainty, Math.hypot(p.x - best.x, p.y - best.y));
+    }
+  }
+  
+  const epicenter = toLatLon(best.x, best.y);
+  const stations = arrivals.map((a, i) => {
+    const distance = haversineDistance(epicenter.lat, epicenter.lon, a.lat, a.lon);
+    const travelTime = Math.sqrt(distance * distance + depth * depth) / velocity;
+    return { distance, residual: observed[i] - best.origin - travelTime };
+  });
+  
+  return {
+    latitude: epicenter.lat,
+    longitude: epicenter.lon,
+    depth,
+    origin_time: reference + best.origin * 1000,
+    rms,
+    horizontal_uncertainty: horizontalUncertainty,
+    origin_time_uncertainty: sigma / Math.sqrt(count),
+    station_count: count,
+    stations,
+    at_grid_edge: Math.max(Math.abs(best.x), Math.abs(best.y)) >= gridRadius - gridStep
+  };
+}
+
+/**
+ * 由加速度记录仿真伍德-安德森（Wood-Anderson）地震仪记录
+ * 伍德-安德森仪器对地面加速度的传递函数为 G / (ω0² - ω² + 2i·h·ω0·ω)，
+ * 即单自由度振子的相对位移响应乘以放大倍数，在频域计算
+ * @param {number[]} values - 单分量加速度（m/s²，已扣除重力）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @param {object} options - 仪器参数
+ * @param {number} options.period - 自振周期（秒），默认0.8
+ * @param {number} options.damping - 阻尼比，默认0.7
+ * @param {number} options.gain - 放大倍数，默认1（IASPEI 标准震级公式使用单位放大倍数）
+ * @returns {number[]} 仿真记录（m）
+ */
+function simulateWoodAnderson(values, sampleRate, options = {}) {
+  const period = options.period || 0.8;
+  const damping = options.damping || 0.7;
+  const gain = options.gain || 1;
+  const count = values.length;
+  
+  const size = nextPowerOfTwo(count * 2);
+  const re = new Array(size).fill(0);
+  const im = new Array(size).fill(0);
+  const tapered = taper(detrend(values));
+  for (let i = 0; i < count; i++) re[i] = tapered[i];
+  
+  fft(re, im);
+  const w0 = 2 * Math.PI / period;
+  for (let k = 0; k < size; k++) {
+    // 负频率取共轭响应，保证逆变换结果为实数
+    const signedK = k <= size / 2 ? k : k - size;
+    const w = 2 * Math.PI * signedK * sampleRate / size;
+    const denRe = w0 * w0 - w * w;
+    const denIm = 2 * damping * w0 * w;
+    const denNorm = denRe * denRe + denIm * denIm;
+    const hRe = gain * denRe / denNorm;
+    const hIm = -gain * denIm / denNorm;
+    const xRe = re[k];
+    const xIm = im[k];
+    re[k] = xRe * hRe - xIm * hIm;
+    im[k] = xRe * hIm + xIm * hRe;
+  }
+  fft(re, im, true);
+  
+  return re.slice(0, count);
+}
+
+/**
+ * 计算地方震级 ML（IASPEI 标准公式，Hutton & Boore 1987 量规函数）
+ * ML = log10(A) + 1.11·log10(R) + 0.00189·R - 2.09
+ * @param {number} amplitude - 伍德-安德森仿真记录的最大振幅（nm，单位放大倍数）
+ * @param {number} distance - 震源距（km）
+ * @returns {number} 地方震级
+ */
+function calculateLocalMagnitude(amplitude, distance) {
+  const r = Math.max(distance, 1);
+  return Math.log10(Math.max(amplitude, 1e-6)) + 1.11 * Math.log10(r) + 0.00189 * r - 2.09;
+}
+
+/**
+ * 由单台加速度记录计算台站震级（取两个水平分量中的最大振幅）
+ * @param {object[]} samples - 样本数组，每个元素为 { ax, ay }，单位 m/s²
+ * @param {number} sampleRate - 采样率（Hz）
+ * @param {number} distance - 震源距（km）
+ * @returns {object|null} 台站震级和伍德-安德森最大振幅（nm）；样本不足时返回null
+ */
+function calculateStationMagnitude(samples, sampleRate, distance) {
+  if (!sampleRate || samples.length < sampleRate) {
+    return null;
+  }
+  
+  let amplitude = 0;
+  for (const axis of ['ax', 'ay']) {
+    const trace = simulateWoodAnderson(samples.map(sample => sample[axis]), sampleRate);
+    for (const value of trace) {
+      amplitude = Math.max(amplitude, Math.abs(value));
+    }
+  }
+  amplitude *= 1e9; // m → nm
+  
+  return {
+    ml: calculateLocalMagnitude(amplitude, distance),
+    amplitude,
+    distance
+  };
+}
+
+/**
+ * 合并多个台站震级为网络震级（算术平均）
+ * @param {number[]} stationMagnitudes - 各台站震级
+ * @returns {object|null} 网络震级、标准差和台站数；无台站时返回null
+ */
+function averageMagnitude(stationMagnitudes) {
+  const count = stationMagnitudes.length;
+  if (count === 0) return null;
+  
+  const mean = stationMagnitudes.reduce((sum, m) => sum + m, 0) / count;
+  const variance = count > 1 ?
+    stationMagnitudes.reduce((sum, m) => sum + (m - mean) * (m - mean), 0) / (count - 1) :
+    0;
+  
+  return {
+    ml: mean,
+    std: count > 1 ? Math.sqrt(variance) : null,
+    station_count: count
+  };
+}
+
+/**
+ * 仅由 PGA 估算中国地震烈度（GB/T 17742-2020 的 I_A 分量），用于无速度记录的预测场景
+ * @param {number} pga - 峰值地面加速度（m/s²）
+ * @returns {object} 烈度值（1.0～12.0）和烈度等级（I～XII）
+ */
+function estimateIntensityFromPga(pga) {
+  const raw = pga > 0 ? 3.17 * Math.log10(pga) + 6.59 : 1.0;
+  const value = Math.round(Math.max(1.0, Math.min(12.0, raw)) * 10) / 10;
+  const level = Math.max(1, Math.min(12, Math.round(value)));
+  return {
+    intensity: value,
+    level,
+    numeral: CHINA_INTENSITY_NUMERALS[level - 1]
+  };
+}
+
+/**
+ * 预测某场点的P波、S波到时和地面运动（地震预警）
+ * 到时按均匀速度模型计算；PGA 由已观测台站的 PGA 按几何扩散和非弹性衰减外推：
+ * PGA_site = PGA_obs · (R_obs / R_site)^n · exp(-k·(R_site - R_obs))
+ * @param {object} source - 震源 { lat, lon, depth (km), originTime (毫秒时间戳) }
+ * @param {object} site - 场点 { lat, lon }
+ * @param {object} observation - 已观测记录 { pga (m/s²), distance (震源距，km) }
+ * @param {object} options - 模型参数
+ * @param {number} options.vp - P波速度（km/s），默认6.0
+ * @param {number} options.vs - S波速度（km/s），默认3.5
+ * @param {number} options.spreading - 几何扩散指数 n，默认1.0
+ * @param {number} options.attenuation - 非弹性衰减系数 k（1/km），默认0.003
+ * @returns {object} 震中距、震源距、到时（毫秒时间戳）、预测PGA和烈度
+ */
+function predictSiteShaking(source, site, observation, options = {}) {
+  const vp = options.vp || 6.0;
+  const vs = options.vs || 3.5;
+  const spreading = options.spreading !== undefined ? options.spreading : 1.0;
+  const attenuation = options.attenuation !== undefined ? options.attenuation : 0.003;
+  
+  const distance = haversineDistance(source.lat, source.lon, site.lat, site.lon);
+  const hypocentral = Math.sqrt(distance * distance + source.depth * source.depth);
+  const observedDistance = Math.max(observation.distance, 1);
+  
+  const pga = observation.pga *
+    Math.pow(observedDistance / Math.max(hypocentral, 1), spreading) *
+    Math.exp(-attenuation * (hypocentral - observedDistance));
+  
+  return {
+    distance,
+    hypocentral,
+    p_arrival: source.originTime + hypocentral / vp * 1000,
+    s_arrival: source.originTime + hypocentral / vs * 1000,
+    pga,
+    intensity: estimateIntensityFromPga(pga)
+  };
+}
+
+// 校准涉及的加速度轴和角速度轴
+const ACCEL_AXES = ['ax', 'ay', 'az'];
+const GYRO_AXES = ['gx', 'gy', 'gz'];
+
+/**
+ * 统计设备静置时的一段记录：各轴均值、标准差以及重力所在的朝向
+ * @param {Array} samples - 样本数组，元素为 {ax, ay, az, gx, gy, gz}（m/s²、rad/s）
+ * @param {object} options - 配置：maxAccelStd 允许的加速度标准差（m/s²），超过视为未静置
+ * @returns {object} {orientation, mean, std, count, still}，orientation 形如 "+z"、"-x"
+ */
+function summarizeCalibrationRecording(samples, options = {}) {
+  const { maxAccelStd = 0.2 } = options;
+  const count = samples.length;
+  const mean = {};
+  const std = {};
+  
+  [...ACCEL_AXES, ...GYRO_AXES].forEach(axis => {
+    let sum = 0;
+    for (const sample of samples) {
+      sum += sample[axis];
+    }
+    mean[axis] = count > 0 ? sum / count : 0;
+    
+    let sumSquares = 0;
+    for (const sample of samples) {
+      sumSquares += (sample[axis] - mean[axis]) ** 2;
+    }
+    std[axis] = count > 1 ? Math.sqrt(sumSquares / (count - 1)) : 0;
+  });
+  
+  // 均值绝对值最大的加速度轴即重力方向
+  const gravityAxis = ACCEL_AXES.reduce((best, axis) =>
+    Math.abs(mean[axis]) > Math.abs(mean[best]) ? axis : best);
+  const orientation = (mean[gravityAxis] >= 0 ? '+' : '-') + gravityAxis.slice(1);
+  
+  const still = count > 1 && ACCEL_AXES.every(axis => std[axis] <= maxAccelStd);
+  
+  return { orientation, mean, std, count, still };
+}
+
+/**
+ * 由一个或多个静置朝向的记录计算各轴零偏和比例因子
+ * 同一轴有朝上、朝下两次记录时（六面法）零偏和比例因子都可求出；
+ * 只有一个朝向时比例因子取1，垂直于重力的轴零偏取其均值，重力轴零偏取均值减去1g
+ * @param {Array} positions - summarizeCalibrationRecording 的结果数组（每个朝向一条）
+ * @returns {object} {accel_bias, accel_scale, gyro_bias}（零偏单位 m/s²、rad/s），校正公式为 (原始值 - 零偏) / 比例因子
+ */
+function computeCalibrationProfile(positions) {
+  const accelBias = {};
+  const accelScale = {};
+  const gyroBias = {};
+  
+  ACCEL_AXES.forEach(axis => {
+    const name = axis.slice(1);
+    const up = positions.find(position => position.orientation === '+' + name);
+    const down = positions.find(position => position.orientation === '-' + name);
+    const across = positions.filter(position => position.orientation.slice(1) !== name);
+    
+    if (up && down) {
+      accelBias[axis] = (up.mean[axis] + down.mean[axis]) / 2;
+      accelScale[axis] = (up.mean[axis] - down.mean[axis]) / (2 * GRAVITY);
+    } else if (across.length > 0) {
+      accelBias[axis] = across.reduce((sum, position) => sum + position.mean[axis], 0) / across.length;
+      accelScale[axis] = 1;
+    } else {
+      const position = up || down;
+      accelBias[axis] = position ? position.mean[axis] - (up ? GRAVITY : -GRAVITY) : 0;
+      accelScale[axis] = 1;
+    }
+  });
+  
+  // 静置时角速度应为零，均值即零偏
+  GYRO_AXES.forEach(axis => {
+    gyroBias[axis] = positions.length > 0 ?
+      positions.reduce((sum, position) => sum + position.mean[axis], 0) / positions.length : 0;
+  });
+  
+  return { accel_bias: accelBias, accel_scale: accelScale, gyro_bias: gyroBias };
+}
+
+/**
+ * 用校准参数校正一个原始样本
+ * @param {object} sample - 原始样本 {ax, ay, az, gx, gy, gz}
+ * @param {object} profile - computeCalibrationProfile 的结果
+ * @returns {object} 校正后的样本
+ */
+function applyCalibration(sample, profile) {
+  const corrected = { ...sample };
+  ACCEL_AXES.forEach(axis => {
+    corrected[axis] = (sample[axis] - profile.accel_bias[axis]) / profile.accel_scale[axis];
+  });
+  GYRO_AXES.forEach(axis => {
+    corrected[axis] = sample[axis] - profile.gyro_bias[axis];
+  });
+  return corrected;
+}
+
+// MPU6050 各量程的灵敏度（加速度 LSB/g，角速度 LSB/(°/s)），见数据手册
+const MPU6050_ACCEL_SENSITIVITY = { 2: 16384, 4: 8192, 8: 4096, 16: 2048 };
+const MPU6050_GYRO_SENSITIVITY = { 250: 131, 500: 65.5, 1000: 32.8, 2000: 16.4 };
+
+// 单位名称及其别名
+const ACCEL_UNIT_ALIASES = { raw: 'raw', lsb: 'raw', counts: 'raw', g: 'g', 'm/s2': 'm/s2', 'm/s²': 'm/s2', mps2: 'm/s2' };
+const GYRO_UNIT_ALIASES = { raw: 'raw', lsb: 'raw', counts: 'raw', 'deg/s': 'deg/s', '°/s': 'deg/s', dps: 'deg/s', 'rad/s': 'rad/s' };
+
+// 16位原始计数的取值范围
+const RAW_COUNT_MIN = -32768;
+const RAW_COUNT_MAX = 32767;
+
+/**
+ * 解析设备声明的传感器单位和量程
+ * 原始计数（raw）须给出量程，未给出时按 MPU6050 上电默认的 ±2g、±250°/s；
+ * g、m/s²、°/s、rad/s 的量程可选，给出时用于检查削波
+ * @param {object} declared - {accel_unit, accel_range, gyro_unit, gyro_range}，缺省为 g 和 °/s
+ * @returns {object} 规范化后的单位声明
+ * @throws {Error} 单位或量程不受支持时
+ */
+function parseSensorUnits(declared = {}) {
+  const accelUnit = ACCEL_UNIT_ALIASES[String(declared.accel_unit || 'g').toLowerCase()];
+  const gyroUnit = GYRO_UNIT_ALIASES[String(declared.gyro_unit || 'deg/s').toLowerCase()];
+  
+  if (!accelUnit) {
+    throw new Error(`不支持的加速度单位: ${declared.accel_unit}`);
+  }
+  if (!gyroUnit) {
+    throw new Error(`不支持的角速度单位: ${declared.gyro_unit}`);
+  }
+  
+  const accelRange = declared.accel_range !== undefined ? Number(declared.accel_range) :
+    (accelUnit === 'raw' ? 2 : null);
+  const gyroRange = declared.gyro_range !== undefined ? Number(declared.gyro_range) :
+    (gyroUnit === 'raw' ? 250 : null);
+  
+  if (accelRange !== null && !MPU6050_ACCEL_SENSITIVITY[accelRange]) {
+    throw new Error(`不支持的加速度量程: ±${declared.accel_range}g（可选 2/4/8/16）`);
+  }
+  if (gyroRange !== null && !MPU6050_GYRO_SENSITIVITY[gyroRange]) {
+    throw new Error(`不支持的角速度量程: ±${declared.gyro_range}°/s（可选 250/500/1000/2000）`);
+  }
+  
+  return {
+    accel_unit: accelUnit,
+    accel_range: accelRange,
+    gyro_unit: gyroUnit,
+    gyro_range: gyroRange
+  };
+}
+
+/**
+ * 检查单轴读数是否超出量程或处于满量程（削波）
+ * @param {number} value - 设备上报的读数
+ * @param {string} unit - 读数单位
+ * @param {number|null} fullScale - 满量程（与读数同单位），未知时为null
+ * @returns {string|null} 'invalid'、'clipped' 或 null
+ */
+function checkSensorRange(value, unit, fullScale) {
+  if (unit === 'raw') {
+    if (!Number.isInteger(value) || value < RAW_COUNT_MIN || value > RAW_COUNT_MAX) return 'invalid';
+    if (value === RAW_COUNT_MIN || value === RAW_COUNT_MAX) return 'clipped';
+    return null;
+  }
+  if (fullScale === null) return null;
+  // 已换算的读数允许少量超出满量程（设备端校准或换算误差）
+  if (Math.abs(value) > fullScale * 1.05) return 'invalid';
+  if (Math.abs(value) >= fullScale * 0.999) return 'clipped';
+  return null;
+}
+
+/**
+ * 按单位声明把一个样本换算为国际单位（加速度 m/s²，角速度 rad/s），并检查削波
+ * @param {object} sample - 设备上报的样本 {ax, ay, az, gx, gy, gz}
+ * @param {object} units - parseSensorUnits 的结果
+ * @returns {object} {values, clipped_axes, invalid_axes}，values 为换算后的样本
+ */
+function convertSensorSample(sample, units) {
+  const values = {};
+  const clippedAxes = [];
+  const invalidAxes = [];
+  
+  const accelFullScale = units.accel_range === null ? null :
+    units.accel_range * (units.accel_unit === 'm/s2' ? GRAVITY : 1);
+  const gyroFullScale = units.gyro_range === null ? null :
+    units.gyro_range * (units.gyro_unit === 'rad/s' ? Math.PI / 180 : 1);
+  
+  ACCEL_AXES.forEach(axis => {
+    const status = checkSensorRange(sample[axis], units.accel_unit, accelFullScale);
+    if (status === 'invalid') invalidAxes.push(axis);
+    if (status === 'clipped') clippedAxes.push(axis);
+    
+    if (units.accel_unit === 'raw') {
+      values[axis] = sample[axis] / MPU6050_ACCEL_SENSITIVITY[units.accel_range] * GRAVITY;
+    } else if (units.accel_unit === 'g') {
+      values[axis] = sample[axis] * GRAVITY;
+    } else {
+      values[axis] = sample[axis];
+    }
+  });
+  
+  GYRO_AXES.forEach(axis => {
+    const status = checkSensorRange(sample[axis], units.gyro_unit, gyroFullScale);
+    if (status === 'invalid') invalidAxes.push(axis);
+    if (status === 'clipped') clippedAxes.push(axis);
+    
+    if (units.gyro_unit === 'raw') {
+      values[axis] = sample[axis] / MPU6050_GYRO_SENSITIVITY[units.gyro_range] * Math.PI / 180;
+    } else if (units.gyro_unit === 'deg/s') {
+      values[axis] = sample[axis] * Math.PI / 180;
+    } else {
+      values[axis] = sample[axis];
+    }
+  });
+  
+  return { values, clipped_axes: clippedAxes, invalid_axes: invalidAxes };
+}
+
+// 触发事件分类标签：类地震、冲击（关门/敲击）、周期性机械振动、脚步/交通
+const TRIGGER_CLASSES = ['earthquake', 'impulsive', 'machinery', 'footsteps_traffic'];
+
+// 平滑阈值函数：x 远大于 center 时趋近1，远小于时趋近0
+function smoothStep(x, center, width) {
+  return 1 / (1 + Math.exp(-(x - center) / width));
+}
+
+/**
+ * 从触发后的一段记录提取分类特征
+ * @param {Array} samples - 样本数组，元素为 {ax, ay, az, gx, gy, gz}（校正后加速度 m/s²，角速度 rad/s）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object} 特征：持续时间、主频、谱质心、谱集中度、峰值因子、起始能量比、包络周期性、角速度比
+ */
+function extractTriggerFeatures(samples, sampleRate) {
+  const n = samples.length;
+  const duration = n / sampleRate;
+  
+  // 各轴去均值加窗后的功率谱求和（避免对矢量和取模造成的倍频）
+  const size = nextPowerOfTwo(n);
+  const power = new Array(size / 2 + 1).fill(0);
+  ACCEL_AXES.forEach(axis => {
+    const values = taper(detrend(samples.map(sample => sample[axis])));
+    const re = new Array(size).fill(0);
+    const im = new Array(size).fill(0);
+    values.forEach((value, i) => { re[i] = value; });
+    fft(re, im);
+    for (let k = 0; k <= size / 2; k++) {
+      power[k] += re[k] * re[k] + im[k] * im[k];
+    }
+  });
+  
+  const df = sampleRate / size;
+  const minBin = Math.max(1, Math.ceil(0.2 / df));
+  let totalPower = 0;
+  let weighted = 0;
+  let peakBin = minBin;
+  for (let k = minBin; k <= size / 2; k++) {
+    totalPower += power[k];
+    weighted += power[k] * k * df;
+    if (power[k] > power[peakBin]) peakBin = k;
+  }
+  const dominantFrequency = peakBin * df;
+  const spectralCentroid = totalPower > 0 ? weighted / totalPower : 0;
+  
+  // 主频附近（±10%，至少±0.5Hz）的能量占比，窄带（机械）接近1
+  const halfBand = Math.max(0.5, dominantFrequency * 0.1);
+  let bandPower = 0;
+  for (let k = minBin; k <= size / 2; k++) {
+    if (Math.abs(k * df - dominantFrequency) <= halfBand) bandPower += power[k];
+  }
+  const spectralConcentration = totalPower > 0 ? bandPower / totalPower : 0;
+  
+  // 矢量和的峰值因子和起始0.5秒的能量占比，冲击信号两者都大
+  const norms = samples.map(sample => Math.sqrt(
+    sample.ax * sample.ax + sample.ay * sample.ay + sample.az * sample.az));
+  const energy = norms.reduce((sum, value) => sum + value * value, 0);
+  const rms = Math.sqrt(energy / n);
+  const crestFactor = rms > 0 ? Math.max(...norms) / rms : 0;
+  const onsetSamples = Math.min(n, Math.round(0.5 * sampleRate));
+  const onsetEnergy = norms.slice(0, onsetSamples).reduce((sum, value) => sum + value * value, 0);
+  const onsetEnergyRatio = energy > 0 ? onsetEnergy / energy : 0;
+  
+  // 包络（0.1秒滑动均方根）在0.3～1.5秒滞后上的最大自相关，脚步等重复冲击较大
+  const smooth = Math.max(1, Math.round(0.1 * sampleRate));
+  const envelope = [];
+  let windowSum = 0;
+  norms.forEach((value, i) => {
+    windowSum += value * value;
+    if (i >= smooth) windowSum -= norms[i - smooth] * norms[i - smooth];
+    envelope.push(Math.sqrt(Math.max(windowSum, 0) / Math.min(i + 1, smooth)));
+  });
+  const envelopeMean = envelope.reduce((sum, value) => sum + value, 0) / n;
+  const centered = envelope.map(value => value - envelopeMean);
+  const zeroLag = centered.reduce((sum, value) => sum + value * value, 0);
+  let envelopePeriodicity = 0;
+  const maxLag = Math.min(Math.round(1.5 * sampleRate), Math.floor(n / 2));
+  for (let lag = Math.round(0.3 * sampleRate); lag <= maxLag && zeroLag > 0; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) {
+      sum += centered[i] * centered[i + lag];
+    }
+    // 按重叠长度归一化，避免长滞后被低估
+    envelopePeriodicity = Math.max(envelopePeriodicity, (sum / (n - lag)) / (zeroLag / n));
+  }
+  
+  // 角速度与加速度均方根之比：桌面被碰撞、有人走动时设备会转动，远处地震几乎只有平动
+  let gyroSquares = 0;
+  GYRO_AXES.forEach(axis => {
+    const values = detrend(samples.map(sample => sample[axis] || 0));
+    gyroSquares += values.reduce((sum, value) => sum + value * value, 0);
+  });
+  const gyroRatio = rms > 0 ? Math.sqrt(gyroSquares / n) / rms : 0;
+  
+  return {
+    duration,
+    dominant_frequency: dominantFrequency,
+    spectral_centroid: spectralCentroid,
+    spectral_concentration: spectralConcentration,
+    crest_factor: crestFactor,
+    onset_energy_ratio: onsetEnergyRatio,
+    envelope_periodicity: Math.min(envelopePeriodicity, 1),
+    gyro_ratio: gyroRatio
+  };
+}
+
+/**
+ * 按特征给触发事件分类（基于经验规则的软打分）
+ * 类地震：低频（谱质心低于约10Hz）、非冲击、非窄带、无明显转动；
+ * 冲击：峰值因子大且能量集中在起始段；机械：窄带稳定振动；
+ * 脚步/交通：包络周期性重复的冲击或较高频的宽带振动
+ * @param {object} features - extractTriggerFeatures 的结果
+ * @returns {object} {label, confidence, scores}，confidence 为最高得分占总得分的比例
+ */
+function classifyTrigger(features) {
+  const lowFrequency = smoothStep(-features.spectral_centroid, -10, 2);
+  const impulsive = smoothStep(features.crest_factor, 5, 0.7);
+  const narrowBand = smoothStep(features.spectral_concentration, 0.6, 0.08);
+  const periodic = smoothStep(features.envelope_periodicity, 0.5, 0.1);
+  const rotating = smoothStep(features.gyro_ratio, 0.05, 0.015);
+  
+  const burst = impulsive * smoothStep(features.onset_energy_ratio, 0.6, 0.1);
+  
+  const scores = {
+    earthquake: lowFrequency * (1 - impulsive) * (1 - 0.8 * narrowBand) * (1 - 0.8 * periodic) * (1 - rotating),
+    impulsive: burst * (1 - 0.7 * periodic) * (0.6 + 0.4 * rotating),
+    machinery: narrowBand * smoothStep(-features.crest_factor, -3, 0.5),
+    footsteps_traffic: Math.max(
+      periodic * smoothStep(features.crest_factor, 3, 0.7),
+      (1 - lowFrequency) * (1 - narrowBand) * (1 - burst)
+    ) * (0.6 + 0.4 * rotating)
+  };
+  
+  const total = TRIGGER_CLASSES.reduce((sum, label) => sum + scores[label], 0);
+  const label = TRIGGER_CLASSES.reduce((best, name) => scores[name] > scores[best] ? name : best);
+  
+  return {
+    label,
+    confidence: total > 0 ? scores[label] / total : 0,
+    scores
+  };
+}
+
+// 反应谱默认周期（秒）
+const DEFAULT_RESPONSE_PERIODS = [0.05, 0.1, 0.15, 0.2, 0.3, 0.4, 0.5, 0.75, 1.0, 1.5, 2.0, 3.0, 4.0, 5.0];
+
+/**
+ * 计算单分量傅里叶幅值谱（去趋势、两端加窗后做FFT）
+ * @param {Array} values - 加速度序列（m/s²）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {object} {frequencies, amplitudes}，幅值为 |X(f)|·Δt（m/s），频率从0到奈奎斯特频率
+ */
+function calculateFourierSpectrum(values, sampleRate) {
+  const n = values.length;
+  const size = nextPowerOfTwo(n);
+  const re = new Array(size).fill(0);
+  const im = new Array(size).fill(0);
+  taper(detrend(values)).forEach((value, i) => { re[i] = value; });
+  fft(re, im);
+  
+  const dt = 1 / sampleRate;
+  const frequencies = [];
+  const amplitudes = [];
+  for (let k = 0; k <= size / 2; k++) {
+    frequencies.push(k * sampleRate / size);
+    amplitudes.push(Math.hypot(re[k], im[k]) * dt);
+  }
+  
+  return { frequencies, amplitudes };
+}
+
+/**
+ * 计算单分量拟加速度反应谱（Nigam-Jennings 分段线性精确解）
+ * 单自由度体系 ü + 2ζωu̇ + ω²u = -a(t)，Sa = ω²·max|u|
+ * @param {Array} values - 加速度序列（m/s²）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @param {Array} periods - 自振周期列表（秒），默认 DEFAULT_RESPONSE_PERIODS
+ * @param {number} damping - 阻尼比，默认0.05
+ * @returns {Array} 每个周期的 {period, sa, sd}，sa 单位 m/s²，sd 单位 m
+ */
+function calculateResponseSpectrum(values, sampleRate, periods = DEFAULT_RESPONSE_PERIODS, damping = 0.05) {
+  const acceleration = detrend(values);
+  const dt = 1 / sampleRate;
+  const zeta = damping;
+  const root = Math.sqrt(1 - zeta * zeta);
+  
+  return periods.map(period => {
+    const w = 2 * Math.PI / period;
+    const wd = w * root;
+    const e = Math.exp(-zeta * w * dt);
+    const sin = Math.sin(wd * dt);
+    const cos = Math.cos(wd * dt);
+    
+    // 状态转移系数
+    const a11 = e * (zeta / root * sin + cos);
+    const a12 = e * sin / wd;
+    const a21 = -w / root * e * sin;
+    const a22 = e * (cos - zeta / root * sin);
+    
+    // 荷载系数（外力为 -a，在步长内线性变化）
+    const k1 = (2 * zeta * zeta - 1) / (w * w * dt);
+    const k2 = 2 * zeta / (w * w * w * dt);
+    const b11 = e * ((k1 + zeta / w) * sin / wd + (k2 + 1 / (w * w)) * cos) - k2;
+    const b12 = -e * (k1 * sin / wd + k2 * cos) - 1 / (w * w) + k2;
+    const b21 = e * ((k1 + zeta / w) * (cos - zeta / root * sin) -
+      (k2 + 1 / (w * w)) * (wd * sin + zeta * w * cos)) + 1 / (w * w * dt);
+    const b22 = -e * (k1 * (cos - zeta / root * sin) - k2 * (wd * sin + zeta * w * cos)) -
+      1 / (w * w * dt);
+    
+    let u = 0;
+    let v = 0;
+    let maxDisplacement = 0;
+    for (let i = 0; i < acceleration.length - 1; i++) {
+      const nextU = a11 * u + a12 * v + b11 * acceleration[i] + b12 * acceleration[i + 1];
+      const nextV = a21 * u + a22 * v + b21 * acceleration[i] + b22 * acceleration[i + 1];
+      u = nextU;
+      v = nextV;
+      maxDisplacement = Math.max(maxDisplacement, Math.abs(u));
+    }
+    
+    return {
+      period,
+      sa: w * w * maxDisplacement,
+      sd: maxDisplacement
+    };
+  });
+}
+
+/**
+ * 由一次 NTP 式往返计算设备时钟偏差
+ * t0 服务器发出探测、t1 设备收到、t2 设备回复、t3 服务器收到（毫秒，t1、t2 为设备时钟）
+ * @returns {object} {time, offset, delay}：time 为往返中点的服务器时间，offset 为设备时钟减服务器时钟，delay 为往返网络时延
+ */
+function calculateTimeSyncSample(t0, t1, t2, t3) {
+  return {
+    time: (t0 + t3) / 2,
+    offset: ((t1 - t0) + (t2 - t3)) / 2,
+    delay: (t3 - t0) - (t2 - t1)
+  };
+}
+
+/**
+ * 由多次往返估计设备时钟的偏差和漂移
+ * 排队和重传会使往返不对称、偏差估计有偏，因此只使用时延最小的一部分样本；
+ * 样本时间跨度足够时对偏差做最小二乘直线拟合，斜率即时钟漂移
+ * @param {Array} samples - calculateTimeSyncSample 的结果
+ * @param {number} time - 要估计偏差的服务器时间（毫秒）
+ * @param {object} options - {keepRatio: 使用的样本比例, minDriftSpan: 估计漂移需要的时间跨度（毫秒）}
+ * @returns {object|null} {offset, drift, uncertainty, delay, samples}：offset、uncertainty、delay 单位毫秒，drift 单位 ppm；没有有效样本时为null
+ */
+function estimateClockSync(samples, time, options = {}) {
+  const { keepRatio = 0.5, minDriftSpan = 60000 } = options;
+  const valid = samples.filter(sample => sample.delay >= 0 && isFinite(sample.offset))
+    .sort((a, b) => a.delay - b.delay);
+  if (valid.length === 0) return null;
+  
+  const used = valid.slice(0, Math.max(Math.min(valid.length, 3), Math.ceil(valid.length * keepRatio)));
+  const times = used.map(sample => sample.time);
+  const offsets = used.map(sample => sample.offset);
+  const meanTime = times.reduce((sum, t) => sum + t, 0) / used.length;
+  const meanOffset = offsets.reduce((sum, o) => sum + o, 0) / used.length;
+  
+  // 时间跨度足够时拟合偏差随时间的变化，否则认为没有漂移
+  let slope = 0;
+  if (used.length >= 3 && Math.max(...times) - Math.min(...times) >= minDriftSpan) {
+    let sxx = 0;
+    let sxy = 0;
+    used.forEach(sample => {
+      sxx += (sample.time - meanTime) * (sample.time - meanTime);
+      sxy += (sample.time - meanTime) * (sample.offset - meanOffset);
+    });
+    slope = sxy / sxx;
+  }
+  
+  // 不确定度：往返不对称最多造成半个时延的误差，加上拟合残差的均方根
+  const residual = Math.sqrt(used.reduce((sum, sample) => {
+    const r = sample.offset - (meanOffset + slope * (sample.time - meanTime));
+    return sum + r * r;
+  }, 0) / used.length);
+  
+  return {
+    offset: meanOffset + slope * (time - meanTime),
+    drift: slope * 1e6,
+    uncertainty: valid[0].delay / 2 + residual,
+    delay: valid[0].delay,
+    samples: used.length
+  };
+}
+
 // 导出函数以供其他模块使用
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -212,6 +1853,47 @@ if (typeof module !== 'undefined' && module.exports) {
     assessAlertLevel,
     detectEarthquake,
     calculateEnergy,
-    calculateImpactRadius
+    calculateImpactRadius,
+    StaLtaTrigger,
+    designBiquad,
+    BiquadFilter,
+    detrend,
+    StreamingDetrend,
+    SignalPreprocessor,
+    GRAVITY,
+    fft,
+    nextPowerOfTwo,
+    jmaFilterGain,
+    jmaIntensityClass,
+    calculateJmaInstrumentalIntensity,
+    filtfilt,
+    taper,
+    integrate,
+    calculatePeakGroundMotion,
+    calculateCumulativeMotion,
+    calculateGroundMotionMetrics,
+    calculateChinaSeismicIntensity,
+    aicPick,
+    estimateDistanceFromSP,
+    haversineDistance,
+    locateEpicenter,
+    simulateWoodAnderson,
+    calculateLocalMagnitude,
+    calculateStationMagnitude,
+    averageMagnitude,
+    estimateIntensityFromPga,
+    predictSiteShaking,
+    summarizeCalibrationRecording,
+    computeCalibrationProfile,
+    applyCalibration,
+    parseSensorUnits,
+    convertSensorSample,
+    extractTriggerFeatures,
+    classifyTrigger,
+    DEFAULT_RESPONSE_PERIODS,
+    calculateFourierSpectrum,
+    calculateResponseSpectrum,
+    calculateTimeSyncSample,
+    estimateClockSync
   };
 }
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * 告警规则引擎
+ * 规则按设备ID、分组或标签匹配设备，对实时数据中的任意计算指标设置条件，
+ * 条件成立时给出警报级别、广播范围和是否通知
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 警报级别，由低到高
+const ALERT_LEVELS = ['無', '低', '中', '高', '严重'];
+
+// 警报的广播范围：所有连接（含设备）、仅监控面板、监控面板和同一场点的设备
+const BROADCAST_SCOPES = ['all', 'dashboards', 'site'];
+
+// 条件运算符
+const RULE_OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'in'];
+
+// 规则条件可以使用的实时数据指标
+const RULE_METRICS = [
+  'magnitude', 'vibration_level', 'intensity',
+  'jma_intensity', 'jma_scale', 'china_intensity', 'china_intensity_level',
+  'pga', 'pgv', 'pgd', 'cav', 'arias_intensity',
+  'energy', 'impact_radius', 'earthquake_type',
+  'is_earthquake', 'event_class', 'event_class_confidence', 'sta_lta_ratio',
+  'clipped', 'calibrated',
+  'corrected.ax', 'corrected.ay', 'corrected.az'
+];
+
+// 匹配方式的优先级：设备ID > 分组 > 标签 > 默认（未指定 match）
+const MATCH_SPECIFICITY = { devices: 3, groups: 2, tags: 1 };
+
+// 随项目提供的默认规则文件（与 assessAlertLevel 的震级/烈度分级相同，且只对类地震触发生效），
+// 另行指定的规则文件在启动时无效时以它作为后备
+const DEFAULT_ALERT_RULES_FILE = path.join(__dirname, 'config', 'alert-rules.json');
+
+/**
+ * 校验规则配置
+ * @param {object} config - 规则配置 { rules: [...] }
+ * @returns {Array<string>} 错误信息列表，为空表示有效
+ */
+function validateAlertRules(config) {
+  const errors = [];
+  if (!config || !Array.isArray(config.rules)) {
+    return ['规则配置必须包含 rules 数组'];
+  }
+  
+  const ids = new Set();
+  config.rules.forEach((rule, index) => {
+    const name = rule && rule.id ? `规则 ${rule.id}` : `第 ${index + 1} 条规则`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${name} 必须是对象`);
+      return;
+    }
+    
+    if (typeof rule.id !== 'string' || rule.id === '') {
+      errors.push(`${name} 缺少 id`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${name} 的 id 重复`);
+    } else {
+      ids.add(rule.id);
+    }
+    
+    if (rule.match !== undefined) {
+      if (!rule.match || typeof rule.match !== 'object') {
+        errors.push(`${name} 的 match 必须是对象`);
+      } else {
+        Object.entries(rule.match).forEach(([key, values]) => {
+          if (!(key in MATCH_SPECIFICITY)) {
+            errors.push(`${name} 的 match 不支持 ${key}（可用 devices、groups、tags）`);
+          } else if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+            errors.push(`${name} 的 match.${key} 必须是字符串数组`);
+          }
+        });
+      }
+    }
+    
+    ['conditions', 'any'].forEach(key => {
+      if (rule[key] === undefined) return;
+      if (!Array.isArray(rule[key])) {
+        errors.push(`${name} 的 ${key} 必须是数组`);
+        return;
+      }
+      rule[key].forEach((condition, i) => {
+        validateCondition(condition).forEach(error => {
+          errors.push(`${name} 的 ${key}[${i}] ${error}`);
+        });
+      });
+    });
+    
+    const actions = rule.actions;
+    if (!actions || typeof actions !== 'object') {
+      errors.push(`${name} 缺少 actions`);
+      return;
+    }
+    if (!ALERT_LEVELS.includes(actions.alert_level)) {
+      errors.push(`${name} 的 alert_level 无效（可用 ${ALERT_LEVELS.join('、')}）`);
+    }
+    if (actions.broadcast !== undefined && !BROADCAST_SCOPES.includes(actions.broadcast)) {
+      errors.push(`${name} 的 broadcast 无效（可用 ${BROADCAST_SCOPES.join('、')}）`);
+    }
+    if (actions.notify !== undefined && typeof actions.notify !== 'boolean') {
+      errors.push(`${name} 的 notify 必须是布尔值`);
+    }
+  });
+  
+  return errors;
+}
+
+// 校验单个条件，返回错误信息列表
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object') {
+    return ['必须是对象'];
+  }
+  
+  const errors = [];
+  if (!RULE_METRICS.includes(condition.metric)) {
+    errors.push(`的指标 ${condition.metric} 无效`);
+  }
+  if (!RULE_OPERATORS.includes(condition.op)) {
+    errors.push(`的运算符 ${condition.op} 无效（可用 ${RULE_OPERATORS.join(' ')}）`);
+  } else if (condition.op === 'in' && !Array.isArray(condition.value)) {
+    errors.push('使用 in 时 value 必须是数组');
+  } else if (['>', '>=', '<', '<='].includes(condition.op) && typeof condition.value !== 'number') {
+    errors.push(`使用 ${condition.op} 时 value 必须是数字`);
+  }
+  return errors;
+}
+
+/**
+ * 从 JSON 文件加载并校验规则，填入动作的默认值
+ * @param {string} file - 规则文件路径
+ * @returns {Array<object>} 规则列表
+ * @throws {Error} 文件无法解析或规则无效时
+ */
+function loadAlertRules(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return compileAlertRules(config);
+}
+
+/**
+ * 校验规则配置并填入动作的默认值（广播到所有连接、通知）
+ * @param {object} config - 规则配置 { rules: [...] }
+ * @returns {Array<object>} 规则列表
+ * @throws {Error} 规则无效时，message 为全部错误
+ */
+function compileAlertRules(config) {
+  const errors = validateAlertRules(config);
+  if (errors.length > 0) {
+    const error = new Error(`告警规则无效: ${errors.join('；')}`);
+    error.details = errors;
+    throw error;
+  }
+  
+  return config.rules.map(rule => ({
+    ...rule,
+    conditions: rule.conditions || [],
+    actions: { broadcast: 'all', notify: true, ...rule.actions }
+  }));
+}
+
+// 规则对设备的匹配优先级，不匹配时返回-1
+function matchSpecificity(rule, device) {
+  if (!rule.match || Object.keys(rule.match).length === 0) return 0;
+  
+  const { devices = [], groups = [], tags = [] } = rule.match;
+  if (devices.includes(device.device_id)) return MATCH_SPECIFICITY.devices;
+  if (device.group && groups.includes(device.group)) return MATCH_SPECIFICITY.groups;
+  if ((device.tags || []).some(tag => tags.includes(tag))) return MATCH_SPECIFICITY.tags;
+  return -1;
+}
+
+// 取数据中的指标值，支持 corrected.ax 这样的路径
+function getMetric(data, metric) {
+  return metric.split('.').reduce((value, key) =>
+    value !== null && value !== undefined ? value[key] : undefined, data);
+}
+
+// 判断条件是否成立，指标缺失（null）时不成立
+function testCondition(condition, data) {
+  const value = getMetric(data, condition.metric);
+  if (value === null || value === undefined) return false;
+  
+  switch (condition.op) {
+    case '>': return value > condition.value;
+    case '>=': return value >= condition.value;
+    case '<': return value < condition.value;
+    case '<=': return value <= condition.value;
+    case '==': return value === condition.value;
+    case '!=': return value !== condition.value;
+    case 'in': return condition.value.includes(value);
+    default: return false;
+  }
+}
+
+/**
+ * 对一条实时数据评估规则
+ * 只使用匹配该设备的最高优先级（设备ID > 分组 > 标签 > 默认）的规则，
+ * 因此为某个分组配置的规则会完全替代默认规则；这些规则中 conditions 全部成立且
+ * any（如有）至少一个成立的规则里，警报级别最高的胜出（同级取文件中靠前的）
+ * @param {Array<object>} rules - compileAlertRules 的结果
+ * @param {object} device - { device_id, group, tags }
+ * @param {object} data - 实时数据（含各项计算指标）
+ * @returns {object} { level, rule, broadcast, notify, matched }，没有规则成立时 level 为'無'、rule 为null
+ */
+function evaluateAlertRules(rules, device, data) {
+  const specificities = rules.map(rule => matchSpecificity(rule, device));
+  const best = Math.max(-1, ...specificities);
+  
+  const matched = rules.filter((rule, i) => specificities[i] === best && best >= 0 &&
+    rule.conditions.every(condition => testCondition(condition, data)) &&
+    (!rule.any || rule.any.length === 0 || rule.any.some(condition => testCondition(condition, data))));
+  
+  const winner = matched.reduce((top, rule) =>
+    !top || ALERT_LEVELS.indexOf(rule.actions.alert_level) > ALERT_LEVELS.indexOf(top.actions.alert_level) ?
+      rule : top, null);
+  
+  return {
+    level: winner ? winner.actions.alert_level : ALERT_LEVELS[0],
+    rule: winner ? winner.id : null,
+    broadcast: winner ? winner.actions.broadcast : 'all',
+    notify: winner ? winner.actions.notify : false,
+    matched: matched.map(rule => rule.id)
+  };
+}
+
+module.exports = {
+  ALERT_LEVELS,
+  BROADCAST_SCOPES,
+  RULE_METRICS,
+  DEFAULT_ALERT_RULES_FILE,
+  validateAlertRules,
+  loadAlertRules,
+  compileAlertRules,
+  evaluateAlertRules
+};
@@ -0,0 +1,157 @@
+/**
+ * REST API 和监控界面的 API 密钥
+ * 密钥形如 eqk_<id>_<secret>，磁盘上只保存 secret 的 SHA-256 哈希。
+ * 角色由低到高：viewer（只读数据）、operator（确认警报、运行测试、校准）、admin（清除缓存、管理设备和密钥）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { saveCredentials } = require('./device-credentials');
+
+// 角色，由低到高，高角色拥有低角色的全部权限
+const API_ROLES = ['viewer', 'operator', 'admin'];
+
+// 密钥文件，服务器和命令行工具共用
+const DEFAULT_API_KEYS_FILE = process.env.API_KEYS_FILE ||
+  path.join(__dirname, 'data', 'api-keys.json');
+
+const API_KEY_PATTERN = /^eqk_([0-9a-f]{8})_([0-9a-f]{64})$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * 读取密钥文件，文件不存在时返回空的密钥库
+ * @param {string} file - 密钥文件路径
+ * @returns {object} { keys: { [id]: { name, role, key_hash, status, created_at, revoked_at } } }
+ * @throws {Error} 文件无法解析时
+ */
+function loadApiKeys(file) {
+  if (!fs.existsSync(file)) {
+    return { keys: {} };
+  }
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!store || typeof store.keys !== 'object' || store.keys === null) {
+    throw new Error('密钥文件必须包含 keys 对象');
+  }
+  return store;
+}
+
+/**
+ * 保存密钥文件
+ * @param {string} file - 密钥文件路径
+ * @param {object} store - 密钥库
+ */
+function saveApiKeys(file, store) {
+  saveCredentials(file, store);
+}
+
+/**
+ * 创建密钥
+ * @param {object} store - 密钥库
+ * @param {string} name - 密钥名称（如使用者），确认警报时作为默认操作员
+ * @param {string} role - 角色
+ * @returns {object} { id, key }，key 只在此时返回一次
+ * @throws {Error} 名称或角色无效时
+ */
+function createApiKey(store, name, role) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('密钥名称不能为空');
+  }
+  if (!API_ROLES.includes(role)) {
+    throw new Error(`角色无效: ${role}（可选 ${API_ROLES.join('、')}）`);
+  }
+  
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (store.keys[id]);
+  const secret = crypto.randomBytes(32).toString('hex');
+  
+  store.keys[id] = {
+    name: name.trim(),
+    role,
+    key_hash: hashSecret(secret),
+    status: 'active',
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+  return { id, key: `eqk_${id}_${secret}` };
+}
+
+/**
+ * 吊销密钥
+ * @param {object} store - 密钥库
+ * @param {string} id - 密钥ID
+ * @throws {Error} 没有该有效密钥时
+ */
+function revokeApiKey(store, id) {
+  const entry = store.keys[id];
+  if (!entry || entry.status !== 'active') {
+    throw new Error(`密钥 ${id} 不存在或已吊销`);
+  }
+  
+  entry.status = 'revoked';
+  entry.revoked_at = new Date().toISOString();
+}
+
+/**
+ * 密钥列表（不含哈希）
+ * @param {object} store - 密钥库
+ * @returns {Array<object>}
+ */
+function listApiKeys(store) {
+  return Object.entries(store.keys).map(([id, entry]) => ({
+    id,
+    name: entry.name,
+    role: entry.role,
+    status: entry.status,
+    created_at: entry.created_at,
+    revoked_at: entry.revoked_at
+  }));
+}
+
+/**
+ * 校验密钥
+ * @param {object} store - 密钥库
+ * @param {string} key - 请求携带的密钥
+ * @returns {object|null} { id, name, role }，密钥无效或已吊销时为null
+ */
+function authenticateApiKey(store, key) {
+  const match = typeof key === 'string' ? API_KEY_PATTERN.exec(key) : null;
+  if (!match) return null;
+  
+  const entry = store.keys[match[1]];
+  if (!entry || entry.status !== 'active') return null;
+  
+  const expected = Buffer.from(entry.key_hash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  
+  return { id: match[1], name: entry.name, role: entry.role };
+}
+
+/**
+ * 角色是否满足要求
+ * @param {string} role - 密钥的角色
+ * @param {string} required - 需要的最低角色
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  const rank = API_ROLES.indexOf(role);
+  return rank >= 0 && rank >= API_ROLES.indexOf(required);
+}
+
+module.exports = {
+  API_ROLES,
+  DEFAULT_API_KEYS_FILE,
+  loadApiKeys,
+  saveApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  authenticateApiKey,
+  hasRole
+};
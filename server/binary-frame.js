@@ -0,0 +1,187 @@
+/**
+ * 传感器数据二进制帧
+ * 带宽受限的设备可以用 WebSocket 二进制消息发送样本，与 JSON 的 sensor_batch 等价。
+ * 帧格式（小端序）：
+ *
+ *   偏移  长度  字段
+ *   0     1     版本（当前为1）
+ *   1     1     消息类型（1 = 传感器样本）
+ *   2     2     设备编号 uint16（注册时由服务器分配）
+ *   4     4     批次序号 uint32
+ *   8     8     第一个样本的时间 float64（Unix 毫秒）
+ *   16    4     采样率 float32（Hz）
+ *   20    1     样本格式（1 = int16，2 = float32）
+ *   21    1     保留（0）
+ *   22    2     样本数 uint16
+ *   24    ...   样本，按 ax ay az gx gy gz 的顺序逐个样本交错排列
+ */
+
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 24;
+
+// 消息类型
+const FRAME_TYPES = {
+  samples: 1
+};
+
+// 样本格式的编码和每个值的字节数
+const SAMPLE_FORMATS = {
+  int16: { code: 1, size: 2 },
+  float32: { code: 2, size: 4 }
+};
+
+const FRAME_AXES = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+// Date 可表示的最大时间（毫秒）
+const MAX_TIMESTAMP = 8.64e15;
+
+// 按编码查找样本格式名称
+function sampleFormatName(code) {
+  return Object.keys(SAMPLE_FORMATS).find(name => SAMPLE_FORMATS[name].code === code) || null;
+}
+
+/**
+ * 解析设备注册时的二进制帧协商参数
+ * `binary: true` 使用默认设置；int16 样本乘以比例因子后为注册时声明单位的值
+ * @param {boolean|object} declared - { sample_format, accel_scale, gyro_scale }
+ * @returns {object|null} { sample_format, accel_scale, gyro_scale }，未启用时为null
+ * @throws {Error} 参数无效时
+ */
+function parseBinaryOptions(declared) {
+  if (declared === undefined || declared === false || declared === null) return null;
+  const options = declared === true ? {} : declared;
+  if (typeof options !== 'object') {
+    throw new Error('binary 必须是布尔值或对象');
+  }
+  
+  const sampleFormat = options.sample_format || 'int16';
+  if (!SAMPLE_FORMATS[sampleFormat]) {
+    throw new Error(`不支持的二进制样本格式: ${sampleFormat}（可选 ${Object.keys(SAMPLE_FORMATS).join('/')}）`);
+  }
+  
+  const scales = {};
+  for (const key of ['accel_scale', 'gyro_scale']) {
+    const value = options[key] !== undefined ? Number(options[key]) : 1;
+    if (!(value > 0) || !isFinite(value)) {
+      throw new Error(`二进制帧的 ${key} 必须是正数`);
+    }
+    scales[key] = value;
+  }
+  
+  return { sample_format: sampleFormat, ...scales };
+}
+
+/**
+ * 编码传感器样本帧
+ * @param {object} frame - { device_index, sequence, timestamp（毫秒）, sample_rate, sample_format, samples: { ax: [], ..., gz: [] } }
+ * @returns {Buffer}
+ */
+function encodeSensorFrame(frame) {
+  const format = SAMPLE_FORMATS[frame.sample_format || 'int16'];
+  if (!format) {
+    throw new Error(`不支持的二进制样本格式: ${frame.sample_format}`);
+  }
+  
+  const count = frame.samples.ax.length;
+  const buffer = Buffer.alloc(FRAME_HEADER_SIZE + count * FRAME_AXES.length * format.size);
+  buffer.writeUInt8(FRAME_VERSION, 0);
+  buffer.writeUInt8(FRAME_TYPES.samples, 1);
+  buffer.writeUInt16LE(frame.device_index, 2);
+  buffer.writeUInt32LE(frame.sequence >>> 0, 4);
+  buffer.writeDoubleLE(frame.timestamp, 8);
+  buffer.writeFloatLE(frame.sample_rate, 16);
+  buffer.writeUInt8(format.code, 20);
+  buffer.writeUInt8(0, 21);
+  buffer.writeUInt16LE(count, 22);
+  
+  let offset = FRAME_HEADER_SIZE;
+  for (let i = 0; i < count; i++) {
+    for (const axis of FRAME_AXES) {
+      const value = frame.samples[axis][i];
+      if (format === SAMPLE_FORMATS.int16) {
+        buffer.writeInt16LE(Math.max(INT16_MIN, Math.min(INT16_MAX, Math.round(value))), offset);
+      } else {
+        buffer.writeFloatLE(value, offset);
+      }
+      offset += format.size;
+    }
+  }
+  return buffer;
+}
+
+/**
+ * 解码传感器样本帧
+ * @param {Buffer} buffer - 二进制消息
+ * @returns {object} { version, type, device_index, sequence, timestamp, sample_rate, sample_format, samples: { ax: [], ..., gz: [] } }
+ * @throws {Error} 帧格式无效时
+ */
+function decodeSensorFrame(buffer) {
+  if (buffer.length < FRAME_HEADER_SIZE) {
+    throw new Error(`二进制帧过短: ${buffer.length} 字节`);
+  }
+  
+  const version = buffer.readUInt8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`不支持的二进制帧版本: ${version}`);
+  }
+  const type = buffer.readUInt8(1);
+  if (type !== FRAME_TYPES.samples) {
+    throw new Error(`不支持的二进制消息类型: ${type}`);
+  }
+  const sampleFormat = sampleFormatName(buffer.readUInt8(20));
+  if (!sampleFormat) {
+    throw new Error(`不支持的二进制样本格式编码: ${buffer.readUInt8(20)}`);
+  }
+  
+  // 时间必须在 Date 可表示的范围内（±8.64e15 毫秒），采样率必须为正数
+  const timestamp = buffer.readDoubleLE(8);
+  if (!isFinite(timestamp) || Math.abs(timestamp) > MAX_TIMESTAMP) {
+    throw new Error('二进制帧的时间无效');
+  }
+  const sampleRate = buffer.readFloatLE(16);
+  if (!(sampleRate > 0) || !isFinite(sampleRate)) {
+    throw new Error('二进制帧的采样率无效');
+  }
+  
+  const format = SAMPLE_FORMATS[sampleFormat];
+  const count = buffer.readUInt16LE(22);
+  const expected = FRAME_HEADER_SIZE + count * FRAME_AXES.length * format.size;
+  if (buffer.length !== expected) {
+    throw new Error(`二进制帧长度与样本数不符: ${buffer.length} 字节，应为 ${expected} 字节`);
+  }
+  
+  const samples = {};
+  FRAME_AXES.forEach(axis => { samples[axis] = new Array(count); });
+  let offset = FRAME_HEADER_SIZE;
+  for (let i = 0; i < count; i++) {
+    for (const axis of FRAME_AXES) {
+      samples[axis][i] = format === SAMPLE_FORMATS.int16 ?
+        buffer.readInt16LE(offset) : buffer.readFloatLE(offset);
+      offset += format.size;
+    }
+  }
+  
+  return {
+    version,
+    type,
+    device_index: buffer.readUInt16LE(2),
+    sequence: buffer.readUInt32LE(4),
+    timestamp,
+    sample_rate: sampleRate,
+    sample_format: sampleFormat,
+    samples
+  };
+}
+
+module.exports = {
+  FRAME_VERSION,
+  FRAME_HEADER_SIZE,
+  FRAME_TYPES,
+  SAMPLE_FORMATS,
+  parseBinaryOptions,
+  encodeSensorFrame,
+  decodeSensorFrame
+};
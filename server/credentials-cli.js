@@ -0,0 +1,146 @@
+/**
+ * 凭据管理命令行工具
+ * 直接修改凭据文件和 API 密钥文件，运行中的服务器会自动重新加载
+ * （被吊销或更换密钥的设备、被吊销密钥的监控连接随即断开）
+ *
+ *   node credentials-cli.js device list
+ *   node credentials-cli.js device provision <device_id>
+ *   node credentials-cli.js device rotate <device_id>
+ *   node credentials-cli.js device revoke <device_id>
+ *   node credentials-cli.js key list
+ *   node credentials-cli.js key create <name> <role>
+ *   node credentials-cli.js key revoke <key_id>
+ */
+
+const {
+  DEFAULT_CREDENTIALS_FILE,
+  loadCredentials,
+  saveCredentials,
+  provisionDevice,
+  rotateDevice,
+  revokeDevice,
+  listCredentials
+} = require('./device-credentials');
+const {
+  API_ROLES,
+  DEFAULT_API_KEYS_FILE,
+  loadApiKeys,
+  saveApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys
+} = require('./api-keys');
+
+function printUsage() {
+  console.log('用法:');
+  console.log('  node credentials-cli.js device list                  列出设备凭据');
+  console.log('  node credentials-cli.js device provision <device_id> 为设备分配密钥');
+  console.log('  node credentials-cli.js device rotate <device_id>    更换设备密钥');
+  console.log('  node credentials-cli.js device revoke <device_id>    吊销设备凭据');
+  console.log('  node credentials-cli.js key list                     列出 API 密钥');
+  console.log(`  node credentials-cli.js key create <name> <role>     创建 API 密钥（角色: ${API_ROLES.join('/')}）`);
+  console.log('  node credentials-cli.js key revoke <key_id>          吊销 API 密钥');
+  console.log(`凭据文件: ${DEFAULT_CREDENTIALS_FILE}（可用环境变量 DEVICE_CREDENTIALS_FILE 指定）`);
+  console.log(`密钥文件: ${DEFAULT_API_KEYS_FILE}（可用环境变量 API_KEYS_FILE 指定）`);
+}
+
+function runDeviceCommand(command, deviceId) {
+  const store = loadCredentials(DEFAULT_CREDENTIALS_FILE);
+  
+  switch (command) {
+    case 'list': {
+      const devices = listCredentials(store);
+      if (devices.length === 0) {
+        console.log('没有设备凭据');
+        return;
+      }
+      devices.forEach(device => {
+        console.log(`${device.device_id}\t${device.status}\t创建 ${device.created_at}` +
+          (device.rotated_at ? `\t更换 ${device.rotated_at}` : '') +
+          (device.revoked_at ? `\t吊销 ${device.revoked_at}` : ''));
+      });
+      return;
+    }
+    
+    case 'provision':
+    case 'rotate': {
+      if (!deviceId) {
+        throw new Error('缺少 device_id');
+      }
+      const secret = command === 'provision' ? provisionDevice(store, deviceId) : rotateDevice(store, deviceId);
+      saveCredentials(DEFAULT_CREDENTIALS_FILE, store);
+      console.log(`设备 ${deviceId} 的密钥（只显示这一次，请写入设备配置）:`);
+      console.log(secret);
+      return;
+    }
+    
+    case 'revoke':
+      if (!deviceId) {
+        throw new Error('缺少 device_id');
+      }
+      revokeDevice(store, deviceId);
+      saveCredentials(DEFAULT_CREDENTIALS_FILE, store);
+      console.log(`设备 ${deviceId} 的凭据已吊销`);
+      return;
+    
+    default:
+      printUsage();
+      process.exitCode = 1;
+  }
+}
+
+function runKeyCommand(command, argument, role) {
+  const store = loadApiKeys(DEFAULT_API_KEYS_FILE);
+  
+  switch (command) {
+    case 'list': {
+      const keys = listApiKeys(store);
+      if (keys.length === 0) {
+        console.log('没有 API 密钥');
+        return;
+      }
+      keys.forEach(key => {
+        console.log(`${key.id}\t${key.role}\t${key.status}\t${key.name}\t创建 ${key.created_at}` +
+          (key.revoked_at ? `\t吊销 ${key.revoked_at}` : ''));
+      });
+      return;
+    }
+    
+    case 'create': {
+      const { id, key } = createApiKey(store, argument, role);
+      saveApiKeys(DEFAULT_API_KEYS_FILE, store);
+      console.log(`API 密钥 ${id}（${role}）已创建，只显示这一次:`);
+      console.log(key);
+      return;
+    }
+    
+    case 'revoke':
+      if (!argument) {
+        throw new Error('缺少 key_id');
+      }
+      revokeApiKey(store, argument);
+      saveApiKeys(DEFAULT_API_KEYS_FILE, store);
+      console.log(`API 密钥 ${argument} 已吊销`);
+      return;
+    
+    default:
+      printUsage();
+      process.exitCode = 1;
+  }
+}
+
+const [scope, command, argument, extra] = process.argv.slice(2);
+
+try {
+  if (scope === 'device') {
+    runDeviceCommand(command, argument);
+  } else if (scope === 'key') {
+    runKeyCommand(command, argument, extra);
+  } else {
+    printUsage();
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`错误: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,213 @@
+/**
+ * 设备凭据
+ * 每台设备预先分配一个随机密钥，磁盘上只保存密钥的两次哈希（stored_key），泄露后也无法冒充设备。
+ * 注册时使用挑战-应答（与 SCRAM 相同的构造）：
+ *
+ *   client_key = SHA256(secret)                            （secret 为 hex 字符串本身）
+ *   stored_key = SHA256(client_key)                        （服务器保存）
+ *   signature  = HMAC-SHA256(stored_key, "<device_id>:<nonce>")
+ *   proof      = client_key XOR signature                   （设备发送，hex）
+ *
+ * 服务器由 proof XOR signature 还原 client_key，校验 SHA256(client_key) 是否等于 stored_key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 凭据文件，服务器和命令行工具共用
+const DEFAULT_CREDENTIALS_FILE = process.env.DEVICE_CREDENTIALS_FILE ||
+  path.join(__dirname, 'data', 'device-credentials.json');
+
+// 设备ID只允许字母、数字和 _ - . :
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function xorBuffers(a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]));
+}
+
+// 设备签名的消息
+function authMessage(deviceId, nonce) {
+  return `${deviceId}:${nonce}`;
+}
+
+/**
+ * 生成新的设备密钥（32字节随机数，hex）
+ * @returns {string}
+ */
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * 由设备密钥计算服务器保存的 stored_key
+ * @param {string} secret - 设备密钥
+ * @returns {string} hex
+ */
+function deriveStoredKey(secret) {
+  return sha256(sha256(secret)).toString('hex');
+}
+
+/**
+ * 生成注册挑战的随机数
+ * @returns {string} hex
+ */
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 设备端计算挑战的应答（供测试客户端和设备固件参考）
+ * @param {string} deviceId - 设备ID
+ * @param {string} nonce - 服务器下发的随机数
+ * @param {string} secret - 设备密钥
+ * @returns {string} proof（hex）
+ */
+function computeAuthProof(deviceId, nonce, secret) {
+  const clientKey = sha256(secret);
+  const storedKey = sha256(clientKey);
+  const signature = crypto.createHmac('sha256', storedKey).update(authMessage(deviceId, nonce)).digest();
+  return xorBuffers(clientKey, signature).toString('hex');
+}
+
+/**
+ * 校验设备的应答
+ * @param {string} storedKey - 服务器保存的 stored_key
+ * @param {string} deviceId - 设备ID
+ * @param {string} nonce - 本次挑战的随机数
+ * @param {string} proof - 设备发送的应答
+ * @returns {boolean}
+ */
+function verifyAuthProof(storedKey, deviceId, nonce, proof) {
+  if (typeof proof !== 'string' || !/^[0-9a-f]{64}$/i.test(proof)) return false;
+  
+  const key = Buffer.from(storedKey, 'hex');
+  const signature = crypto.createHmac('sha256', key).update(authMessage(deviceId, nonce)).digest();
+  const clientKey = xorBuffers(Buffer.from(proof, 'hex'), signature);
+  return key.length === clientKey.length && crypto.timingSafeEqual(sha256(clientKey), key);
+}
+
+/**
+ * 读取凭据文件，文件不存在时返回空的凭据库
+ * @param {string} file - 凭据文件路径
+ * @returns {object} { devices: { [device_id]: { stored_key, status, created_at, rotated_at, revoked_at } } }
+ * @throws {Error} 文件无法解析时
+ */
+function loadCredentials(file) {
+  if (!fs.existsSync(file)) {
+    return { devices: {} };
+  }
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!store || typeof store.devices !== 'object' || store.devices === null) {
+    throw new Error('凭据文件必须包含 devices 对象');
+  }
+  return store;
+}
+
+/**
+ * 保存凭据文件（先写临时文件再改名，避免服务器读到写了一半的文件）
+ * @param {string} file - 凭据文件路径
+ * @param {object} store - 凭据库
+ */
+function saveCredentials(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * 为设备分配密钥；已有有效凭据时报错（应使用 rotateDevice）
+ * @param {object} store - 凭据库
+ * @param {string} deviceId - 设备ID
+ * @returns {string} 新密钥（只在此时返回一次）
+ * @throws {Error} 设备ID无效或已分配时
+ */
+function provisionDevice(store, deviceId) {
+  if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+    throw new Error(`设备ID无效: ${deviceId}（1-64个字母、数字或 _ - . :）`);
+  }
+  const existing = store.devices[deviceId];
+  if (existing && existing.status === 'active') {
+    throw new Error(`设备 ${deviceId} 已有有效凭据，请使用 rotate 更换密钥`);
+  }
+  
+  const secret = generateDeviceSecret();
+  store.devices[deviceId] = {
+    stored_key: deriveStoredKey(secret),
+    status: 'active',
+    created_at: new Date().toISOString(),
+    rotated_at: null,
+    revoked_at: null
+  };
+  return secret;
+}
+
+/**
+ * 更换设备密钥，旧密钥立即失效
+ * @param {object} store - 凭据库
+ * @param {string} deviceId - 设备ID
+ * @returns {string} 新密钥
+ * @throws {Error} 设备没有有效凭据时
+ */
+function rotateDevice(store, deviceId) {
+  const credential = store.devices[deviceId];
+  if (!credential || credential.status !== 'active') {
+    throw new Error(`设备 ${deviceId} 没有有效凭据`);
+  }
+  
+  const secret = generateDeviceSecret();
+  credential.stored_key = deriveStoredKey(secret);
+  credential.rotated_at = new Date().toISOString();
+  return secret;
+}
+
+/**
+ * 吊销设备凭据（保留记录，之后可重新 provision）
+ * @param {object} store - 凭据库
+ * @param {string} deviceId - 设备ID
+ * @throws {Error} 设备没有有效凭据时
+ */
+function revokeDevice(store, deviceId) {
+  const credential = store.devices[deviceId];
+  if (!credential || credential.status !== 'active') {
+    throw new Error(`设备 ${deviceId} 没有有效凭据`);
+  }
+  
+  credential.status = 'revoked';
+  credential.revoked_at = new Date().toISOString();
+}
+
+/**
+ * 凭据列表（不含 stored_key）
+ * @param {object} store - 凭据库
+ * @returns {Array<object>}
+ */
+function listCredentials(store) {
+  return Object.entries(store.devices).map(([deviceId, credential]) => ({
+    device_id: deviceId,
+    status: credential.status,
+    created_at: credential.created_at,
+    rotated_at: credential.rotated_at,
+    revoked_at: credential.revoked_at
+  }));
+}
+
+module.exports = {
+  DEFAULT_CREDENTIALS_FILE,
+  generateDeviceSecret,
+  deriveStoredKey,
+  generateNonce,
+  computeAuthProof,
+  verifyAuthProof,
+  loadCredentials,
+  saveCredentials,
+  provisionDevice,
+  rotateDevice,
+  revokeDevice,
+  listCredentials
+};
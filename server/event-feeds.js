@@ -0,0 +1,338 @@
+/**
+ * 地震事件目录的标准格式：QuakeML 1.2 和 USGS 实时数据源格式的 GeoJSON
+ * 输入为事件的对外表示（与 /api/events 相同），台站信息由调用方提供：
+ *
+ *   stationInfo(deviceId) -> { network, station, location, latitude, longitude, site }
+ *
+ * 其中坐标和站点名称未知时为null。未定位的事件没有震源：QuakeML 中不含 origin，GeoJSON 中 geometry 为null
+ */
+
+const { haversineDistance } = require('../earthquake-algorithm');
+
+// 由震中到台站的距离（km）换算为度
+const KM_PER_DEGREE = 111.195;
+
+// QuakeML 资源标识中允许的字符
+const RESOURCE_ID_PATTERN = /[^\w\-.*()~'+?=,;#/&]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 事件的发震时刻：已定位时为定位的发震时刻，否则为首台触发时间
+ * @param {object} event - 事件的对外表示
+ * @returns {number} 毫秒
+ */
+function eventTime(event) {
+  return Date.parse(event.location ? event.location.origin_time : event.start_time);
+}
+
+/**
+ * 按时间和震级过滤事件（没有震级的事件在指定了震级条件时排除）
+ * @param {Array<object>} events - 事件的对外表示
+ * @param {object} filters - { from, to（毫秒）, minMagnitude, maxMagnitude }，未指定的项为undefined
+ * @returns {Array<object>}
+ */
+function filterEvents(events, filters) {
+  return events.filter(event => {
+    const time = eventTime(event);
+    if (filters.from !== undefined && time < filters.from) return false;
+    if (filters.to !== undefined && time > filters.to) return false;
+    
+    const magnitude = event.magnitude ? event.magnitude.value : null;
+    if (filters.minMagnitude !== undefined && (magnitude === null || magnitude < filters.minMagnitude)) return false;
+    if (filters.maxMagnitude !== undefined && (magnitude === null || magnitude > filters.maxMagnitude)) return false;
+    return true;
+  });
+}
+
+// 离震中最近的有坐标的台站：{ device_id, name, distance（km）}，没有时为null
+function nearestStation(event, stationInfo) {
+  if (!event.location) return null;
+  let nearest = null;
+  event.devices.forEach(entry => {
+    const station = stationInfo(entry.device_id);
+    if (station.latitude === null || station.longitude === null) return;
+    const distance = haversineDistance(event.location.latitude, event.location.longitude,
+      station.latitude, station.longitude);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { device_id: entry.device_id, name: station.site || entry.device_id, distance };
+    }
+  });
+  return nearest;
+}
+
+// 事件的位置描述（对应 USGS 的 place）
+function describePlace(event, stationInfo) {
+  const nearest = nearestStation(event, stationInfo);
+  if (nearest) {
+    return `距 ${nearest.name} ${nearest.distance.toFixed(1)} km`;
+  }
+  const first = event.devices[0];
+  if (!first) return null;
+  const name = stationInfo(first.device_id).site || first.device_id;
+  return event.location ? `${name} 附近` : `${name} 附近（未定位）`;
+}
+
+/**
+ * 生成 GeoJSON FeatureCollection，属性与 USGS 实时数据源相同，另加烈度、峰值和台站列表
+ * @param {Array<object>} events - 事件的对外表示（新事件在前）
+ * @param {object} options
+ * @param {Function} options.stationInfo - 台站信息
+ * @param {string} options.network - 台网代码（对应 USGS 的 net）
+ * @param {string} options.baseUrl - 服务器地址，用于各事件的 url
+ * @param {string} options.url - 本次请求的地址
+ * @param {number} [options.generated=Date.now()] - 生成时间（毫秒）
+ * @returns {object}
+ */
+function buildGeoJson(events, options) {
+  const generated = options.generated !== undefined ? options.generated : Date.now();
+  const net = options.network.toLowerCase();
+  
+  const features = events.map(event => {
+    const magnitude = event.magnitude ? event.magnitude.value : null;
+    const place = describePlace(event, options.stationInfo);
+    const nearest = nearestStation(event, options.stationInfo);
+    const detail = `${options.baseUrl}/api/events/${encodeURIComponent(event.event_id)}`;
+    
+    return {
+      type: 'Feature',
+      id: `${net}${event.event_id}`,
+      properties: {
+        mag: magnitude,
+        place,
+        time: eventTime(event),
+        updated: Date.parse(event.updated_at),
+        tz: null,
+        url: detail,
+        detail,
+        felt: null,
+        cdi: null,
+        mmi: event.max_intensity.china,
+        alert: null,
+        status: 'automatic',
+        tsunami: 0,
+        sig: null,
+        net,
+        code: event.event_id,
+        ids: `,${net}${event.event_id},`,
+        sources: `,${net},`,
+        types: event.location ? ',origin,magnitude,' : (magnitude !== null ? ',magnitude,' : ','),
+        nst: event.device_count,
+        dmin: nearest ? parseFloat((nearest.distance / KM_PER_DEGREE).toFixed(4)) : null,
+        rms: event.location && event.location.rms !== undefined ? event.location.rms : null,
+        gap: null,
+        magType: event.magnitude ? event.magnitude.type.toLowerCase() : null,
+        type: 'earthquake',
+        title: `${magnitude !== null ? `M ${magnitude.toFixed(1)}` : '地震事件'}${place ? ` - ${place}` : ''}`,
+        state: event.state,
+        duration: event.duration,
+        magnitude_source: event.magnitude ? event.magnitude.source : null,
+        china_intensity: event.max_intensity.china,
+        china_intensity_level: event.max_intensity.china_level,
+        jma_intensity: event.max_intensity.jma,
+        jma_scale: event.max_intensity.jma_scale,
+        max_intensity_station: event.max_intensity.device_id,
+        pga: event.peak_pga,
+        pgv: event.peak_pgv,
+        horizontal_error: event.location ? event.location.horizontal_uncertainty_km : null,
+        stations: `,${event.devices.map(entry => entry.device_id).join(',')},`
+      },
+      geometry: event.location ? {
+        type: 'Point',
+        coordinates: [event.location.longitude, event.location.latitude, event.location.depth]
+      } : null
+    };
+  });
+  
+  const collection = {
+    type: 'FeatureCollection',
+    metadata: {
+      generated,
+      url: options.url,
+      title: '地震检测平台事件目录',
+      status: 200,
+      api: '1.0.0',
+      count: features.length
+    },
+    features
+  };
+  
+  // 范围框：[最小经度, 最小纬度, 最小深度, 最大经度, 最大纬度, 最大深度]
+  const points = features.filter(feature => feature.geometry).map(feature => feature.geometry.coordinates);
+  if (points.length > 0) {
+    const min = i => Math.min(...points.map(point => point[i]));
+    const max = i => Math.max(...points.map(point => point[i]));
+    collection.bbox = [min(0), min(1), min(2), max(0), max(1), max(2)];
+  }
+  return collection;
+}
+
+// 生成 QuakeML 中的一个事件
+function quakeMlEvent(event, options) {
+  const id = event.event_id.replace(RESOURCE_ID_PATTERN, '_');
+  const ref = kind => `smi:${options.authority}/${kind}/${id}`;
+  const originId = event.location ? ref('origin') : null;
+  const lines = [];
+  const push = (indent, text) => lines.push(`${'  '.repeat(indent)}${text}`);
+  
+  push(2, `<event publicID="${escapeXml(ref('event'))}">`);
+  
+  const place = describePlace(event, options.stationInfo);
+  if (place) {
+    push(3, '<description>');
+    push(4, `<text>${escapeXml(place)}</text>`);
+    push(4, '<type>nearest cities</type>');
+    push(3, '</description>');
+  }
+  
+  // 最大烈度和峰值没有对应的 QuakeML 元素，写在注释中
+  const intensity = event.max_intensity;
+  const summary = [
+    `state=${event.state}`,
+    `duration_s=${event.duration}`,
+    intensity.china !== null ? `china_intensity=${intensity.china} (${intensity.china_level})` : null,
+    intensity.jma !== null ? `jma_intensity=${intensity.jma} (${intensity.jma_scale})` : null,
+    intensity.device_id ? `max_intensity_station=${intensity.device_id}` : null,
+    event.peak_pga !== null ? `pga_m_s2=${event.peak_pga}` : null,
+    event.peak_pgv !== null ? `pgv_m_s=${event.peak_pgv}` : null
+  ].filter(item => item !== null);
+  push(3, `<comment id="${escapeXml(ref('comment'))}">`);
+  push(4, `<text>${escapeXml(summary.join('; '))}</text>`);
+  push(3, '</comment>');
+  
+  if (event.location) {
+    const location = event.location;
+    push(3, `<origin publicID="${escapeXml(originId)}">`);
+    push(4, '<time>');
+    push(5, `<value>${escapeXml(location.origin_time)}</value>`);
+    if (location.origin_time_uncertainty_s !== undefined) {
+      push(5, `<uncertainty>${location.origin_time_uncertainty_s}</uncertainty>`);
+    }
+    push(4, '</time>');
+    push(4, `<latitude><value>${location.latitude}</value></latitude>`);
+    push(4, `<longitude><value>${location.longitude}</value></longitude>`);
+    push(4, `<depth><value>${location.depth * 1000}</value></depth>`);
+    push(4, '<depthType>operator assigned</depthType>');
+    if (location.station_count !== undefined || location.rms !== undefined) {
+      push(4, '<quality>');
+      if (location.station_count !== undefined) {
+        push(5, `<usedStationCount>${location.station_count}</usedStationCount>`);
+      }
+      if (location.rms !== undefined) {
+        push(5, `<standardError>${location.rms}</standardError>`);
+      }
+      push(4, '</quality>');
+    }
+    push(4, '<originUncertainty>');
+    push(5, `<horizontalUncertainty>${location.horizontal_uncertainty_km * 1000}</horizontalUncertainty>`);
+    push(5, '<preferredDescription>horizontal uncertainty</preferredDescription>');
+    push(4, '</originUncertainty>');
+    push(4, '<evaluationMode>automatic</evaluationMode>');
+    push(4, '<evaluationStatus>preliminary</evaluationStatus>');
+    push(3, '</origin>');
+  }
+  
+  const stationMagnitudes = event.devices.filter(entry => entry.magnitude !== null);
+  if (event.magnitude) {
+    push(3, `<magnitude publicID="${escapeXml(ref('magnitude'))}">`);
+    push(4, `<mag><value>${event.magnitude.value}</value></mag>`);
+    push(4, `<type>${escapeXml(event.magnitude.type)}</type>`);
+    if (originId) {
+      push(4, `<originID>${escapeXml(originId)}</originID>`);
+    }
+    const stationCount = event.magnitude.station_count !== undefined ?
+      event.magnitude.station_count : stationMagnitudes.length;
+    if (stationCount > 0) {
+      push(4, `<stationCount>${stationCount}</stationCount>`);
+    }
+    push(4, '<evaluationMode>automatic</evaluationMode>');
+    push(4, '<evaluationStatus>preliminary</evaluationStatus>');
+    push(3, '</magnitude>');
+  }
+  
+  // 参与的台站：各台站的 ML 和 PGA、PGV
+  event.devices.forEach(entry => {
+    const station = options.stationInfo(entry.device_id);
+    const stationId = `${id}/${entry.device_id.replace(RESOURCE_ID_PATTERN, '_')}`;
+    const waveformId = `<waveformID networkCode="${escapeXml(station.network)}" ` +
+      `stationCode="${escapeXml(station.station)}" locationCode="${escapeXml(station.location)}"/>`;
+    
+    [['pga', 'PGA', 'm/(s*s)'], ['pgv', 'PGV', 'm/s']].forEach(([key, type, unit]) => {
+      if (entry[key] === null) return;
+      push(3, `<amplitude publicID="smi:${escapeXml(options.authority)}/amplitude/${escapeXml(stationId)}/${key}">`);
+      push(4, `<genericAmplitude><value>${entry[key]}</value></genericAmplitude>`);
+      push(4, `<type>${type}</type>`);
+      push(4, `<unit>${unit}</unit>`);
+      push(4, waveformId);
+      push(4, '<evaluationMode>automatic</evaluationMode>');
+      push(3, '</amplitude>');
+    });
+    
+    if (entry.magnitude !== null) {
+      push(3, `<stationMagnitude publicID="smi:${escapeXml(options.authority)}/stationmagnitude/${escapeXml(stationId)}">`);
+      if (originId) {
+        push(4, `<originID>${escapeXml(originId)}</originID>`);
+      }
+      push(4, `<mag><value>${entry.magnitude}</value></mag>`);
+      push(4, '<type>ML</type>');
+      push(4, waveformId);
+      push(3, '</stationMagnitude>');
+    }
+  });
+  
+  if (originId) {
+    push(3, `<preferredOriginID>${escapeXml(originId)}</preferredOriginID>`);
+  }
+  if (event.magnitude) {
+    push(3, `<preferredMagnitudeID>${escapeXml(ref('magnitude'))}</preferredMagnitudeID>`);
+  }
+  push(3, '<type>earthquake</type>');
+  push(3, '<typeCertainty>suspected</typeCertainty>');
+  push(3, '<creationInfo>');
+  push(4, `<agencyID>${escapeXml(options.network)}</agencyID>`);
+  push(4, `<creationTime>${escapeXml(event.updated_at)}</creationTime>`);
+  push(3, '</creationInfo>');
+  push(2, '</event>');
+  return lines.join('\n');
+}
+
+/**
+ * 生成 QuakeML 1.2 文档
+ * @param {Array<object>} events - 事件的对外表示
+ * @param {object} options
+ * @param {Function} options.stationInfo - 台站信息
+ * @param {string} options.network - 机构代码（agencyID）
+ * @param {string} options.authority - 资源标识的命名空间，如 smi:<authority>/event/<event_id>
+ * @param {number} [options.generated=Date.now()] - 生成时间（毫秒）
+ * @returns {string}
+ */
+function buildQuakeMl(events, options) {
+  const generated = options.generated !== undefined ? options.generated : Date.now();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<q:quakeml xmlns:q="http://quakeml.org/xmlns/quakeml/1.2" xmlns="http://quakeml.org/xmlns/bed/1.2">',
+    `  <eventParameters publicID="smi:${escapeXml(options.authority)}/eventParameters/${generated}">`,
+    ...events.map(event => quakeMlEvent(event, options)),
+    '    <creationInfo>',
+    `      <agencyID>${escapeXml(options.network)}</agencyID>`,
+    `      <creationTime>${new Date(generated).toISOString()}</creationTime>`,
+    '    </creationInfo>',
+    '  </eventParameters>',
+    '</q:quakeml>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  eventTime,
+  filterEvents,
+  buildGeoJson,
+  buildQuakeMl
+};
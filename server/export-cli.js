@@ -0,0 +1,111 @@
+/**
+ * 波形导出命令行工具
+ * 只读打开波形存档和事件目录，服务器运行时也可使用（最近约1秒内尚未写入磁盘的波形不包含在内）
+ *
+ *   node export-cli.js event <event_id> [output.tar.gz]
+ *   node export-cli.js device <device_id> <from> <to> [output.mseed]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TimeSeriesStore } = require('./time-series-store');
+const { DEFAULT_SEED_STATIONS_FILE, loadSeedStations } = require('./miniseed');
+const {
+  DEFAULT_WAVEFORM_DIR,
+  WaveformArchive,
+  buildDeviceMiniSeed,
+  exportEventWaveforms
+} = require('./waveform-archive');
+
+// 服务器保存的事件目录
+const EVENT_CATALOG_FILE = path.join(__dirname, 'data', 'event-catalog.json');
+
+function printUsage() {
+  console.log('用法:');
+  console.log('  node export-cli.js event <event_id> [output.tar.gz]                导出事件中全部台站的波形');
+  console.log('  node export-cli.js device <device_id> <from> <to> [output.mseed]   导出设备在时间范围内的波形');
+  console.log('时间为 ISO 时间或毫秒时间戳');
+  console.log(`波形存档: ${DEFAULT_WAVEFORM_DIR}（可用环境变量 WAVEFORM_DIR 指定）`);
+  console.log(`台站代码: ${DEFAULT_SEED_STATIONS_FILE}（可用环境变量 SEED_STATIONS_FILE 指定）`);
+}
+
+function openArchive() {
+  if (!fs.existsSync(DEFAULT_WAVEFORM_DIR)) {
+    throw new Error(`波形存档不存在: ${DEFAULT_WAVEFORM_DIR}`);
+  }
+  return new WaveformArchive(new TimeSeriesStore({ dir: DEFAULT_WAVEFORM_DIR, readOnly: true }));
+}
+
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value || '') ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`${name} 无效: ${value}`);
+  }
+  return time;
+}
+
+async function exportEvent(eventId, output) {
+  if (!eventId) {
+    throw new Error('缺少 event_id');
+  }
+  const catalog = fs.existsSync(EVENT_CATALOG_FILE) ? JSON.parse(fs.readFileSync(EVENT_CATALOG_FILE, 'utf8')) : [];
+  const event = catalog.find(candidate => candidate.event_id === eventId);
+  if (!event) {
+    throw new Error(`事件 ${eventId} 不在事件目录中: ${EVENT_CATALOG_FILE}`);
+  }
+  
+  const stations = loadSeedStations(DEFAULT_SEED_STATIONS_FILE);
+  const { buffer, manifest } = await exportEventWaveforms(openArchive(), stations, event);
+  const file = output || `${eventId}.tar.gz`;
+  fs.writeFileSync(file, buffer);
+  
+  console.log(`事件 ${eventId} 的波形已导出到 ${file}`);
+  manifest.devices.forEach(entry => {
+    if (entry.file === null) {
+      console.log(`  ${entry.device_id}\t没有波形数据`);
+      return;
+    }
+    const samples = entry.segments.reduce((sum, segment) => sum + segment.sample_count, 0);
+    console.log(`  ${entry.device_id}\t${entry.network}.${entry.station}.${entry.location}\t` +
+      `${entry.sample_rate}Hz\t${samples} 个样本\t${entry.segments.length} 段`);
+  });
+}
+
+async function exportDevice(deviceId, fromValue, toValue, output) {
+  if (!deviceId) {
+    throw new Error('缺少 device_id');
+  }
+  const from = parseTime(fromValue, 'from');
+  const to = parseTime(toValue, 'to');
+  if (from >= to) {
+    throw new Error('from 必须早于 to');
+  }
+  
+  const stations = loadSeedStations(DEFAULT_SEED_STATIONS_FILE);
+  const samples = await openArchive().readSamples(deviceId, from, to);
+  const mseed = buildDeviceMiniSeed(stations, deviceId, samples);
+  if (!mseed) {
+    throw new Error(`设备 ${deviceId} 在该时间范围内没有波形数据`);
+  }
+  const file = output || `${deviceId.replace(/[^A-Za-z0-9_.-]/g, '_')}.mseed`;
+  fs.writeFileSync(file, mseed.buffer);
+  console.log(`设备 ${deviceId}（${mseed.network}.${mseed.station}.${mseed.location}，${mseed.sample_rate}Hz，` +
+    `${samples.length} 个样本，${mseed.segments.length} 段）的波形已导出到 ${file}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'event') {
+    await exportEvent(args[0], args[1]);
+  } else if (command === 'device') {
+    await exportDevice(args[0], args[1], args[2], args[3]);
+  } else {
+    printUsage();
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`错误: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,289 @@
+/**
+ * MiniSEED（SEED 2.4 数据记录）编码和 SEED 台站代码配置
+ * 每个通道的波形写成定长 4096 字节的记录（大端序），样本为 IEEE float32（编码 4），
+ * 每条记录带 1000（编码和记录长度）、1001（微秒时间）、100（实际采样率）三个子块，
+ * ObsPy、libmseed 等工具都能直接读取。
+ *
+ * 台站代码配置文件（config/seed-stations.json）：
+ *
+ *   {
+ *     "defaults": { "network": "XX", "location": "00" },
+ *     "devices": {
+ *       "device_001": { "network": "XX", "station": "ST001", "location": "00",
+ *                       "channels": { "ax": "HNE", "ay": "HNN", "az": "HNZ" } }
+ *     }
+ *   }
+ *
+ * 未配置的项使用默认值：台网 XX（SEED 预留给临时台网的代码），台站取设备ID中的字母和数字（最后5个），
+ * 通道代码由采样率确定频带代码，加速度计为 N、转动传感器（陀螺仪）为 J，方向 ax/gx 为 1、ay/gy 为 2、az/gz 为 Z
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 导出的通道：加速度（m/s²）和角速度（rad/s）
+const MSEED_AXES = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+// 台站代码配置文件
+const DEFAULT_SEED_STATIONS_FILE = process.env.SEED_STATIONS_FILE ||
+  path.join(__dirname, 'config', 'seed-stations.json');
+
+const RECORD_LENGTH = 4096;
+const RECORD_LENGTH_EXPONENT = 12;
+const DATA_OFFSET = 128;
+const SAMPLES_PER_RECORD = (RECORD_LENGTH - DATA_OFFSET) / 4;
+const ENCODING_FLOAT32 = 4;
+
+const DEFAULT_NETWORK = 'XX';
+const DEFAULT_LOCATION = '00';
+const DEFAULT_ORIENTATION = { ax: '1', ay: '2', az: 'Z', gx: '1', gy: '2', gz: 'Z' };
+
+// 各代码允许的格式（SEED 2.4：大写字母和数字，位置代码可为空）
+const CODE_PATTERNS = {
+  network: /^[A-Z0-9]{1,2}$/,
+  station: /^[A-Z0-9]{1,5}$/,
+  location: /^[A-Z0-9]{0,2}$/,
+  channel: /^[A-Z0-9]{3}$/
+};
+
+/**
+ * 校验台站代码配置
+ * @param {object} config - { defaults, devices }
+ * @returns {Array<string>} 错误信息列表，为空表示有效
+ */
+function validateSeedStations(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    return ['配置必须是对象'];
+  }
+  
+  const checkCodes = (entry, where, keys) => {
+    keys.forEach(key => {
+      if (entry[key] !== undefined && (typeof entry[key] !== 'string' || !CODE_PATTERNS[key].test(entry[key]))) {
+        errors.push(`${where}.${key} 无效: ${JSON.stringify(entry[key])}`);
+      }
+    });
+  };
+  
+  if (config.defaults !== undefined) {
+    if (typeof config.defaults !== 'object' || config.defaults === null) {
+      errors.push('defaults 必须是对象');
+    } else {
+      checkCodes(config.defaults, 'defaults', ['network', 'location']);
+    }
+  }
+  
+  if (config.devices !== undefined) {
+    if (typeof config.devices !== 'object' || config.devices === null) {
+      errors.push('devices 必须是对象');
+      return errors;
+    }
+    Object.entries(config.devices).forEach(([deviceId, entry]) => {
+      const where = `devices.${deviceId}`;
+      if (typeof entry !== 'object' || entry === null) {
+        errors.push(`${where} 必须是对象`);
+        return;
+      }
+      checkCodes(entry, where, ['network', 'station', 'location']);
+      if (entry.channels === undefined) return;
+      if (typeof entry.channels !== 'object' || entry.channels === null) {
+        errors.push(`${where}.channels 必须是对象`);
+        return;
+      }
+      Object.entries(entry.channels).forEach(([axis, channel]) => {
+        if (!MSEED_AXES.includes(axis)) {
+          errors.push(`${where}.channels 中的轴无效: ${axis}（可选 ${MSEED_AXES.join('、')}）`);
+        } else if (typeof channel !== 'string' || !CODE_PATTERNS.channel.test(channel)) {
+          errors.push(`${where}.channels.${axis} 无效: ${JSON.stringify(channel)}`);
+        }
+      });
+    });
+  }
+  return errors;
+}
+
+/**
+ * 读取台站代码配置，文件不存在时返回空配置（全部使用默认代码）
+ * @param {string} file - 配置文件路径
+ * @returns {object} { defaults, devices }
+ * @throws {Error} 文件无法解析或配置无效时
+ */
+function loadSeedStations(file) {
+  if (!fs.existsSync(file)) {
+    return { defaults: {}, devices: {} };
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateSeedStations(config);
+  if (errors.length > 0) {
+    const error = new Error(`台站代码配置无效: ${errors.join('；')}`);
+    error.details = errors;
+    throw error;
+  }
+  return { defaults: config.defaults || {}, devices: config.devices || {} };
+}
+
+/**
+ * 由采样率确定 SEED 频带代码（MEMS 传感器按宽频带处理，响应平坦到直流）
+ * @param {number} sampleRate - 采样率（Hz）
+ * @returns {string}
+ */
+function bandCode(sampleRate) {
+  if (sampleRate >= 1000) return 'F';
+  if (sampleRate >= 250) return 'C';
+  if (sampleRate >= 80) return 'H';
+  if (sampleRate >= 10) return 'B';
+  if (sampleRate > 1) return 'M';
+  return 'L';
+}
+
+// 由设备ID生成默认台站代码：取字母和数字的最后5个，转为大写
+function defaultStationCode(deviceId) {
+  const code = String(deviceId).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(-5);
+  return code || 'STA';
+}
+
+/**
+ * 取设备的台网、台站、位置代码
+ * @param {object} config - 台站代码配置
+ * @param {string} deviceId - 设备ID
+ * @returns {object} { network, station, location }
+ */
+function resolveStationCodes(config, deviceId) {
+  const defaults = config.defaults || {};
+  const entry = (config.devices || {})[deviceId] || {};
+  return {
+    network: entry.network || defaults.network || DEFAULT_NETWORK,
+    station: entry.station || defaultStationCode(deviceId),
+    location: entry.location !== undefined ? entry.location :
+      (defaults.location !== undefined ? defaults.location : DEFAULT_LOCATION)
+  };
+}
+
+/**
+ * 取设备的 SEED 代码（含各轴的通道代码）
+ * @param {object} config - 台站代码配置
+ * @param {string} deviceId - 设备ID
+ * @param {number} sampleRate - 采样率（Hz），用于默认通道代码的频带
+ * @returns {object} { network, station, location, channels: { ax: 'HN1', ... } }
+ */
+function resolveSeedCodes(config, deviceId, sampleRate) {
+  const entry = (config.devices || {})[deviceId] || {};
+  const band = bandCode(sampleRate);
+  
+  const channels = {};
+  MSEED_AXES.forEach(axis => {
+    const instrument = axis[0] === 'a' ? 'N' : 'J';
+    channels[axis] = (entry.channels && entry.channels[axis]) ||
+      `${band}${instrument}${DEFAULT_ORIENTATION[axis]}`;
+  });
+  
+  return { ...resolveStationCodes(config, deviceId), channels };
+}
+
+// 采样率因子和乘数：rate = factor / -multiplier，multiplier 取使 factor 不超出 int16 的最大10的幂
+function sampleRateFactors(sampleRate) {
+  let multiplier = 1;
+  while (multiplier < 10000 && Math.round(sampleRate * multiplier * 10) <= 32767) {
+    multiplier *= 10;
+  }
+  return { factor: Math.round(sampleRate * multiplier), multiplier: -multiplier };
+}
+
+// 写入左对齐、空格填充的 ASCII 字段
+function writeAscii(buffer, offset, length, value) {
+  buffer.write(value.padEnd(length, ' ').slice(0, length), offset, length, 'ascii');
+}
+
+// 开始时间（毫秒，可含小数）拆为 BTIME 字段（0.0001 秒）和 -50~49 的微秒偏移
+function splitStartTime(time) {
+  const micros = Math.round(time * 1000);
+  const tenths = Math.round(micros / 100);
+  const date = new Date(Math.floor(tenths / 10000) * 1000);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  return {
+    year: date.getUTCFullYear(),
+    day: Math.floor((date.getTime() - yearStart) / 86400000) + 1,
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    fraction: tenths - Math.floor(tenths / 10000) * 10000,
+    microseconds: micros - tenths * 100
+  };
+}
+
+// 编码一条数据记录
+function encodeRecord(trace, sequence, startTime, samples) {
+  const record = Buffer.alloc(RECORD_LENGTH);
+  const start = splitStartTime(startTime);
+  const rate = sampleRateFactors(trace.sampleRate);
+  
+  // 固定头（48字节）
+  writeAscii(record, 0, 6, String(sequence % 1000000).padStart(6, '0'));
+  writeAscii(record, 6, 1, 'D');
+  writeAscii(record, 7, 1, ' ');
+  writeAscii(record, 8, 5, trace.station);
+  writeAscii(record, 13, 2, trace.location);
+  writeAscii(record, 15, 3, trace.channel);
+  writeAscii(record, 18, 2, trace.network);
+  record.writeUInt16BE(start.year, 20);
+  record.writeUInt16BE(start.day, 22);
+  record.writeUInt8(start.hour, 24);
+  record.writeUInt8(start.minute, 25);
+  record.writeUInt8(start.second, 26);
+  record.writeUInt16BE(start.fraction, 28);
+  record.writeUInt16BE(samples.length, 30);
+  record.writeInt16BE(rate.factor, 32);
+  record.writeInt16BE(rate.multiplier, 34);
+  record.writeUInt8(3, 39);                 // 子块数
+  record.writeUInt16BE(DATA_OFFSET, 44);
+  record.writeUInt16BE(48, 46);             // 第一个子块的位置
+  
+  // 子块 1000：编码、字节序（1 为大端）、记录长度（2 的幂）
+  record.writeUInt16BE(1000, 48);
+  record.writeUInt16BE(56, 50);
+  record.writeUInt8(ENCODING_FLOAT32, 52);
+  record.writeUInt8(1, 53);
+  record.writeUInt8(RECORD_LENGTH_EXPONENT, 54);
+  
+  // 子块 1001：微秒时间偏移
+  record.writeUInt16BE(1001, 56);
+  record.writeUInt16BE(64, 58);
+  record.writeInt8(start.microseconds, 61);
+  
+  // 子块 100：实际采样率
+  record.writeUInt16BE(100, 64);
+  record.writeUInt16BE(0, 66);
+  record.writeFloatBE(trace.sampleRate, 68);
+  
+  samples.forEach((value, i) => record.writeFloatBE(value, DATA_OFFSET + i * 4));
+  return record;
+}
+
+/**
+ * 把等间隔的连续波形编码为 MiniSEED 记录，各记录的开始时间按采样率由第一个样本推算，读取时首尾相接
+ * @param {Array<object>} traces - [{ network, station, location, channel, startTime（毫秒，可含小数）, sampleRate（Hz）, samples }]
+ * @returns {Buffer} 全部记录，序号从 000001 起连续编号
+ */
+function encodeMiniSeed(traces) {
+  const records = [];
+  let sequence = 1;
+  traces.forEach(trace => {
+    for (let i = 0; i < trace.samples.length; i += SAMPLES_PER_RECORD) {
+      const startTime = trace.startTime + i * 1000 / trace.sampleRate;
+      records.push(encodeRecord(trace, sequence++, startTime, trace.samples.slice(i, i + SAMPLES_PER_RECORD)));
+    }
+  });
+  return Buffer.concat(records);
+}
+
+module.exports = {
+  MSEED_AXES,
+  DEFAULT_SEED_STATIONS_FILE,
+  SAMPLES_PER_RECORD,
+  validateSeedStations,
+  loadSeedStations,
+  bandCode,
+  resolveStationCodes,
+  resolveSeedCodes,
+  encodeMiniSeed
+};
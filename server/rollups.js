@@ -0,0 +1,274 @@
+/**
+ * 历史数据降采样汇总
+ * 每台设备按 1秒、1分钟、1小时 三级时间桶汇总数据记录：各轴的最小、最大、平均和均方根值，
+ * 以及震级、烈度、PGA 的最大值。长时间范围的历史查询读取汇总而不是原始记录。
+ *
+ * 同一设备同一时间桶可能有多条汇总（服务器重启前后各一条、迟到的记录单独一条），
+ * 读取时用 mergeRollups 合并。
+ */
+
+// 汇总级别，由细到粗
+const ROLLUP_TIERS = [
+  { name: '1s', interval: 1000 },
+  { name: '1m', interval: 60 * 1000 },
+  { name: '1h', interval: 60 * 60 * 1000 }
+];
+
+const ROLLUP_AXES = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+// 取最大值的指标：汇总字段 -> 记录字段
+const ROLLUP_PEAKS = {
+  magnitude_max: 'magnitude',
+  intensity_max: 'intensity',
+  pga_max: 'pga'
+};
+
+function findTier(name) {
+  return ROLLUP_TIERS.find(tier => tier.name === name) || null;
+}
+
+// 新的空时间桶（内部表示，各轴保存和与平方和以便合并）
+function createBucket(deviceId, tier, start) {
+  const axes = {};
+  ROLLUP_AXES.forEach(axis => {
+    axes[axis] = { min: Infinity, max: -Infinity, sum: 0, sumSq: 0, count: 0 };
+  });
+  const peaks = {};
+  Object.keys(ROLLUP_PEAKS).forEach(key => { peaks[key] = null; });
+  return { deviceId, tier, start, count: 0, axes, peaks };
+}
+
+// 把一条数据记录计入时间桶，非数值的轴和指标跳过
+function addRecord(bucket, record) {
+  bucket.count++;
+  ROLLUP_AXES.forEach(axis => {
+    const value = Number(record[axis]);
+    if (record[axis] === null || record[axis] === undefined || !isFinite(value)) return;
+    const stats = bucket.axes[axis];
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+    stats.sum += value;
+    stats.sumSq += value * value;
+    stats.count++;
+  });
+  Object.entries(ROLLUP_PEAKS).forEach(([key, field]) => {
+    const value = record[field];
+    if (typeof value === 'number' && isFinite(value) &&
+        (bucket.peaks[key] === null || value > bucket.peaks[key])) {
+      bucket.peaks[key] = value;
+    }
+  });
+}
+
+// 把一个时间桶合并进另一个
+function mergeBucket(target, source) {
+  target.count += source.count;
+  ROLLUP_AXES.forEach(axis => {
+    const a = target.axes[axis];
+    const b = source.axes[axis];
+    a.min = Math.min(a.min, b.min);
+    a.max = Math.max(a.max, b.max);
+    a.sum += b.sum;
+    a.sumSq += b.sumSq;
+    a.count += b.count;
+  });
+  Object.keys(ROLLUP_PEAKS).forEach(key => {
+    const value = source.peaks[key];
+    if (value !== null && (target.peaks[key] === null || value > target.peaks[key])) {
+      target.peaks[key] = value;
+    }
+  });
+}
+
+/**
+ * 时间桶的对外表示（保存到存储和 API 返回的格式）
+ * @param {object} bucket - 内部时间桶
+ * @returns {object} { device_id, resolution, time, count, ax: { min, max, mean, rms, count }, ..., magnitude_max, intensity_max, pga_max }，
+ *   time 为桶的开始时间，没有数据的轴为null
+ */
+function serializeBucket(bucket) {
+  const result = {
+    device_id: bucket.deviceId,
+    resolution: bucket.tier,
+    time: new Date(bucket.start).toISOString(),
+    count: bucket.count
+  };
+  ROLLUP_AXES.forEach(axis => {
+    const stats = bucket.axes[axis];
+    result[axis] = stats.count > 0 ? {
+      min: stats.min,
+      max: stats.max,
+      mean: stats.sum / stats.count,
+      rms: Math.sqrt(stats.sumSq / stats.count),
+      count: stats.count
+    } : null;
+  });
+  return Object.assign(result, bucket.peaks);
+}
+
+// 由对外表示还原内部时间桶
+function parseBucket(rollup) {
+  const bucket = createBucket(rollup.device_id, rollup.resolution, Date.parse(rollup.time));
+  bucket.count = rollup.count;
+  ROLLUP_AXES.forEach(axis => {
+    const stats = rollup[axis];
+    if (!stats) return;
+    Object.assign(bucket.axes[axis], {
+      min: stats.min,
+      max: stats.max,
+      sum: stats.mean * stats.count,
+      sumSq: stats.rms * stats.rms * stats.count,
+      count: stats.count
+    });
+  });
+  Object.keys(ROLLUP_PEAKS).forEach(key => {
+    bucket.peaks[key] = rollup[key] !== undefined ? rollup[key] : null;
+  });
+  return bucket;
+}
+
+/**
+ * 合并同一设备同一时间桶的多条汇总，按时间升序返回
+ * @param {Array<object>} rollups - 对外表示的汇总
+ * @returns {Array<object>}
+ */
+function mergeRollups(rollups) {
+  const merged = new Map();
+  rollups.forEach(rollup => {
+    const key = `${rollup.device_id}\n${rollup.resolution}\n${rollup.time}`;
+    if (merged.has(key)) {
+      mergeBucket(merged.get(key), parseBucket(rollup));
+    } else {
+      merged.set(key, parseBucket(rollup));
+    }
+  });
+  return Array.from(merged.values())
+    .sort((a, b) => a.start - b.start)
+    .map(serializeBucket);
+}
+
+/**
+ * 按时间跨度和点数上限选择汇总级别：原始记录不超过上限时用原始数据，
+ * 否则用桶数不超过上限的最细级别，都超过时用最粗的级别
+ * @param {number} span - 时间跨度（毫秒）
+ * @param {number} maxPoints - 点数上限
+ * @param {number} rawCount - 范围内的原始记录数
+ * @param {number} [deviceCount=1] - 设备数
+ * @returns {string} 'raw' 或汇总级别名称
+ */
+function chooseRollupTier(span, maxPoints, rawCount, deviceCount = 1) {
+  if (rawCount <= maxPoints) return 'raw';
+  const tier = ROLLUP_TIERS.find(tier => Math.ceil(span / tier.interval) * deviceCount <= maxPoints);
+  return (tier || ROLLUP_TIERS[ROLLUP_TIERS.length - 1]).name;
+}
+
+/**
+ * 增量汇总：每台设备每个级别保持一个未关闭的时间桶，记录越过桶的结束时间时关闭旧桶并交给 onRollup
+ * 比当前桶更早的（迟到的）记录单独成桶立即交出，读取时合并
+ */
+class RollupBuilder {
+  /**
+   * @param {Function} onRollup - (tierName, rollup) 关闭一个时间桶时调用，rollup 为对外表示
+   */
+  constructor(onRollup) {
+    this.onRollup = onRollup;
+    this.open = new Map();  // 设备ID -> { 级别名称 -> 时间桶 }
+  }
+  
+  /**
+   * 计入一条记录
+   * @param {string} deviceId - 设备ID
+   * @param {number} time - 记录时间（毫秒）
+   * @param {object} record - 数据记录
+   */
+  add(deviceId, time, record) {
+    if (!this.open.has(deviceId)) {
+      this.open.set(deviceId, {});
+    }
+    const buckets = this.open.get(deviceId);
+    
+    ROLLUP_TIERS.forEach(tier => {
+      const start = Math.floor(time / tier.interval) * tier.interval;
+      let bucket = buckets[tier.name];
+      
+      if (bucket && start < bucket.start) {
+        const late = createBucket(deviceId, tier.name, start);
+        addRecord(late, record);
+        this.onRollup(tier.name, serializeBucket(late));
+        return;
+      }
+      if (bucket && start > bucket.start) {
+        this.onRollup(tier.name, serializeBucket(bucket));
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = createBucket(deviceId, tier.name, start);
+        buckets[tier.name] = bucket;
+      }
+      addRecord(bucket, record);
+    });
+  }
+  
+  /**
+   * 关闭结束时间早于 now - grace 的时间桶（设备停止发送数据时）
+   * @param {number} now - 当前时间（毫秒）
+   * @param {number} grace - 等待迟到记录的时间（毫秒）
+   */
+  closeIdle(now, grace) {
+    this.open.forEach((buckets, deviceId) => {
+      ROLLUP_TIERS.forEach(tier => {
+        const bucket = buckets[tier.name];
+        if (bucket && bucket.start + tier.interval + grace < now) {
+          this.onRollup(tier.name, serializeBucket(bucket));
+          delete buckets[tier.name];
+        }
+      });
+      if (Object.keys(buckets).length === 0) {
+        this.open.delete(deviceId);
+      }
+    });
+  }
+  
+  // 关闭全部时间桶（关闭服务器或重建结束时）
+  closeAll() {
+    this.closeIdle(Infinity, 0);
+  }
+  
+  /**
+   * 丢弃未关闭的时间桶（重建汇总或清空存储前）
+   * @param {string} [deviceId] - 设备ID，缺省时丢弃全部设备的
+   */
+  reset(deviceId) {
+    if (deviceId === undefined) {
+      this.open.clear();
+    } else {
+      this.open.delete(deviceId);
+    }
+  }
+  
+  /**
+   * 设备在某级别未关闭的时间桶（查询时与已保存的汇总合并）
+   * @param {string} tierName - 级别名称
+   * @param {string} [deviceId] - 设备ID，缺省时返回全部设备
+   * @returns {Array<object>} 对外表示
+   */
+  openRollups(tierName, deviceId) {
+    const result = [];
+    this.open.forEach((buckets, id) => {
+      if (deviceId !== undefined && id !== deviceId) return;
+      if (buckets[tierName]) {
+        result.push(serializeBucket(buckets[tierName]));
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = {
+  ROLLUP_TIERS,
+  ROLLUP_AXES,
+  findTier,
+  mergeRollups,
+  chooseRollupTier,
+  RollupBuilder
+};
@@ -1,5 +1,7 @@
 const WebSocket = require('ws');
 const readline = require('readline');
+const { encodeSensorFrame } = require('./binary-frame');
+const { computeAuthProof } = require('./device-credentials');
 
 class MonitorDashboard {
   constructor(serverUrl = 'ws://localhost:8080') {
@@ -35,11 +37,11 @@ class MonitorDashboard {
       console.log('✅ 已连接到WebSocket服务器\n');
       this.isConnected = true;
       
-      // 注册为监控面板
+      // 注册为监控面板（设备注册需要设备凭据，监控连接需要 EARTHQUAKE_API_KEY）
       this.ws.send(JSON.stringify({
-        type: 'device_register',
-        device_id: 'DASHBOARD_CLI',
-        device_type: 'MONITOR_DASHBOARD'
+        type: 'client_register',
+        client_type: 'monitor',
+        api_key: process.env.EARTHQUAKE_API_KEY
       }));
       
       this.displayStatus();
@@ -83,6 +85,19 @@ class MonitorDashboard {
         case 'device_status_update':
           this.handleDeviceUpdate(message);
           break;
+          
+        case 'early_warning':
+          this.handleEarlyWarning(message);
+          break;
+          
+        case 'event_started':
+        case 'event_ended':
+          this.handleEarthquakeEvent(message);
+          break;
+          
+        case 'error':
+          console.error(`\n⚠️ 服务器拒绝请求 ${message.code || ''}: ${message.message}`);
+          break;
       }
     } catch (error) {
       console.error('消息解析错误:', error.message);
@@ -143,16 +158,38 @@ class MonitorDashboard {
     }
     
     // 显示警报
-    console.log('\n🚨🚨🚨 地震警报！🚨🚨🚨');
+    console.log(data.renotify ? `\n🚨🚨🚨 地震警报（未确认，第${data.notify_count}次通知）🚨🚨🚨` :
+      '\n🚨🚨🚨 地震警报！🚨🚨🚨');
+    console.log(`警报: ${data.alert_id} (${data.alert_level})`);
     console.log(`设备: ${data.device_id}`);
     console.log(`震级: ${data.magnitude}`);
     console.log(`时间: ${new Date(data.timestamp).toLocaleTimeString()}`);
-    console.log(`位置: ${data.location || '未知'}`);
+    console.log(`位置: ${data.location && data.location.lat !== undefined ?
+      `${data.location.lat}, ${data.location.lon}` : (data.location || '未知')}`);
     console.log('🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨\n');
     
     this.displayStatus();
   }
   
+  handleEarlyWarning(data) {
+    if (data.arrived) return;
+    
+    console.log(`\n⚠️  地震预警 - 场点: ${data.device_id}`);
+    console.log(`   S波预计 ${data.s_arrival_seconds.toFixed(1)} 秒后到达，预计烈度 ${data.predicted_intensity_level}`);
+  }
+  
+  handleEarthquakeEvent(data) {
+    if (data.type === 'event_started') {
+      console.log(`\n🌐 地震事件开始: ${data.event_id}，首台: ${data.devices[0].device_id}`);
+      return;
+    }
+    
+    console.log(`\n🌐 地震事件结束: ${data.event_id}`);
+    console.log(`   持续 ${data.duration} 秒，台站数 ${data.device_count}，` +
+      `最大烈度 ${data.max_intensity.china_level || '未知'}，` +
+      `震级 ${data.magnitude ? `${data.magnitude.type} ${data.magnitude.value}` : '未知'}`);
+  }
+  
   handleDeviceUpdate(data) {
     const { device_id, battery, signal_strength } = data;
     
@@ -205,7 +242,8 @@ class MonitorDashboard {
   
   setupCommandInterface() {
     this.rl.on('line', (input) => {
-      const command = input.trim().toLowerCase();
+      const [name = '', argument] = input.trim().split(/\s+/);
+      const command = name.toLowerCase();
       
       switch (command) {
         case 'help':
@@ -221,6 +259,14 @@ class MonitorDashboard {
           this.simulateEarthquake();
           break;
           
+        case 'ack':
+          this.acknowledgeAlert(argument);
+          break;
+          
+        case 'binary':
+          this.simulateBinaryDevice(argument);
+          break;
+          
         case 'clear':
           this.earthquakeAlerts = [];
           this.displayStatus();
@@ -247,11 +293,30 @@ class MonitorDashboard {
     console.log('  help     - 显示此帮助信息');
     console.log('  quit     - 退出程序');
     console.log('  test     - 模拟地震事件');
+    console.log('  ack [id] - 确认警报（默认最近一个）');
+    console.log('  binary [秒] - 模拟用二进制帧发送数据的设备（默认10秒，含一段模拟地震）');
     console.log('  clear    - 清除警报历史');
     console.log('  devices  - 显示设备详情');
     console.log('');
   }
   
+  acknowledgeAlert(alertId) {
+    const id = alertId || (this.earthquakeAlerts[0] && this.earthquakeAlerts[0].alert_id);
+    if (!id) {
+      console.log('没有可确认的警报');
+      return;
+    }
+    
+    if (this.ws && this.isConnected) {
+      this.ws.send(JSON.stringify({
+        type: 'alert_ack',
+        alert_id: id,
+        operator: 'DASHBOARD_CLI'
+      }));
+      console.log(`✅ 已发送警报确认: ${id}`);
+    }
+  }
+  
   simulateEarthquake() {
     if (this.ws && this.isConnected) {
       // 发送测试地震数据
@@ -274,6 +339,100 @@ class MonitorDashboard {
     }
   }
   
+  // 模拟一台 MPU6050 设备：注册时协商 int16 二进制帧，每100毫秒发送一帧（100Hz，10个样本）。
+  // 服务器开启设备认证时，需先为 TEST_BINARY 分配凭据并把密钥放在环境变量 TEST_DEVICE_SECRET 中
+  simulateBinaryDevice(duration) {
+    const seconds = Number(duration) > 0 ? Number(duration) : 10;
+    const sampleRate = 100;
+    const samplesPerFrame = 10;
+    const ws = new WebSocket(this.serverUrl);
+    let sequence = 0;
+    let acknowledged = 0;
+    let timer = null;
+    
+    const register = (auth) => {
+      ws.send(JSON.stringify({
+        type: 'device_register',
+        device_id: 'TEST_BINARY',
+        accel_unit: 'raw',
+        accel_range: 2,
+        gyro_unit: 'raw',
+        gyro_range: 250,
+        binary: { sample_format: 'int16' },
+        auth
+      }));
+    };
+    
+    ws.on('open', () => register());
+    
+    ws.on('message', (message) => {
+      const data = JSON.parse(message);
+      if (data.type === 'error') {
+        console.log(`❌ 服务器错误: ${data.code ? `[${data.code}] ` : ''}${data.message}`);
+      } else if (data.type === 'auth_challenge') {
+        const secret = process.env.TEST_DEVICE_SECRET;
+        if (!secret) {
+          console.log('❌ 服务器要求设备认证，请设置环境变量 TEST_DEVICE_SECRET');
+          ws.close();
+          return;
+        }
+        register({ nonce: data.nonce, proof: computeAuthProof(data.device_id, data.nonce, secret) });
+      } else if (data.type === 'time_sync') {
+        // 回显时钟同步探测（模拟设备直接使用本机时钟）
+        const now = Date.now();
+        ws.send(JSON.stringify({ type: 'time_sync', id: data.id, t0: data.t0, t1: now, t2: now }));
+      } else if (data.type === 'batch_received' && data.status === 'ok') {
+        acknowledged++;
+      } else if (data.type === 'device_registered') {
+        if (!data.binary) {
+          console.log('❌ 服务器未启用二进制帧');
+          ws.close();
+          return;
+        }
+        
+        console.log(`✅ 二进制帧已协商，设备编号 ${data.binary.device_index}，发送 ${seconds} 秒数据`);
+        const start = Date.now();
+        timer = setInterval(() => {
+          const samples = { ax: [], ay: [], az: [], gx: [], gy: [], gz: [] };
+          for (let i = 0; i < samplesPerFrame; i++) {
+            const t = (sequence * samplesPerFrame + i) / sampleRate;
+            // 后半段叠加几个频率的正弦模拟地震动（±2g 量程下 16384 计数 = 1g）
+            const shaking = t > seconds / 2 ?
+              [1.3, 2.1, 3.7].reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) * 1500 : 0;
+            samples.ax.push((Math.random() - 0.5) * 40 + shaking);
+            samples.ay.push((Math.random() - 0.5) * 40 + shaking / 2);
+            samples.az.push(16384 + (Math.random() - 0.5) * 40);
+            samples.gx.push(0);
+            samples.gy.push(0);
+            samples.gz.push(0);
+          }
+          
+          ws.send(encodeSensorFrame({
+            device_index: data.binary.device_index,
+            sequence: sequence++,
+            timestamp: Date.now() - (samplesPerFrame - 1) * 1000 / sampleRate,
+            sample_rate: sampleRate,
+            sample_format: 'int16',
+            samples
+          }));
+          
+          if (Date.now() - start >= seconds * 1000) {
+            clearInterval(timer);
+            setTimeout(() => {
+              console.log(`✅ 已发送 ${sequence} 帧二进制数据，服务器确认 ${acknowledged} 帧`);
+              ws.close();
+            }, 500);
+          }
+        }, 1000 * samplesPerFrame / sampleRate);
+      }
+    });
+    
+    ws.on('close', () => clearInterval(timer));
+    ws.on('error', (error) => {
+      console.error('二进制设备连接错误:', error.message);
+    });
+  }
+  
   cleanup() {
     console.log('\n正在关闭监控仪表板...');
     
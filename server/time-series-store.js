@@ -0,0 +1,478 @@
+/**
+ * 嵌入式时序存储
+ * 数据按设备和日期（UTC）分段，段文件只追加，每行一条记录：
+ *
+ *   <时间（Unix 毫秒）>\t<记录 JSON>\n
+ *
+ * 每个段文件配一个时间索引（.idx），每个数据块一项，每项5个 float64（小端序）：
+ *
+ *   块在段文件中的偏移、块的字节数、块内最早时间、块内最晚时间、记录数
+ *
+ * 写入先进内存缓冲，定期整块追加：先写数据并 fsync，再写索引。崩溃后首次打开段文件时
+ * 丢弃索引中超出段文件的项、截掉段文件末尾不完整的行，并为未建索引的完整行补建索引。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_ENTRY_SIZE = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.seg$/;
+
+// 设备ID转为目录名：字母、数字和 _ - . 以外的字符以及开头的 . 写成 %XX
+function encodeDeviceDir(deviceId) {
+  return String(deviceId)
+    .replace(/[^A-Za-z0-9_.-]/g, char =>
+      encodeURIComponent(char).replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .replace(/^\./, '%2E');
+}
+
+function decodeDeviceDir(name) {
+  return decodeURIComponent(name);
+}
+
+// 时间所在的 UTC 日期，如 2026-10-19
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function readIndexEntries(buffer) {
+  const entries = [];
+  for (let offset = 0; offset + INDEX_ENTRY_SIZE <= buffer.length; offset += INDEX_ENTRY_SIZE) {
+    entries.push({
+      offset: buffer.readDoubleLE(offset),
+      length: buffer.readDoubleLE(offset + 8),
+      minTime: buffer.readDoubleLE(offset + 16),
+      maxTime: buffer.readDoubleLE(offset + 24),
+      count: buffer.readDoubleLE(offset + 32)
+    });
+  }
+  return entries;
+}
+
+function encodeIndexEntry(entry) {
+  const buffer = Buffer.alloc(INDEX_ENTRY_SIZE);
+  buffer.writeDoubleLE(entry.offset, 0);
+  buffer.writeDoubleLE(entry.length, 8);
+  buffer.writeDoubleLE(entry.minTime, 16);
+  buffer.writeDoubleLE(entry.maxTime, 24);
+  buffer.writeDoubleLE(entry.count, 32);
+  return buffer;
+}
+
+// 解析段文件中的一行，格式无效时返回null
+function parseLine(line) {
+  const tab = line.indexOf('\t');
+  if (tab <= 0) return null;
+  const time = Number(line.slice(0, tab));
+  if (!isFinite(time)) return null;
+  try {
+    return { time, record: JSON.parse(line.slice(tab + 1)) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// 追加写入文件并 fsync
+function appendSync(file, buffer, sync) {
+  const fd = fs.openSync(file, 'a', 0o644);
+  try {
+    fs.writeSync(fd, buffer, 0, buffer.length);
+    if (sync) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class TimeSeriesStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - 存储目录
+   * @param {number} [options.retentionDays=30] - 保留天数，0 表示永久保留
+   * @param {number} [options.blockSize=100] - 每个索引块最多的记录数
+   * @param {boolean} [options.fsync=true] - 每次写入后是否 fsync
+   * @param {boolean} [options.readOnly=false] - 只读打开（供服务器运行时其他进程读取）：
+   *   不写入、不修改文件，恢复段文件时只在内存中补建索引
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : 30;
+    this.blockSize = options.blockSize || 100;
+    this.fsync = options.fsync !== false;
+    this.readOnly = Boolean(options.readOnly);
+    
+    this.pending = new Map();   // 设备ID -> 未写入的记录 [{ time, record, line }]
+    this.segments = new Map();  // 段文件路径 -> { size, index }（已恢复的段）
+    if (!this.readOnly) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+  
+  /**
+   * 追加一条记录（先进缓冲，flush 时写入磁盘）
+   * @param {string} deviceId - 设备ID
+   * @param {number} time - 记录时间（Unix 毫秒），用于分段和索引
+   * @param {object} record - 记录内容
+   */
+  append(deviceId, time, record) {
+    if (this.readOnly) {
+      throw new Error('只读存储不能写入');
+    }
+    if (!isFinite(time)) {
+      throw new Error(`记录时间无效: ${time}`);
+    }
+    if (!this.pending.has(deviceId)) {
+      this.pending.set(deviceId, []);
+    }
+    this.pending.get(deviceId).push({ time, record, line: `${time}\t${JSON.stringify(record)}\n` });
+  }
+  
+  /**
+   * 把缓冲中的记录写入各段文件
+   * @returns {number} 写入的记录数
+   */
+  flush() {
+    let written = 0;
+    this.pending.forEach((items, deviceId) => {
+      this.pending.delete(deviceId);
+      
+      // 按日期分组，每组按 blockSize 切块写入
+      const days = new Map();
+      items.forEach(item => {
+        const day = dayOf(item.time);
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(item);
+      });
+      days.forEach((dayItems, day) => {
+        for (let i = 0; i < dayItems.length; i += this.blockSize) {
+          this.writeBlock(deviceId, day, dayItems.slice(i, i + this.blockSize));
+        }
+        written += dayItems.length;
+      });
+    });
+    return written;
+  }
+  
+  // 写入一个数据块：先写数据，再写索引项
+  writeBlock(deviceId, day, items) {
+    const deviceDir = path.join(this.dir, encodeDeviceDir(deviceId));
+    fs.mkdirSync(deviceDir, { recursive: true });
+    const file = path.join(deviceDir, `${day}.seg`);
+    const segment = this.openSegment(file);
+    
+    const data = Buffer.from(items.map(item => item.line).join(''));
+    const entry = {
+      offset: segment.size,
+      length: data.length,
+      minTime: Math.min(...items.map(item => item.time)),
+      maxTime: Math.max(...items.map(item => item.time)),
+      count: items.length
+    };
+    
+    appendSync(file, data, this.fsync);
+    appendSync(`${file.slice(0, -4)}.idx`, encodeIndexEntry(entry), this.fsync);
+    segment.size += data.length;
+    segment.index.push(entry);
+  }
+  
+  // 打开（必要时恢复）段文件，返回 { size, index }
+  openSegment(file) {
+    if (!this.segments.has(file)) {
+      this.segments.set(file, this.recoverSegment(file));
+    }
+    return this.segments.get(file);
+  }
+  
+  /**
+   * 恢复段文件：丢弃无效的索引项、截掉末尾不完整的行、为未建索引的行补建索引
+   * @param {string} file - 段文件路径
+   * @returns {object} { size, index }
+   */
+  recoverSegment(file) {
+    const indexFile = `${file.slice(0, -4)}.idx`;
+    const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    const indexBuffer = fs.existsSync(indexFile) ? fs.readFileSync(indexFile) : Buffer.alloc(0);
+    
+    // 只保留首尾相接且在段文件范围内的索引项
+    const index = [];
+    let indexed = 0;
+    for (const entry of readIndexEntries(indexBuffer)) {
+      if (entry.offset !== indexed || entry.offset + entry.length > size) break;
+      index.push(entry);
+      indexed += entry.length;
+    }
+    
+    const tailItems = [];
+    let validSize = indexed;
+    if (indexed < size) {
+      const tail = Buffer.alloc(size - indexed);
+      const fd = fs.openSync(file, 'r');
+      try {
+        fs.readSync(fd, tail, 0, tail.length, indexed);
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      // 最后一个换行之后是写了一半的行
+      const end = tail.lastIndexOf(0x0a) + 1;
+      validSize = indexed + end;
+      let lineStart = 0;
+      tail.slice(0, end).toString('utf8').split('\n').slice(0, -1).forEach(line => {
+        const parsed = parseLine(line);
+        const length = Buffer.byteLength(line) + 1;
+        if (parsed) {
+          tailItems.push({ time: parsed.time, offset: indexed + lineStart, length });
+        }
+        lineStart += length;
+      });
+    }
+    
+    if (index.length * INDEX_ENTRY_SIZE === indexBuffer.length && indexed === size) {
+      return { size, index };
+    }
+    
+    // 补建的索引按行的实际位置切块（跳过的无效行包含在块内，读取时忽略）
+    let blockStart = indexed;
+    for (let i = 0; i < tailItems.length; i += this.blockSize) {
+      const block = tailItems.slice(i, i + this.blockSize);
+      const last = block[block.length - 1];
+      const blockEnd = i + this.blockSize >= tailItems.length ? validSize : last.offset + last.length;
+      index.push({
+        offset: blockStart,
+        length: blockEnd - blockStart,
+        minTime: Math.min(...block.map(item => item.time)),
+        maxTime: Math.max(...block.map(item => item.time)),
+        count: block.length
+      });
+      blockStart = blockEnd;
+    }
+    // 末尾全是无效行时一并截掉，保证索引覆盖整个段文件
+    validSize = blockStart;
+    if (this.readOnly) {
+      return { size: validSize, index };
+    }
+    
+    if (validSize < size) {
+      fs.truncateSync(file, validSize);
+    }
+    const temp = `${indexFile}.tmp`;
+    fs.writeFileSync(temp, Buffer.concat(index.map(encodeIndexEntry)));
+    fs.renameSync(temp, indexFile);
+    return { size: validSize, index };
+  }
+  
+  /**
+   * 有数据的设备ID列表（含未写入磁盘的）
+   * @returns {Array<string>}
+   */
+  listDevices() {
+    const devices = new Set(this.pending.keys());
+    if (!fs.existsSync(this.dir)) return Array.from(devices);
+    fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => devices.add(decodeDeviceDir(entry.name)));
+    return Array.from(devices);
+  }
+  
+  /**
+   * 是否有该设备的数据
+   * @param {string} deviceId - 设备ID
+   * @returns {boolean}
+   */
+  hasDevice(deviceId) {
+    return this.pending.has(deviceId) || fs.existsSync(path.join(this.dir, encodeDeviceDir(deviceId)));
+  }
+  
+  /**
+   * 按时间范围查询，返回范围内最新的 limit 条记录（按时间升序）和范围内的总数
+   * 完全落在范围内的块只用索引计数，不读取；只读取与范围相交的块，直到凑够 limit 条
+   * @param {object} options
+   * @param {string} [options.deviceId] - 设备ID，缺省时查询全部设备
+   * @param {number} [options.from] - 开始时间（Unix 毫秒，含）
+   * @param {number} [options.to] - 结束时间（Unix 毫秒，含）
+   * @param {number} [options.limit=100] - 最多返回的记录数
+   * @returns {Promise<object>} { records, total_count }
+   */
+  async query(options = {}) {
+    const from = options.from !== undefined ? options.from : -Infinity;
+    const to = options.to !== undefined ? options.to : Infinity;
+    const limit = options.limit || 100;
+    const devices = options.deviceId !== undefined ? [options.deviceId] : this.listDevices();
+    
+    const inRange = time => time >= from && time <= to;
+    let records = [];
+    let total = 0;
+    
+    for (const deviceId of devices) {
+      // 未写入磁盘的记录最新
+      const pending = (this.pending.get(deviceId) || []).filter(item => inRange(item.time));
+      total += pending.length;
+      const collected = pending.slice(-limit);
+      
+      for (const file of this.listSegments(deviceId, from, to).reverse()) {
+        const segment = this.openSegment(file);
+        for (let i = segment.index.length - 1; i >= 0; i--) {
+          const entry = segment.index[i];
+          if (entry.maxTime < from || entry.minTime > to) continue;
+          
+          const inside = entry.minTime >= from && entry.maxTime <= to;
+          if (inside && collected.length >= limit) {
+            total += entry.count;
+            continue;
+          }
+          
+          const items = (await this.readBlock(file, entry)).filter(item => inRange(item.time));
+          total += items.length;
+          if (collected.length < limit) {
+            collected.push(...items);
+          }
+        }
+      }
+      records = records.concat(collected);
+    }
+    
+    records.sort((a, b) => a.time - b.time);
+    return {
+      records: records.slice(-limit).map(item => item.record),
+      total_count: total
+    };
+  }
+  
+  /**
+   * 按写入顺序逐块读取设备在时间范围内的记录（用于重建汇总等批处理）
+   * 调用时（第一个 await 之前）先取块列表的快照，之后写入的数据不会被读到
+   * @param {object} options - { deviceId, from, to }
+   * @param {Function} onItems - 每块调用一次，参数为 [{ time, record }]
+   * @returns {Promise<number>} 读取的记录数
+   */
+  async scan(options, onItems) {
+    const from = options.from !== undefined ? options.from : -Infinity;
+    const to = options.to !== undefined ? options.to : Infinity;
+    const blocks = [];
+    this.listSegments(options.deviceId, from, to).forEach(file => {
+      this.openSegment(file).index
+        .filter(entry => entry.maxTime >= from && entry.minTime <= to)
+        .forEach(entry => blocks.push({ file, entry }));
+    });
+    
+    let count = 0;
+    for (const { file, entry } of blocks) {
+      const items = (await this.readBlock(file, entry)).filter(item => item.time >= from && item.time <= to);
+      count += items.length;
+      onItems(items);
+    }
+    return count;
+  }
+  
+  /**
+   * 删除设备的全部数据（含未写入的）
+   * @param {string} deviceId - 设备ID
+   */
+  removeDevice(deviceId) {
+    this.pending.delete(deviceId);
+    const deviceDir = path.join(this.dir, encodeDeviceDir(deviceId));
+    this.segments.forEach((segment, file) => {
+      if (path.dirname(file) === deviceDir) {
+        this.segments.delete(file);
+      }
+    });
+    fs.rmSync(deviceDir, { recursive: true, force: true });
+  }
+  
+  // 设备与时间范围相交的段文件（按日期升序）
+  listSegments(deviceId, from, to) {
+    const deviceDir = path.join(this.dir, encodeDeviceDir(deviceId));
+    if (!fs.existsSync(deviceDir)) return [];
+    
+    return fs.readdirSync(deviceDir)
+      .map(name => SEGMENT_PATTERN.exec(name))
+      .filter(match => {
+        if (!match) return false;
+        const dayStart = Date.parse(`${match[1]}T00:00:00Z`);
+        return dayStart <= to && dayStart + DAY_MS > from;
+      })
+      .map(match => match[0])
+      .sort()
+      .map(name => path.join(deviceDir, name));
+  }
+  
+  // 读取一个数据块中的全部记录
+  async readBlock(file, entry) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset);
+      return buffer.toString('utf8').split('\n')
+        .map(parseLine)
+        .filter(item => item !== null);
+    } finally {
+      await handle.close();
+    }
+  }
+  
+  /**
+   * 删除超过保留天数的段文件
+   * @param {number} [now=Date.now()] - 当前时间（毫秒）
+   * @returns {number} 删除的段文件数
+   */
+  prune(now = Date.now()) {
+    if (this.readOnly || !(this.retentionDays > 0)) return 0;
+    
+    const oldestDay = dayOf(now - this.retentionDays * DAY_MS);
+    let removed = 0;
+    fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const deviceDir = path.join(this.dir, entry.name);
+        fs.readdirSync(deviceDir).forEach(name => {
+          const match = SEGMENT_PATTERN.exec(name);
+          if (!match || match[1] >= oldestDay) return;
+          
+          const file = path.join(deviceDir, name);
+          fs.unlinkSync(file);
+          fs.rmSync(`${file.slice(0, -4)}.idx`, { force: true });
+          this.segments.delete(file);
+          removed++;
+        });
+        if (fs.readdirSync(deviceDir).length === 0) {
+          fs.rmdirSync(deviceDir);
+        }
+      });
+    return removed;
+  }
+  
+  /**
+   * 清空存储：写入缓冲后把存储目录整体改名为备份目录
+   * @param {string} backupDir - 备份目录
+   */
+  clear(backupDir) {
+    this.flush();
+    fs.renameSync(this.dir, backupDir);
+    this.segments.clear();
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+  
+  /**
+   * 存储统计
+   * @returns {object} { devices, segments, bytes, pending }
+   */
+  stats() {
+    let segments = 0;
+    let bytes = 0;
+    const devices = this.listDevices();
+    devices.forEach(deviceId => {
+      this.listSegments(deviceId, -Infinity, Infinity).forEach(file => {
+        segments++;
+        bytes += fs.statSync(file).size;
+      });
+    });
+    let pending = 0;
+    this.pending.forEach(items => { pending += items.length; });
+    return { devices: devices.length, segments, bytes, pending };
+  }
+}
+
+module.exports = {
+  TimeSeriesStore,
+  encodeDeviceDir
+};
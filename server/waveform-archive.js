@@ -0,0 +1,357 @@
+/**
+ * 波形存档和导出
+ * 每台设备校准后、未滤波的波形（加速度 m/s²，含重力；角速度 rad/s）按约1秒切块写入时序存储，
+ * 每块一条记录，记录时间为块内第一个样本的时间：
+ *
+ *   { offsets: [各样本相对第一个样本的毫秒数], ax: [...], ay: [...], az: [...], gx: [...], gy: [...], gz: [...] }
+ *
+ * 导出时把样本在中断处切成连续段，每段按实际采样率编码为 MiniSEED；
+ * 事件导出把各台站的 MiniSEED 和事件说明（event.json）打包为一个 tar.gz
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { MSEED_AXES, resolveSeedCodes, encodeMiniSeed } = require('./miniseed');
+
+// 波形存档目录，服务器和导出工具共用
+const DEFAULT_WAVEFORM_DIR = process.env.WAVEFORM_DIR ||
+  path.join(__dirname, 'cache', 'waveforms');
+
+// 相邻样本间隔超过中位间隔的倍数时视为中断，之后另起一段
+const GAP_TOLERANCE = 1.5;
+
+// 事件导出时在各台站触发前后多取的秒数
+const DEFAULT_EVENT_PADDING = { before: 10, after: 10 };
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function createChunk(time) {
+  const chunk = { start: time, last: time, offsets: [] };
+  MSEED_AXES.forEach(axis => { chunk[axis] = []; });
+  return chunk;
+}
+
+// 块的存储格式
+function serializeChunk(chunk) {
+  const record = { offsets: chunk.offsets };
+  MSEED_AXES.forEach(axis => { record[axis] = chunk[axis]; });
+  return record;
+}
+
+/**
+ * 波形存档：每台设备保持一个未关闭的块，跨度达到 chunkDuration 或时间倒退时关闭旧块写入存储
+ */
+class WaveformArchive {
+  /**
+   * @param {TimeSeriesStore} store - 保存波形块的时序存储
+   * @param {object} [options]
+   * @param {number} [options.chunkDuration=1000] - 每块的最长跨度（毫秒）
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.chunkDuration = options.chunkDuration || 1000;
+    this.open = new Map();  // 设备ID -> 未关闭的块
+  }
+  
+  /**
+   * 加入一个样本
+   * @param {string} deviceId - 设备ID
+   * @param {number} time - 样本时间（毫秒，可含小数）
+   * @param {object} values - { ax, ay, az, gx, gy, gz }
+   */
+  add(deviceId, time, values) {
+    let chunk = this.open.get(deviceId);
+    if (chunk && (time <= chunk.last || time - chunk.start >= this.chunkDuration)) {
+      this.closeChunk(deviceId);
+      chunk = null;
+    }
+    if (!chunk) {
+      chunk = createChunk(time);
+      this.open.set(deviceId, chunk);
+    }
+    
+    chunk.last = time;
+    chunk.offsets.push(round(time - chunk.start, 3));
+    MSEED_AXES.forEach(axis => chunk[axis].push(round(values[axis], 6)));
+  }
+  
+  closeChunk(deviceId) {
+    const chunk = this.open.get(deviceId);
+    this.open.delete(deviceId);
+    this.store.append(deviceId, chunk.start, serializeChunk(chunk));
+  }
+  
+  /**
+   * 关闭最后一个样本早于 now - grace 的块（设备停止发送数据时）
+   * @param {number} now - 当前时间（毫秒）
+   * @param {number} grace - 等待后续样本的时间（毫秒）
+   */
+  closeIdle(now, grace) {
+    Array.from(this.open.entries()).forEach(([deviceId, chunk]) => {
+      if (chunk.last + grace < now) {
+        this.closeChunk(deviceId);
+      }
+    });
+  }
+  
+  // 关闭全部块（关闭服务器时）
+  closeAll() {
+    this.closeIdle(Infinity, 0);
+  }
+  
+  /**
+   * 丢弃未关闭的块（清空存储前）
+   * @param {string} [deviceId] - 设备ID，缺省时丢弃全部设备的
+   */
+  reset(deviceId) {
+    if (deviceId === undefined) {
+      this.open.clear();
+    } else {
+      this.open.delete(deviceId);
+    }
+  }
+  
+  /**
+   * 读取设备在 [from, to] 内的样本（含未关闭的块，不含存储中尚未写入磁盘的块），按时间升序、去重
+   * @param {string} deviceId - 设备ID
+   * @param {number} from - 开始时间（毫秒，含）
+   * @param {number} to - 结束时间（毫秒，含）
+   * @returns {Promise<Array<object>>} [{ time, ax, ay, az, gx, gy, gz }]
+   */
+  async readSamples(deviceId, from, to) {
+    const byTime = new Map();
+    const addChunk = (start, record) => {
+      record.offsets.forEach((offset, i) => {
+        const time = start + offset;
+        if (time < from || time > to) return;
+        const sample = { time };
+        MSEED_AXES.forEach(axis => { sample[axis] = record[axis][i]; });
+        byTime.set(time, sample);
+      });
+    };
+    
+    await this.store.scan({ deviceId, from: from - this.chunkDuration, to }, items => {
+      items.forEach(item => addChunk(item.time, item.record));
+    });
+    const chunk = this.open.get(deviceId);
+    if (chunk) {
+      addChunk(chunk.start, chunk);
+    }
+    
+    return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+  }
+}
+
+// 相邻样本时间间隔的中位数，不足两个样本时为null
+function medianInterval(samples) {
+  const intervals = [];
+  for (let i = 1; i < samples.length; i++) {
+    intervals.push(samples[i].time - samples[i - 1].time);
+  }
+  if (intervals.length === 0) return null;
+  intervals.sort((a, b) => a - b);
+  return intervals[Math.floor(intervals.length / 2)];
+}
+
+/**
+ * 在中断处（间隔超过中位间隔的 GAP_TOLERANCE 倍）把样本切成连续段
+ * @param {Array<object>} samples - 按时间升序的样本
+ * @returns {object} { interval（中位间隔，毫秒，不足两个样本时为null）, segments: [[样本...]] }
+ */
+function splitSegments(samples) {
+  const interval = medianInterval(samples);
+  const segments = [];
+  let current = [];
+  samples.forEach((sample, i) => {
+    if (i > 0 && sample.time - samples[i - 1].time > interval * GAP_TOLERANCE) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(sample);
+  });
+  if (current.length > 0) {
+    segments.push(current);
+  }
+  return { interval, segments };
+}
+
+/**
+ * 把设备的样本编码为 MiniSEED：每个连续段、每个通道一组记录，采样率取该段的实际平均采样率
+ * @param {object} stations - 台站代码配置
+ * @param {string} deviceId - 设备ID
+ * @param {Array<object>} samples - 按时间升序的样本
+ * @returns {object|null} { buffer, network, station, location, channels, sample_rate, segments: [{ start_time, end_time, sample_count, sample_rate }] }，
+ *   样本不足两个（无法确定采样率）时为null
+ */
+function buildDeviceMiniSeed(stations, deviceId, samples) {
+  const { interval, segments } = splitSegments(samples);
+  if (!(interval > 0)) return null;
+  
+  // 通道代码按中位间隔的标称采样率确定，各段保持一致
+  const nominalRate = 1000 / interval;
+  const codes = resolveSeedCodes(stations, deviceId, nominalRate);
+  
+  const summaries = segments.map(segment => {
+    const span = segment[segment.length - 1].time - segment[0].time;
+    return {
+      samples: segment,
+      sampleRate: segment.length > 1 ? (segment.length - 1) * 1000 / span : nominalRate
+    };
+  });
+  
+  const traces = [];
+  MSEED_AXES.forEach(axis => {
+    summaries.forEach(({ samples: segment, sampleRate }) => {
+      traces.push({
+        network: codes.network,
+        station: codes.station,
+        location: codes.location,
+        channel: codes.channels[axis],
+        startTime: segment[0].time,
+        sampleRate,
+        samples: segment.map(sample => sample[axis])
+      });
+    });
+  });
+  
+  return {
+    buffer: encodeMiniSeed(traces),
+    ...codes,
+    sample_rate: round(nominalRate, 3),
+    segments: summaries.map(({ samples: segment, sampleRate }) => ({
+      start_time: new Date(segment[0].time).toISOString(),
+      end_time: new Date(segment[segment.length - 1].time).toISOString(),
+      sample_count: segment.length,
+      sample_rate: round(sampleRate, 6)
+    }))
+  };
+}
+
+/**
+ * 事件中各台站的导出时间范围：触发开始前 before 秒到触发结束（未结束时为事件结束或 now）后 after 秒
+ * @param {object} event - 事件目录中的事件（时间为毫秒）
+ * @param {object} [padding=DEFAULT_EVENT_PADDING] - { before, after }（秒）
+ * @param {number} [now=Date.now()] - 当前时间（毫秒）
+ * @returns {Array<object>} [{ device_id, from, to }]
+ */
+function eventWaveformWindows(event, padding = DEFAULT_EVENT_PADDING, now = Date.now()) {
+  return event.devices.map(entry => {
+    let end = entry.trigger_off_time;
+    if (end === null || end === undefined) {
+      end = event.end_time !== null && event.end_time !== undefined ? event.end_time : now;
+    }
+    return {
+      device_id: entry.device_id,
+      from: entry.trigger_on_time - padding.before * 1000,
+      to: end + padding.after * 1000
+    };
+  });
+}
+
+// 设备ID转为归档中的文件名
+function archiveFileName(deviceId) {
+  return `${String(deviceId).replace(/[^A-Za-z0-9_.-]/g, '_')}.mseed`;
+}
+
+// 写入 tar 头中的八进制数字段（末尾补 \0）
+function writeOctal(header, offset, length, value) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+/**
+ * 打包为 tar.gz（ustar 格式，只含普通文件）
+ * @param {Array<object>} files - [{ name（不超过100字节）, data: Buffer, mtime（毫秒）}]
+ * @returns {Buffer}
+ */
+function createTarGz(files) {
+  const blocks = [];
+  files.forEach(file => {
+    const header = Buffer.alloc(512);
+    header.write(file.name, 0, 100, 'utf8');
+    writeOctal(header, 100, 8, 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, file.data.length);
+    writeOctal(header, 136, 12, Math.floor(file.mtime / 1000));
+    header.write('        ', 148, 8, 'ascii');  // 计算校验和时按空格计
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii');
+    
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    
+    blocks.push(header, file.data);
+    const padding = (512 - file.data.length % 512) % 512;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  });
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * 导出事件中全部台站的波形：每台设备一个 MiniSEED 文件，连同 event.json 打包为 tar.gz
+ * @param {WaveformArchive} archive - 波形存档
+ * @param {object} stations - 台站代码配置
+ * @param {object} event - 事件目录中的事件（时间为毫秒）
+ * @param {object} [options] - { padding: { before, after }, now }
+ * @returns {Promise<object>} { buffer, manifest }，manifest 为 event.json 的内容
+ */
+async function exportEventWaveforms(archive, stations, event, options = {}) {
+  const now = options.now !== undefined ? options.now : Date.now();
+  const toIso = time => time !== null && time !== undefined ? new Date(time).toISOString() : null;
+  const files = [];
+  const devices = [];
+  
+  for (const window of eventWaveformWindows(event, options.padding || DEFAULT_EVENT_PADDING, now)) {
+    const samples = await archive.readSamples(window.device_id, window.from, window.to);
+    const mseed = buildDeviceMiniSeed(stations, window.device_id, samples);
+    const entry = {
+      device_id: window.device_id,
+      from: toIso(window.from),
+      to: toIso(window.to),
+      file: null
+    };
+    if (mseed) {
+      const { buffer, ...info } = mseed;
+      entry.file = archiveFileName(window.device_id);
+      Object.assign(entry, info);
+      files.push({ name: `${event.event_id}/${entry.file}`, data: buffer, mtime: now });
+    }
+    devices.push(entry);
+  }
+  
+  const manifest = {
+    event_id: event.event_id,
+    state: event.state,
+    start_time: toIso(event.start_time),
+    end_time: toIso(event.end_time),
+    magnitude: event.magnitude,
+    location: event.location,
+    units: { acceleration: 'm/s²（含重力）', angular_velocity: 'rad/s' },
+    exported_at: toIso(now),
+    devices
+  };
+  files.unshift({
+    name: `${event.event_id}/event.json`,
+    data: Buffer.from(JSON.stringify(manifest, null, 2)),
+    mtime: now
+  });
+  
+  return { buffer: createTarGz(files), manifest };
+}
+
+module.exports = {
+  DEFAULT_WAVEFORM_DIR,
+  DEFAULT_EVENT_PADDING,
+  WaveformArchive,
+  splitSegments,
+  buildDeviceMiniSeed,
+  eventWaveformWindows,
+  createTarGz,
+  exportEventWaveforms
+};
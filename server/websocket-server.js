@@ -12,11 +12,93 @@ const {
   calculateIntensity,
   calculateJmaSeismicIntensity,
   classifyEarthquake,
-  assessAlertLevel,
-  detectEarthquake,
   calculateEnergy,
-  calculateImpactRadius
+  calculateImpactRadius,
+  StaLtaTrigger,
+  SignalPreprocessor,
+  calculateJmaInstrumentalIntensity,
+  calculatePeakGroundMotion,
+  calculateGroundMotionMetrics,
+  calculateChinaSeismicIntensity,
+  jmaIntensityClass,
+  aicPick,
+  estimateDistanceFromSP,
+  haversineDistance,
+  locateEpicenter,
+  calculateStationMagnitude,
+  averageMagnitude,
+  predictSiteShaking,
+  summarizeCalibrationRecording,
+  computeCalibrationProfile,
+  applyCalibration,
+  parseSensorUnits,
+  convertSensorSample,
+  extractTriggerFeatures,
+  classifyTrigger,
+  DEFAULT_RESPONSE_PERIODS,
+  calculateFourierSpectrum,
+  calculateResponseSpectrum,
+  calculateTimeSyncSample,
+  estimateClockSync,
+  GRAVITY
 } = require('../earthquake-algorithm');
+const {
+  ALERT_LEVELS,
+  DEFAULT_ALERT_RULES_FILE,
+  loadAlertRules,
+  compileAlertRules,
+  evaluateAlertRules
+} = require('./alert-rules');
+const {
+  DEFAULT_CREDENTIALS_FILE,
+  generateNonce,
+  verifyAuthProof,
+  loadCredentials,
+  saveCredentials,
+  provisionDevice,
+  rotateDevice,
+  revokeDevice,
+  listCredentials
+} = require('./device-credentials');
+const {
+  DEFAULT_API_KEYS_FILE,
+  loadApiKeys,
+  saveApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  authenticateApiKey,
+  hasRole
+} = require('./api-keys');
+const {
+  FRAME_VERSION,
+  parseBinaryOptions,
+  decodeSensorFrame
+} = require('./binary-frame');
+const { TimeSeriesStore } = require('./time-series-store');
+const {
+  ROLLUP_TIERS,
+  findTier,
+  mergeRollups,
+  chooseRollupTier,
+  RollupBuilder
+} = require('./rollups');
+const {
+  DEFAULT_SEED_STATIONS_FILE,
+  loadSeedStations,
+  resolveStationCodes
+} = require('./miniseed');
+const {
+  DEFAULT_WAVEFORM_DIR,
+  WaveformArchive,
+  buildDeviceMiniSeed,
+  exportEventWaveforms
+} = require('./waveform-archive');
+const {
+  filterEvents,
+  buildGeoJson,
+  buildQuakeMl
+} = require('./event-feeds');
 
 // 配置日志
 const logger = winston.createLogger({
@@ -32,6 +114,11 @@ const logger = winston.createLogger({
   ]
 });
 
+// 读取数值型环境变量，未设置时使用默认值（无效的值得到NaN，由使用处检查）
+function envNumber(name, defaultValue) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) : defaultValue;
+}
+
 // 创建 Express 应用和 HTTP 服务器
 const app = express();
 const server = http.createServer(app);
@@ -41,35 +128,288 @@ const wss = new WebSocket.Server({ server });
 
 // 存储连接的客户端
 const clients = new Map();
+// 服务器内部注入数据（测试接口）使用的客户端，字段与连接的客户端相同，不经过设备认证
+const internalClient = {
+  id: 'internal',
+  ip: null,
+  connectedAt: new Date(),
+  lastHeartbeat: Date.now(),
+  deviceId: null,
+  clientType: 'internal',
+  internal: true,
+  authenticatedDevices: new Map(),
+  authChallenge: null,
+  authWarnings: new Set(),
+  apiKey: null
+};
 // 存储设备数据
 const deviceData = new Map();
 // 存储最近的数据用于实时显示
 const recentData = [];
+// 存储每台设备的流式处理状态（触发器等），不随设备信息对外输出
+const deviceStreams = new Map();
+// 等待关联的各台站到时
+const pendingArrivals = [];
+// 多台站定位得到的地震事件
+const locatedEvents = [];
+// 当前进行中的地震预警
+let activeWarning = null;
+// 当前进行中的地震事件
+let activeEvent = null;
+// 上次广播 event_updated 的时间
+let lastEventBroadcast = 0;
+// 各设备的警报（含已清除的，按发起时间排列）
+const alerts = [];
+// 二进制帧的设备编号：设备ID -> 编号，编号 -> 设备ID（进程运行期间保持不变）
+const binaryDeviceIndexes = new Map();
+const binaryDeviceIds = new Map();
 
 // 数据缓存配置
 const CACHE_DIR = path.join(__dirname, 'cache');
+// 旧版本的 JSON 缓存文件，启动时导入时序存储
 const DATA_CACHE_FILE = path.join(CACHE_DIR, 'sensor-data-cache.json');
-const MAX_CACHE_SIZE = 1000; // 最大缓存数据条数
+
+// 时序存储：数据记录按设备和日期分段只追加保存，供历史查询
+const STORAGE_CONFIG = {
+  dir: process.env.TIMESERIES_DIR || path.join(CACHE_DIR, 'timeseries'),
+  retentionDays: process.env.TIMESERIES_RETENTION_DAYS !== undefined ?
+    parseFloat(process.env.TIMESERIES_RETENTION_DAYS) : 30,  // 0 表示永久保留
+  flushInterval: 1,     // 缓冲写入磁盘的间隔（秒）
+  pruneInterval: 3600,  // 检查保留期限的间隔（秒）
+  maxQueryLimit: 10000  // 单次查询最多返回的记录数
+};
+
+// 降采样汇总：每台设备按 1s、1m、1h 汇总，长时间范围的历史查询读取汇总
+const ROLLUP_CONFIG = {
+  dir: process.env.ROLLUP_DIR || path.join(CACHE_DIR, 'rollups'),
+  retentionDays: { '1s': 30, '1m': 365, '1h': 0 },  // 各级别保留天数，0 表示永久保留
+  closeGrace: 2000,       // 时间桶结束后等待迟到数据的时间（毫秒），之后关闭并写入
+  defaultSpan: 24 * 3600  // 指定 resolution 或 maxPoints 而未指定 from 时查询最近的秒数
+};
+
+// 波形存档：校准后、未滤波的原始波形按块保存，供导出 MiniSEED
+const WAVEFORM_ARCHIVE_CONFIG = {
+  dir: DEFAULT_WAVEFORM_DIR,
+  retentionDays: process.env.WAVEFORM_RETENTION_DAYS !== undefined ?
+    parseFloat(process.env.WAVEFORM_RETENTION_DAYS) : 7,  // 0 表示永久保留
+  chunkDuration: 1,   // 每块的最长跨度（秒）
+  defaultSpan: 600,   // 导出时未指定 from 时导出最近的秒数
+  maxSpan: 3600       // 单次导出的最长时间范围（秒）
+};
 
 // 确保缓存目录存在
 if (!fs.existsSync(CACHE_DIR)) {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
 }
 
-// 初始化数据缓存
-let dataCache = [];
+const dataStore = new TimeSeriesStore({
+  dir: STORAGE_CONFIG.dir,
+  retentionDays: STORAGE_CONFIG.retentionDays
+});
+
+// 各级别的汇总存储，以及由数据记录增量生成汇总的构建器
+const rollupStores = {};
+ROLLUP_TIERS.forEach(tier => {
+  rollupStores[tier.name] = new TimeSeriesStore({
+    dir: path.join(ROLLUP_CONFIG.dir, tier.name),
+    retentionDays: ROLLUP_CONFIG.retentionDays[tier.name]
+  });
+});
+const rollupBuilder = new RollupBuilder(saveRollup);
+// 正在重建汇总（同时只允许一个重建）
+let rollupRebuild = null;
+
+// 原始波形的存档
+const waveformStore = new TimeSeriesStore({
+  dir: WAVEFORM_ARCHIVE_CONFIG.dir,
+  retentionDays: WAVEFORM_ARCHIVE_CONFIG.retentionDays
+});
+const waveformArchive = new WaveformArchive(waveformStore, {
+  chunkDuration: WAVEFORM_ARCHIVE_CONFIG.chunkDuration * 1000
+});
+
+// 导入旧版本的 JSON 缓存文件，导入后改名保留
+try {
+  if (fs.existsSync(DATA_CACHE_FILE) && fs.statSync(DATA_CACHE_FILE).isFile()) {
+    const cacheData = JSON.parse(fs.readFileSync(DATA_CACHE_FILE, 'utf8'));
+    let imported = 0;
+    cacheData.forEach(record => {
+      const time = Date.parse(record.server_timestamp || record.timestamp);
+      if (record.device_id && !isNaN(time)) {
+        dataStore.append(record.device_id, time, record);
+        rollupBuilder.add(record.device_id, time, record);
+        imported++;
+      }
+    });
+    rollupBuilder.closeAll();
+    flushDataStore();
+    fs.renameSync(DATA_CACHE_FILE, `${DATA_CACHE_FILE}.imported`);
+    logger.info(`从旧缓存文件导入了 ${imported} 条历史数据到时序存储`);
+  }
+} catch (error) {
+  logger.error(`导入旧缓存数据失败: ${error.message}`);
+}
+
+// 持久化数据目录（校准参数等，不随清除缓存删除）
+const DATA_DIR = path.join(__dirname, 'data');
+const CALIBRATION_FILE = path.join(DATA_DIR, 'calibration-profiles.json');
+const EVENT_CATALOG_FILE = path.join(DATA_DIR, 'event-catalog.json');
+
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// 各设备的校准参数（device_id -> profile）
+const calibrationProfiles = new Map();
+
+try {
+  if (fs.existsSync(CALIBRATION_FILE)) {
+    const profiles = JSON.parse(fs.readFileSync(CALIBRATION_FILE, 'utf8'));
+    Object.entries(profiles).forEach(([deviceId, profile]) => {
+      calibrationProfiles.set(deviceId, profile);
+    });
+    logger.info(`从文件加载了 ${calibrationProfiles.size} 个设备校准参数`);
+  }
+} catch (error) {
+  logger.error(`加载校准参数失败: ${error.message}`);
+}
+
+// 地震事件目录（按开始时间排列，含进行中的事件）
+const eventCatalog = [];
 
-// 尝试从文件加载缓存数据
 try {
-  if (fs.existsSync(DATA_CACHE_FILE)) {
-    const cacheData = fs.readFileSync(DATA_CACHE_FILE, 'utf8');
-    dataCache = JSON.parse(cacheData);
-    logger.info(`从缓存文件加载了 ${dataCache.length} 条历史数据`);
+  if (fs.existsSync(EVENT_CATALOG_FILE)) {
+    eventCatalog.push(...JSON.parse(fs.readFileSync(EVENT_CATALOG_FILE, 'utf8')));
+    // 服务器停止时未结束的事件按最后更新时间结束
+    eventCatalog.forEach(event => {
+      if (event.state === 'ongoing') {
+        event.state = 'ended';
+        event.end_time = event.updated_at;
+        event.devices.forEach(entry => { entry.triggered = false; });
+      }
+    });
+    logger.info(`从文件加载了 ${eventCatalog.length} 个地震事件`);
   }
 } catch (error) {
-  logger.error(`加载缓存数据失败: ${error.message}`);
+  logger.error(`加载地震事件目录失败: ${error.message}`);
+}
+
+// 告警规则文件，修改后自动重新加载
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || DEFAULT_ALERT_RULES_FILE;
+
+// 当前生效的告警规则；文件无效时保留上一次有效的规则
+const alertRules = {
+  rules: [],
+  loadedAt: null,
+  error: null
+};
+
+// 重新加载告警规则文件，成功时返回true；启动时文件无效则使用默认规则文件，也无效时直接退出
+function reloadAlertRules() {
+  try {
+    alertRules.rules = loadAlertRules(ALERT_RULES_FILE);
+    alertRules.loadedAt = new Date();
+    alertRules.error = null;
+    logger.info(`加载了 ${alertRules.rules.length} 条告警规则: ${ALERT_RULES_FILE}`);
+    return true;
+  } catch (error) {
+    alertRules.error = error.message;
+    logger.error(`加载告警规则失败，继续使用原有规则: ${error.message}`);
+    if (!alertRules.loadedAt) {
+      loadDefaultAlertRules();
+    }
+    return false;
+  }
+}
+
+// 启动时规则文件无效：改用默认规则文件，没有可用的规则时不启动
+function loadDefaultAlertRules() {
+  if (ALERT_RULES_FILE !== DEFAULT_ALERT_RULES_FILE) {
+    try {
+      alertRules.rules = loadAlertRules(DEFAULT_ALERT_RULES_FILE);
+      alertRules.loadedAt = new Date();
+      logger.warn(`使用默认告警规则: ${DEFAULT_ALERT_RULES_FILE}`);
+      return;
+    } catch (error) {
+      logger.error(`加载默认告警规则失败: ${error.message}`);
+    }
+  }
+  logger.error('没有可用的告警规则，服务器不启动');
+  process.exit(1);
+}
+
+reloadAlertRules();
+fs.watchFile(ALERT_RULES_FILE, { interval: 2000 }, reloadAlertRules);
+
+// 设备认证：注册时须用预先分配的设备密钥应答挑战；DEVICE_AUTH=off 时关闭（仅用于本地调试）
+const DEVICE_AUTH_CONFIG = {
+  required: process.env.DEVICE_AUTH !== 'off',
+  challengeTimeout: 30   // 挑战有效期（秒）
+};
+
+// 设备凭据（只含密钥哈希），凭据文件被命令行工具修改后自动重新加载
+let deviceCredentials = { devices: {} };
+
+// 重新加载设备凭据，凭据被吊销或更换的设备断开连接；文件无效时保留原有凭据
+function reloadDeviceCredentials() {
+  try {
+    deviceCredentials = loadCredentials(DEFAULT_CREDENTIALS_FILE);
+    logger.info(`加载了 ${Object.keys(deviceCredentials.devices).length} 个设备凭据: ${DEFAULT_CREDENTIALS_FILE}`);
+  } catch (error) {
+    logger.error(`加载设备凭据失败，继续使用原有凭据: ${error.message}`);
+    return;
+  }
+  disconnectInvalidDeviceSessions();
 }
 
+reloadDeviceCredentials();
+fs.watchFile(DEFAULT_CREDENTIALS_FILE, { interval: 2000 }, reloadDeviceCredentials);
+if (!DEVICE_AUTH_CONFIG.required) {
+  logger.warn('设备认证已关闭（DEVICE_AUTH=off），任何连接都可以注册设备');
+}
+
+// REST API 和监控连接的密钥认证；API_AUTH=off 时关闭（仅用于本地调试）
+const API_AUTH_CONFIG = {
+  required: process.env.API_AUTH !== 'off'
+};
+
+// API 密钥（只含哈希），密钥文件被命令行工具修改后自动重新加载
+let apiKeys = { keys: {} };
+
+// 重新加载 API 密钥，密钥被吊销的监控连接断开；文件无效时保留原有密钥
+function reloadApiKeys() {
+  try {
+    apiKeys = loadApiKeys(DEFAULT_API_KEYS_FILE);
+    logger.info(`加载了 ${Object.keys(apiKeys.keys).length} 个 API 密钥: ${DEFAULT_API_KEYS_FILE}`);
+  } catch (error) {
+    logger.error(`加载 API 密钥失败，继续使用原有密钥: ${error.message}`);
+    return;
+  }
+  disconnectInvalidApiSessions();
+}
+
+reloadApiKeys();
+fs.watchFile(DEFAULT_API_KEYS_FILE, { interval: 2000 }, reloadApiKeys);
+if (!API_AUTH_CONFIG.required) {
+  logger.warn('API 认证已关闭（API_AUTH=off），任何人都可以调用 REST API 和注册监控连接');
+}
+
+// 导出 MiniSEED 使用的 SEED 台站代码（台网、台站、位置、通道），修改后自动重新加载
+let seedStations = { defaults: {}, devices: {} };
+
+// 重新加载台站代码配置；文件无效时保留原有配置
+function reloadSeedStations() {
+  try {
+    seedStations = loadSeedStations(DEFAULT_SEED_STATIONS_FILE);
+    logger.info(`加载了 ${Object.keys(seedStations.devices).length} 个设备的台站代码: ${DEFAULT_SEED_STATIONS_FILE}`);
+  } catch (error) {
+    logger.error(`加载台站代码配置失败，继续使用原有配置: ${error.message}`);
+  }
+}
+
+reloadSeedStations();
+fs.watchFile(DEFAULT_SEED_STATIONS_FILE, { interval: 2000 }, reloadSeedStations);
+
 // 心跳检测间隔（秒）
 const HEARTBEAT_INTERVAL = 30000; // 30秒
 
@@ -82,6 +422,189 @@ let currentPps = 0;  // 当前PPS值
 const MAX_HISTORY_SIZE = 100;
 const MAX_RECENT_DATA_SIZE = 100;
 
+// 加速度预处理参数：扣除重力和零偏后做高通/带通滤波
+const PREPROCESS_CONFIG = {
+  filter: 'highpass', // 'highpass' | 'bandpass' | 'none'
+  lowCut: 0.1,        // Hz
+  highCut: 10,        // Hz，仅带通使用
+  baselineWindow: 5,  // 基线跟踪时间常数（秒）
+  detrendWindow: 10   // 去趋势的拟合窗长（秒），0 表示不去趋势
+};
+
+// 每台设备缓存的校正后波形长度（秒）
+const WAVEFORM_BUFFER_SECONDS = 30;
+
+// 波形窗口指标（气象厅计测震度、中国仪器烈度）参数
+const WINDOW_METRICS_CONFIG = {
+  windowSeconds: 10,   // 计算窗口长度
+  minSeconds: 2,       // 缓存不足该时长时退回单点查表法
+  updateInterval: 500  // 重新计算间隔（毫秒）
+};
+
+// 震相拾取参数（单位：秒，速度单位：km/s）
+const PICKER_CONFIG = {
+  preTrigger: 4,   // P波拾取窗口起点：触发前
+  postTrigger: 2,  // P波拾取窗口终点：触发后（缓存到该时刻才拾取）
+  sDelay: 0.3,     // S波拾取窗口起点：P波到时之后
+  sWindow: 8,      // S波拾取窗口长度（从P波到时起算）
+  vp: 6.0,
+  vs: 3.5
+};
+const MAX_PICKS = 100;
+
+// 多台站关联定位参数
+const ASSOCIATION_CONFIG = {
+  window: 10,       // 关联时间窗（秒）：窗内触发的台站视为同一事件
+  settleTime: 3,    // 时间窗结束后再等待（秒），以便P波拾取完成
+  minStations: 3,   // 定位所需最少台站数
+  velocity: 6.0,    // 均匀半空间P波速度（km/s）
+  depth: 10,        // 固定震源深度（km）
+  gridRadius: 100,  // 网格搜索半径（km）
+  gridStep: 2       // 粗网格间距（km）
+};
+const MAX_LOCATED_EVENTS = 100;
+
+// 地震预警参数
+const EARLY_WARNING_CONFIG = {
+  vp: 6.0,            // P波速度（km/s）
+  vs: 3.5,            // S波速度（km/s）
+  depth: 10,          // 单台触发时假定的震源深度（km）
+  episodeWindow: 60,  // 一次预警过程的持续时间（秒），期间其他台站触发不再重新发起
+  spreading: 1.0,     // PGA 几何扩散指数
+  attenuation: 0.003  // PGA 非弹性衰减系数（1/km）
+};
+
+// 未定位时计算烈度使用的默认震中距（km）
+const DEFAULT_EPICENTRAL_DISTANCE = 10;
+// 定位、震级结果在实时数据中的有效时长（毫秒）
+const EVENT_ESTIMATE_TTL = 120000;
+// 事件地震动参数的积分窗口从触发前该时长（秒）开始，避免截断起始段造成速度、位移漂移
+const EVENT_MOTION_PRE_TRIGGER = 2;
+
+// 计算台站震级时，波形窗口在P波到时之前的长度（秒）
+const MAGNITUDE_PRE_ARRIVAL = 1;
+
+// 校准参数：设备静置记录时长（秒）及静置判定
+const CALIBRATION_CONFIG = {
+  defaultDuration: 10,
+  minDuration: 2,
+  maxDuration: 120,
+  minSamples: 50,     // 记录样本数少于该值时校准失败
+  maxAccelStd: 0.2    // 加速度标准差超过该值（m/s²）视为设备未静置
+};
+
+// 触发记录：每次触发结束时保存触发前 preEvent 秒到结束的波形，供频谱分析
+const RECORDING_CONFIG = {
+  preEvent: 10,       // 秒
+  maxRecordings: 20   // 每台设备保留的记录数
+};
+
+// 频谱分析参数
+const SPECTRUM_CONFIG = {
+  defaultWindow: 10,  // 未指定时间范围时分析最近的秒数
+  maxWindow: 120,     // 允许的最长分析窗口（秒）
+  minSamples: 32,
+  damping: 0.05
+};
+
+// 触发事件分类参数：触发期间按间隔重新分类，只有类地震事件才发出警报
+const CLASSIFIER_CONFIG = {
+  updateInterval: 1000, // 重新分类间隔（毫秒）
+  maxWindow: 10,        // 分类使用的最长记录（秒，取最近一段）
+  minSamples: 16
+};
+
+// 地震事件：触发首次被分类为类地震时开始，进行中其他台站的类地震触发并入同一事件，
+// 各台站触发均结束 endDelay 秒后事件结束
+const EVENT_CONFIG = {
+  endDelay: 5,      // 秒
+  maxEvents: 500    // 事件目录保留的事件数
+};
+
+// 事件目录的 QuakeML、GeoJSON 输出
+const EVENT_FEED_CONFIG = {
+  agencyId: process.env.EVENT_FEED_AGENCY || null,  // 机构/台网代码，缺省使用台站代码配置的默认台网
+  authority: process.env.QUAKEML_AUTHORITY || 'local.earthquake'  // QuakeML 资源标识的命名空间
+};
+
+// 警报生命周期：按设备发起、升级、确认、清除
+const ALERT_CONFIG = {
+  clearDelay: 10,        // 触发结束后保持该时长（秒）才清除警报，避免反复发起
+  cooldown: 60,          // 清除后的冷却时间（秒），期间该设备不再发起同级或更低级的警报
+  renotifyLevel: '高',   // 该级别及以上未确认的警报定期重新通知
+  renotifyInterval: 30,  // 秒
+  maxAlerts: 200
+};
+
+// 批量传感器数据（sensor_batch）
+const SENSOR_BATCH_CONFIG = {
+  maxSamples: 1000,  // 每批次最多样本数
+  maxDrift: 1        // 设备时间不可用时，连续批次按采样率排列的时间与收到时间的最大偏差（秒），超出后以收到时间重新对齐
+};
+
+// 样本时间：设备时间换算到服务器时间轴后，与收到时间的偏差在允许范围内才采用，
+// 否则（设备时钟尚未同步且不是 Unix 时间、设备时间错误等）以收到时间代替
+const SAMPLE_TIME_CONFIG = {
+  maxLead: 1,           // 最多晚于收到时间（秒）
+  maxDelay: 60,         // 最多早于收到时间（秒），设备缓存后补发的数据在此范围内仍按设备时间处理
+  unsyncedError: 0.05,  // 未同步设备直接使用设备时间时，时间的误差估计（秒）
+  receivedError: 0.1    // 以收到时间代替时，时间的误差估计（秒，网络传输抖动）
+};
+
+// 测试地震：为已注册设备合成一段类地震波形，在独立的测试数据流上按批量数据回放到最近的时间段，
+// 经过完整的触发、分类和告警流程，但不存储、不关联、不进入事件目录
+const TEST_EARTHQUAKE_CONFIG = {
+  sampleRate: 100,    // 合成波形的采样率（Hz）
+  quietMargin: 5,     // 震前背景噪声比长时窗多出的秒数（长时窗先建立基线）
+  shaking: 10,        // 震动持续时间（秒）
+  after: 5,           // 震后背景噪声（秒），触发在此期间结束
+  noise: 0.02,        // 背景噪声幅度（m/s²）
+  amplitudePerMagnitude: 0.2  // 每级震级对应的水平加速度幅度（m/s²），按设备量程限幅
+};
+
+// 设备时钟同步：服务器定期发送 time_sync 探测，设备回显后由往返时间估计时钟偏差和漂移
+const TIME_SYNC_CONFIG = {
+  interval: 30,          // 探测间隔（秒）
+  burst: 5,              // 设备注册时连续发送的探测次数
+  burstSpacing: 200,     // 连续探测的间隔（毫秒）
+  probeTimeout: 10,      // 超过该时间（秒）未回复的探测作废
+  maxSamples: 32,        // 每台设备保留的往返样本数
+  maxAge: 600,           // 往返样本保留时长（秒）
+  minDriftSpan: 60,      // 估计漂移需要的样本时间跨度（秒）
+  goodUncertainty: 10,   // 不确定度不超过该值（毫秒）时同步质量为 good
+  fairUncertainty: 50,   // 不超过该值时为 fair，否则为 poor
+  staleAfter: 3          // 超过该数量的探测间隔没有成功往返时同步质量为 stale
+};
+
+// 传感器数据的六个轴
+const SENSOR_AXES = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+// 事件分类标签的中文名称
+const TRIGGER_CLASS_NAMES = {
+  earthquake: '类地震',
+  impulsive: '冲击（关门/敲击）',
+  machinery: '周期性机械振动',
+  footsteps_traffic: '脚步/交通'
+};
+
+// STA/LTA 触发参数（窗口单位：秒），可用环境变量覆盖
+const STA_LTA_CONFIG = {
+  staWindow: envNumber('STA_LTA_STA_WINDOW', 0.5),
+  ltaWindow: envNumber('STA_LTA_LTA_WINDOW', 10),
+  triggerOn: envNumber('STA_LTA_TRIGGER_ON', 3.0),
+  triggerOff: envNumber('STA_LTA_TRIGGER_OFF', 1.5),
+  minDuration: envNumber('STA_LTA_MIN_DURATION', 1.0),
+  maxDuration: envNumber('STA_LTA_MAX_DURATION', 60)
+};
+
+// 触发器按设备创建，启动时先检查参数，无效时直接退出
+try {
+  new StaLtaTrigger(STA_LTA_CONFIG);
+} catch (error) {
+  logger.error(`STA/LTA 触发参数无效: ${error.message}`);
+  process.exit(1);
+}
+
 // 为静态内容提供服务
 app.get('/', (req, res) => {
   res.send(`
@@ -174,11 +697,62 @@ app.get('/', (req, res) => {
                     <strong>GET /api/devices</strong> - 获取所有设备信息
                 </div>
                 <div class="endpoint">
-                    <strong>GET /api/device/:id/data</strong> - 获取特定设备数据
+                    <strong>GET /api/device/:id/data</strong> - 获取特定设备的历史数据（from、to、limit）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/device/:id/picks</strong> - 获取设备的P波/S波拾取结果
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/device/:id/waveform.mseed</strong> - 导出设备的原始波形为 MiniSEED（from、to）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/device/:id/spectrum</strong> - 傅里叶幅值谱和5%阻尼反应谱（from、to、periods）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/alert-rules</strong> - 当前告警规则（POST /api/alert-rules/reload 重新加载）
+                </div>
+                <div class="endpoint">
+                    <strong>POST /api/alert-rules/dry-run</strong> - 用缓存数据试运行告警规则
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/events</strong> - 地震事件目录（state、limit）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/events/:id</strong> - 获取单个地震事件
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/events.quakeml</strong> - 地震事件目录 QuakeML 1.2（/api/events.geojson 为 GeoJSON；from、to、minmagnitude、maxmagnitude）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/events/:id/waveforms.tar.gz</strong> - 导出事件中全部台站的波形
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/alerts</strong> - 警报列表（active、state、device_id、limit）
+                </div>
+                <div class="endpoint">
+                    <strong>POST /api/alerts/:id/ack</strong> - 确认警报（operator）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/recordings</strong> - 已保存的触发记录列表
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/device/:id/calibration</strong> - 获取设备校准参数（PUT 修改，DELETE 重置）
+                </div>
+                <div class="endpoint">
+                    <strong>POST /api/device/:id/calibrate</strong> - 让静置的设备开始校准记录
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/device-credentials</strong> - 设备凭据列表（POST 分配，/:id/rotate 更换，/:id/revoke 吊销）
+                </div>
+                <div class="endpoint">
+                    <strong>GET /api/keys</strong> - API 密钥列表（POST 创建，/:id/revoke 吊销；查询当前密钥用 /api/auth/whoami）
                 </div>
                 <div class="endpoint">
                     <strong>GET /api/recent-data</strong> - 获取最近数据
                 </div>
+                <div class="endpoint">
+                    <strong>GET /api/history-data</strong> - 历史数据（resolution=raw|1s|1m|1h 或 maxPoints 自动降采样）
+                </div>
                 <div class="endpoint">
                     <strong>POST /api/test/earthquake</strong> - 测试地震警报
                 </div>
@@ -205,7 +779,11 @@ wss.on('connection', (ws, req) => {
     connectedAt: new Date(),
     lastHeartbeat: Date.now(),
     deviceId: null,
-    clientType: 'unknown' // 新增字段，标识客户端类型
+    clientType: 'unknown', // 新增字段，标识客户端类型
+    authenticatedDevices: new Map(),  // 本连接认证的设备 -> 认证时的密钥哈希
+    authChallenge: null,
+    authWarnings: new Set(),
+    apiKey: null  // 监控连接注册时使用的 API 密钥 { id, name, role }
   });
   
   // 发送欢迎消息
@@ -238,7 +816,20 @@ wss.on('connection', (ws, req) => {
   }, HEARTBEAT_INTERVAL);
 
   // 消息处理
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
+    if (isBinary) {
+      try {
+        handleBinaryFrame(ws, message);
+      } catch (error) {
+        logger.error(`二进制帧处理错误 (${clientId}): ${error.message}`);
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: '二进制帧处理失败'
+        }));
+      }
+      return;
+    }
+    
     try {
       const data = JSON.parse(message);
       handleMessage(ws, data);
@@ -300,6 +891,10 @@ function handleMessage(ws, data) {
       handleSensorData(ws, data, client);
       break;
       
+    case 'sensor_batch':
+      handleSensorBatch(ws, data, client);
+      break;
+      
     case 'device_register':
       handleDeviceRegister(ws, data, client);
       break;
@@ -316,6 +911,18 @@ function handleMessage(ws, data) {
       handleClientRegister(ws, data, client);
       break;
       
+    case 'calibrate':
+      handleCalibrateRequest(ws, data, client);
+      break;
+      
+    case 'time_sync':
+      handleTimeSync(ws, data, client);
+      break;
+      
+    case 'alert_ack':
+      handleAlertAck(ws, data, client);
+      break;
+      
     default:
       logger.warn(`未知消息类型: ${data.type} 来自 ${client.id}`);
   }
@@ -325,6 +932,17 @@ function handleMessage(ws, data) {
 function handleClientRegister(ws, data, client) {
   const { client_type = 'generic' } = data;
   
+  // 监控连接可以收到全部数据，需要 viewer 及以上角色的 API 密钥
+  if (client_type === 'monitor' && API_AUTH_CONFIG.required) {
+    const identity = authenticateApiKey(apiKeys, data.api_key);
+    if (!identity) {
+      denyClient(ws, client, 'client_register', data.api_key ? 'INVALID_API_KEY' : 'API_KEY_REQUIRED',
+        data.api_key ? 'API 密钥无效或已吊销' : '监控连接需要 API 密钥（api_key）');
+      return;
+    }
+    client.apiKey = identity;
+  }
+  
   // 更新客户端类型
   client.clientType = client_type;
   
@@ -332,6 +950,7 @@ function handleClientRegister(ws, data, client) {
   ws.send(JSON.stringify({
     type: 'client_registered',
     client_type,
+    role: client.apiKey ? client.apiKey.role : null,
     server_time: new Date().toISOString(),
     message: '客户端注册成功'
   }));
@@ -377,9 +996,9 @@ function getHealthStatus() {
   };
 }
 
-// 处理传感器数据
+// 处理传感器数据（每条消息一个样本）
 function handleSensorData(ws, data, client) {
-  const { device_id, timestamp, ax, ay, az, gx, gy, gz } = data;
+  const { device_id, timestamp } = data;
   
   // 验证数据
   if (!device_id || !timestamp) {
@@ -387,153 +1006,1868 @@ function handleSensorData(ws, data, client) {
     return;
   }
   
-  // 确保设备已注册
+  // 确保设备已注册，且由本连接认证
   if (!deviceData.has(device_id)) {
     logger.warn(`未注册设备尝试发送数据: ${device_id}`);
     return;
   }
+  if (!requireDeviceSession(ws, client, device_id)) {
+    return;
+  }
   
-  // 解析传感器值
-  const parsedData = {
-    ax: parseFloat(ax),
-    ay: parseFloat(ay),
-    az: parseFloat(az),
-    gx: parseFloat(gx),
-    gy: parseFloat(gy),
-    gz: parseFloat(gz)
-  };
-  
-  // 验证传感器值
-  for (const [key, value] of Object.entries(parsedData)) {
-    if (isNaN(value)) {
-      logger.warn(`传感器数据中包含无效值 ${key}: ${data[key]}`);
-      return;
-    }
+  // 解析并验证传感器值
+  const parsedData = parseSensorValues(data);
+  const invalidKey = SENSOR_AXES.find(key => isNaN(parsedData[key]));
+  if (invalidKey) {
+    logger.warn(`传感器数据中包含无效值 ${invalidKey}: ${data[invalidKey]}`);
+    return;
   }
   
   // 更新设备最后活动时间
   const deviceInfo = deviceData.get(device_id);
   deviceInfo.lastSeen = new Date();
   
-  // 使用新的地震算法
-  const magnitude = calculateMagnitude(parsedData.ax, parsedData.ay, parsedData.az);
-  const intensity = calculateIntensity(parsedData.ax, parsedData.ay, parsedData.az, 10); // 传入距离参数
-  const jmaResult = calculateJmaSeismicIntensity(parsedData.ax, parsedData.ay, parsedData.az);
-  const jmaIntensity = jmaResult.intensity;
-  const pga = jmaResult.pga_raw;
-  const earthquakeType = classifyEarthquake(magnitude);
-  const alertObj = assessAlertLevel(magnitude, intensity);
-  const alertLevel = alertObj.level;
-  const energy = calculateEnergy(magnitude);
-  const impactRadius = calculateImpactRadius(magnitude);
+  // 按注册时声明的单位换算为国际单位（m/s²、rad/s），超出量程的数据包直接丢弃
+  const conversion = convertSensorSample(parsedData, deviceInfo.units);
+  if (conversion.invalid_axes.length > 0) {
+    deviceInfo.rejected_packets++;
+    logger.warn(`设备 ${device_id} 数据超出声明量程，已丢弃: ${conversion.invalid_axes.join(', ')}`);
+    return;
+  }
+  if (conversion.clipped_axes.length > 0) {
+    deviceInfo.clipped_packets++;
+    logger.warn(`设备 ${device_id} 数据削波（满量程）: ${conversion.clipped_axes.join(', ')}`);
+  }
   
-  // 检测是否为地震
-  const isEarthquake = detectEarthquake(magnitude);
+  const stream = getDeviceStream(device_id);
+  const sampleTime = getSingleSampleTime(stream, deviceInfo.sample_rate, parseDeviceTime(data.timestamp), Date.now());
+  const sample = ingestSample(device_id, stream, conversion.values, sampleTime);
+  const enhancedData = analyzeSample(device_id, stream, data, sample, conversion.clipped_axes,
+    sample.triggerResult, sampleTime);
+  countPacket();
   
-  // 创建增强的传感器数据对象
-  const enhancedData = {
-    ...data,
-    server_timestamp: new Date().toISOString(),
-    magnitude: parseFloat(magnitude.toFixed(4)),
-    intensity: parseFloat(intensity.toFixed(4)),
-    jma_intensity: parseFloat(jmaIntensity.toFixed(4)),
-    pga: parseFloat(pga.toFixed(6)),
-    earthquake_type: earthquakeType,
-    alert_level: alertLevel,
-    energy: energy,
-    impact_radius: impactRadius,
-    is_earthquake: isEarthquake,
-    location: deviceInfo.location || null
-  };
+  // 响应客户端
+  if (ws) {
+    ws.send(JSON.stringify({
+      type: 'data_received',
+      timestamp: new Date().toISOString(),
+      magnitude: enhancedData.magnitude,
+      vibration_level: enhancedData.vibration_level,
+      is_earthquake: enhancedData.is_earthquake
+    }));
+  }
+}
+
+// 处理批量传感器数据：一帧包含起始时间、采样率、序号和 ax..gz 样本数组。
+// 样本逐个进入预处理、触发器和波形缓存，各算法只在触发开始/结束的样本和批次末尾运行，
+// 每批次生成一条数据记录（取该段加速度最大的样本）并回复一次 batch_received。
+// replayStream 为测试回放使用的独立流（见 createDeviceStream），缺省时使用设备的流
+function handleSensorBatch(ws, data, client, replayStream = null) {
+  const { device_id, timestamp, sequence } = data;
   
-  // 添加到设备历史数据
-  deviceInfo.history.push(enhancedData);
-  if (deviceInfo.history.length > MAX_HISTORY_SIZE) {
-    deviceInfo.history.shift();
+  if (!device_id || !timestamp) {
+    logger.warn(`无效的批量传感器数据来自 ${client.id}`);
+    return;
   }
   
-  // 添加到最近数据列表
-  recentData.push(enhancedData);
-  if (recentData.length > MAX_RECENT_DATA_SIZE) {
-    recentData.shift();
+  if (!deviceData.has(device_id)) {
+    logger.warn(`未注册设备尝试发送数据: ${device_id}`);
+    return;
+  }
+  if (!requireDeviceSession(ws, client, device_id)) {
+    return;
   }
   
-  // 添加到数据缓存
-  dataCache.push(enhancedData);
-  if (dataCache.length > MAX_CACHE_SIZE) {
-    dataCache.shift();
+  const deviceInfo = deviceData.get(device_id);
+  if (!replayStream) {
+    deviceInfo.lastSeen = new Date();
   }
   
-  // 定期保存缓存到文件（每100条数据或检测到地震时）
-  if (dataCache.length % 100 === 0 || isEarthquake) {
-    try {
-      fs.writeFileSync(DATA_CACHE_FILE, JSON.stringify(dataCache, null, 2));
-    } catch (error) {
-      logger.error(`保存缓存数据失败: ${error.message}`);
+  const reply = (status, extra = {}) => {
+    if (ws) {
+      ws.send(JSON.stringify({
+        type: 'batch_received',
+        device_id,
+        sequence: sequence !== undefined ? sequence : null,
+        status,
+        ...extra,
+        timestamp: new Date().toISOString()
+      }));
     }
+  };
+  
+  // 验证采样率和各轴样本数组
+  const sampleRate = parseFloat(data.sample_rate);
+  const count = Array.isArray(data.ax) ? data.ax.length : 0;
+  let error = null;
+  if (!(sampleRate > 0)) {
+    error = '采样率无效';
+  } else if (count === 0 || count > SENSOR_BATCH_CONFIG.maxSamples) {
+    error = `样本数必须在 1 到 ${SENSOR_BATCH_CONFIG.maxSamples} 之间`;
+  } else if (SENSOR_AXES.some(key => !Array.isArray(data[key]) || data[key].length !== count)) {
+    error = 'ax..gz 样本数组长度不一致';
   }
   
-  // 统计数据包数量
-  packetCount++;
-  const now = Date.now();
-  if (now - lastPacketReset >= 1000) {  // 每秒重置一次
-    currentPps = packetCount;  // 记录当前PPS值
-    packetCount = 0;  // 重置计数器
-    lastPacketReset = now;  // 更新重置时间
+  const samples = [];
+  for (let i = 0; !error && i < count; i++) {
+    const parsed = parseSensorValues(data, i);
+    const invalidKey = SENSOR_AXES.find(key => isNaN(parsed[key]));
+    if (invalidKey) {
+      error = `第 ${i + 1} 个样本的 ${invalidKey} 无效`;
+    }
+    samples.push(parsed);
+  }
+  if (error) {
+    logger.warn(`设备 ${device_id} 批量数据无效: ${error}`);
+    reply('rejected', { message: error });
+    return;
   }
   
-  logger.info(`传感器数据 - 设备: ${device_id}, 震级: ${magnitude.toFixed(2)}, ` +
-              `烈度: ${intensity.toFixed(2)}, 震度: ${jmaIntensity.toFixed(2)}, ` +
-              `类型: ${earthquakeType}, 警报: ${alertLevel}, ` +
-              `地震: ${isEarthquake ? '是' : '否'}`);
+  // 按序号检查重复和丢失的批次（设备重新注册后序号重新开始）
+  const stream = replayStream || getDeviceStream(device_id);
+  let contiguous = false;
+  if (Number.isInteger(sequence)) {
+    const last = stream.lastBatchSequence;
+    if (last !== null && sequence <= last) {
+      reply('duplicate');
+      return;
+    }
+    if (last !== null && sequence > last + 1) {
+      deviceInfo.lost_batches += sequence - last - 1;
+      logger.warn(`设备 ${device_id} 丢失 ${sequence - last - 1} 个批次（序号 ${last + 1}-${sequence - 1}）`);
+    }
+    contiguous = last !== null && sequence === last + 1;
+    stream.lastBatchSequence = sequence;
+  }
   
-  // 响应客户端
-  if (ws) {
-    ws.send(JSON.stringify({
-      type: 'data_received',
-      timestamp: new Date().toISOString(),
-      magnitude: magnitude,
-      is_earthquake: isEarthquake
-    }));
+  // 整批换算单位，任一样本超出声明量程时丢弃整个批次
+  const conversions = samples.map(values => convertSensorSample(values, deviceInfo.units));
+  const invalid = conversions.find(conversion => conversion.invalid_axes.length > 0);
+  if (invalid) {
+    deviceInfo.rejected_packets++;
+    logger.warn(`设备 ${device_id} 批量数据超出声明量程，已丢弃: ${invalid.invalid_axes.join(', ')}`);
+    reply('rejected', { message: '数据超出声明量程' });
+    return;
+  }
+  const clippedCount = conversions.filter(conversion => conversion.clipped_axes.length > 0).length;
+  if (clippedCount > 0) {
+    deviceInfo.clipped_packets++;
+    logger.warn(`设备 ${device_id} 批量数据中 ${clippedCount} 个样本削波（满量程）`);
   }
   
-  // 广播数据到监控面板
-  broadcastToDashboards(enhancedData);
+  // 滤波器按批次声明的采样率设计
+  stream.preprocessor.setSampleRate(sampleRate);
+  const deviceStart = parseDeviceTime(timestamp);
+  const times = getBatchSampleTimes(stream, count, sampleRate, contiguous, deviceStart, Date.now());
+  let peak = null;
+  let enhancedData = null;
+  conversions.forEach((conversion, i) => {
+    const sample = ingestSample(device_id, stream, conversion.values, times[i]);
+    if (!peak || sample.accelerationNorm > peak.sample.accelerationNorm) {
+      peak = { sample, index: i };
+    }
+    
+    if (!sample.triggerResult.event && i < count - 1) return;
+    
+    // 数据记录的时间取其报告的样本（该段加速度最大的样本）的时间
+    const record = {
+      type: 'sensor_data',
+      device_id,
+      timestamp: formatDeviceTime(timestamp, deviceStart + peak.index * 1000 / sampleRate),
+      ...samples[peak.index],
+      batch: {
+        sequence: sequence !== undefined ? sequence : null,
+        sample_rate: sampleRate,
+        sample_count: count,
+        sample_index: peak.index
+      }
+    };
+    enhancedData = analyzeSample(device_id, stream, record, peak.sample,
+      conversions[peak.index].clipped_axes, sample.triggerResult, times[peak.index], times[i]);
+    peak = null;
+  });
+  countPacket();
   
-  // 如果检测到地震，触发警报
-  if (isEarthquake) {
-    handleEarthquakeAlert(enhancedData);
-  }
+  reply('ok', {
+    sample_count: count,
+    magnitude: enhancedData.magnitude,
+    vibration_level: enhancedData.vibration_level,
+    is_earthquake: enhancedData.is_earthquake
+  });
 }
 
-// 处理设备注册
-function handleDeviceRegister(ws, data, client) {
-  const { device_id, location } = data; // 移除设备类型字段
+// 处理二进制传感器帧：按设备编号找到设备，解码为与 JSON 相同的 sensor_batch 数据后处理
+function handleBinaryFrame(ws, message) {
+  const client = clients.get(ws);
   
-  if (!device_id) {
+  let frame;
+  try {
+    frame = decodeSensorFrame(message);
+  } catch (error) {
+    logger.warn(`二进制帧解析错误 (${client.id}): ${error.message}`);
     ws.send(JSON.stringify({
       type: 'error',
-      message: '设备ID不能为空'
+      message: error.message
     }));
     return;
   }
   
-  // 更新客户端信息
-  client.deviceId = device_id;
+  const deviceId = binaryDeviceIds.get(frame.device_index);
+  const deviceInfo = deviceId && deviceData.get(deviceId);
+  let error = null;
+  if (!deviceInfo || !deviceInfo.binary) {
+    error = `设备编号 ${frame.device_index} 未协商二进制帧`;
+  } else if (frame.sample_format !== deviceInfo.binary.sample_format) {
+    error = `设备 ${deviceId} 协商的样本格式为 ${deviceInfo.binary.sample_format}，收到 ${frame.sample_format}`;
+  }
+  if (error) {
+    logger.warn(`二进制帧无效 (${client.id}): ${error}`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: error
+    }));
+    return;
+  }
   
-  // 存储设备信息
+  // int16 样本乘以比例因子换算为注册时声明单位的值
+  const { accel_scale: accelScale, gyro_scale: gyroScale } = deviceInfo.binary;
+  const data = {
+    type: 'sensor_batch',
+    device_id: deviceId,
+    timestamp: new Date(frame.timestamp).toISOString(),
+    sample_rate: frame.sample_rate,
+    sequence: frame.sequence
+  };
+  SENSOR_AXES.forEach(axis => {
+    const scale = frame.sample_format === 'int16' ? (axis[0] === 'a' ? accelScale : gyroScale) : 1;
+    data[axis] = scale === 1 ? frame.samples[axis] : frame.samples[axis].map(value => value * scale);
+  });
+  
+  handleSensorBatch(ws, data, client);
+}
+
+// 取出传感器值，index 给定时从批量数据的样本数组中取
+function parseSensorValues(data, index) {
+  const values = {};
+  SENSOR_AXES.forEach(key => {
+    values[key] = parseFloat(index === undefined ? data[key] : data[key][index]);
+  });
+  return values;
+}
+
+// 批量样本的时间（服务器时间轴）：第一个样本的设备时间按时钟同步结果换算后，按采样率等间隔排列；
+// 序号连续且与上一批次末尾相差不超过半个采样间隔时紧接上一批次，使时间轴保持均匀。
+// 设备时间不可用时以收到时间为最后一个样本的时间，序号连续且偏差不超过 maxDrift 时紧接上一批次。保证时间单调递增
+function getBatchSampleTimes(stream, count, sampleRate, contiguous, deviceStart, now) {
+  const interval = 1000 / sampleRate;
+  const span = (count - 1) * interval;
+  const lastTime = stream.waveform.length > 0 ? stream.waveform[stream.waveform.length - 1].time : -Infinity;
+  const next = lastTime + interval;
+  
+  const end = toServerSampleTime(stream, deviceStart + span, now);
+  updateTimeError(stream, !isNaN(end));
+  let start;
+  if (!isNaN(end)) {
+    start = end - span;
+    if (contiguous && Math.abs(next - start) <= interval / 2) {
+      start = next;
+    }
+  } else {
+    start = now - span;
+    if (contiguous && Math.abs(next - start) <= SENSOR_BATCH_CONFIG.maxDrift * 1000) {
+      start = next;
+    }
+  }
+  start = Math.max(start, next);
+  
+  return Array.from({ length: count }, (_, i) => start + i * interval);
+}
+
+// 单个样本的时间：注册时声明了采样率的设备按批量数据的规则逐个样本排列（视为与上一样本连续），
+// 使抖动不致打乱时间轴；未声明时取按时钟同步换算后的设备时间，不可用时以收到时间代替。保证时间单调递增
+function getSingleSampleTime(stream, sampleRate, deviceTime, now) {
+  if (sampleRate) {
+    return getBatchSampleTimes(stream, 1, sampleRate, true, deviceTime, now)[0];
+  }
+  
+  const time = toServerSampleTime(stream, deviceTime, now);
+  updateTimeError(stream, !isNaN(time));
+  const lastTime = stream.waveform.length > 0 ? stream.waveform[stream.waveform.length - 1].time : -Infinity;
+  return Math.max(isNaN(time) ? now : time, lastTime);
+}
+
+// 记录设备样本时间的误差估计（秒），台站到时带上该误差参与定位：按时钟同步换算时取同步的不确定度，
+// 未同步时直接使用设备时间或以收到时间代替时取配置的估计值
+function updateTimeError(stream, fromDevice) {
+  const estimate = stream.timeSync.estimate;
+  if (!fromDevice) {
+    stream.timeError = SAMPLE_TIME_CONFIG.receivedError;
+  } else {
+    stream.timeError = estimate ? estimate.uncertainty / 1000 : SAMPLE_TIME_CONFIG.unsyncedError;
+  }
+}
+
+// 按原设备时间的格式（毫秒数或 ISO 字符串）表示设备时间 time，无法表示时返回原设备时间
+function formatDeviceTime(original, time) {
+  if (isNaN(time) || Math.abs(time) > 8.64e15) return original;
+  if (typeof original === 'number' || (typeof original === 'string' && !isNaN(Number(original)))) {
+    return parseFloat(time.toFixed(3));
+  }
+  return new Date(time).toISOString();
+}
+
+// 统计每秒处理的数据包（单样本和批量消息各算一个）
+function countPacket() {
+  packetCount++;
+  const now = Date.now();
+  if (now - lastPacketReset >= 1000) {  // 每秒重置一次
+    currentPps = packetCount;  // 记录当前PPS值
+    packetCount = 0;  // 重置计数器
+    lastPacketReset = now;  // 更新重置时间
+  }
+}
+
+// 校准、预处理一个样本（国际单位）并运行 STA/LTA 触发器，加入波形缓存
+function ingestSample(deviceId, stream, values, time) {
+  // 校准记录期间保存未校正的换算值
+  if (stream.calibration) {
+    stream.calibration.samples.push(values);
+  }
+  
+  // 按设备校准参数校正零偏和比例因子
+  const profile = calibrationProfiles.get(deviceId);
+  const calibratedData = profile ? applyCalibration(values, profile) : values;
+  
+  // 预处理：扣除重力和零偏并滤波，之后所有算法都使用校正后的加速度
+  const corrected = stream.preprocessor.process(calibratedData, time);
+  
+  // 运行该设备的 STA/LTA 触发器
+  const accelerationNorm = Math.sqrt(
+    corrected.ax * corrected.ax +
+    corrected.ay * corrected.ay +
+    corrected.az * corrected.az
+  );
+  const triggerResult = stream.trigger.process(accelerationNorm, time);
+  
+  // 缓存校正后的波形（m/s²）和角速度，供波形窗口法、分类、拾取等使用
+  bufferWaveform(stream, corrected, calibratedData, time);
+  
+  // 校准后、未滤波的波形写入存档，供导出 MiniSEED（测试回放不存档）
+  if (!stream.test) {
+    waveformArchive.add(deviceId, time, calibratedData);
+  }
+  
+  return { corrected, accelerationNorm, triggerResult, calibrated: Boolean(profile) };
+}
+
+// 在样本时刻运行各算法，生成数据记录并保存、广播，处理触发、事件和警报；返回数据记录。
+// sampleTime 为数据记录所报告样本的时间，processedTime 为已处理到的最后一个样本的时间（批量数据中可能晚于
+// sampleTime），窗口指标、分类、警报、事件和拾取按 processedTime 推进
+function analyzeSample(device_id, stream, data, sample, clippedAxes, triggerResult, sampleTime,
+  processedTime = sampleTime) {
+  const deviceInfo = deviceData.get(device_id);
+  const corrected = sample.corrected;
+  
+  // 使用新的地震算法（振动等级为旧版"震级"，仅作参考；这两个旧公式以 g 为单位）
+  const vibrationLevel = calculateMagnitude(
+    corrected.ax / GRAVITY, corrected.ay / GRAVITY, corrected.az / GRAVITY);
+  const intensity = calculateIntensity(
+    corrected.ax / GRAVITY, corrected.ay / GRAVITY, corrected.az / GRAVITY,
+    getEpicentralDistance(deviceInfo, sampleTime));
+  const jmaResult = calculateJmaSeismicIntensity(corrected.ax, corrected.ay, corrected.az);
+  
+  // 波形缓存足够长时使用波形窗口法计算计测震度和中国仪器烈度
+  const windowMetrics = updateWindowMetrics(stream, processedTime);
+  const jmaWindow = windowMetrics && windowMetrics.jma;
+  const jmaIntensity = jmaWindow ? jmaWindow.intensity : jmaResult.intensity;
+  const chinaIntensity = windowMetrics && windowMetrics.china;
+  const pga = jmaResult.pga_raw;
+  
+  // 震级使用该设备最近一次的 ML 估计，没有事件时为null
+  const magnitude = getCurrentMagnitude(stream, processedTime);
+  const earthquakeType = magnitude !== null ? classifyEarthquake(magnitude) : null;
+  const energy = magnitude !== null ? calculateEnergy(magnitude) : null;
+  const impactRadius = magnitude !== null ? calculateImpactRadius(magnitude) : null;
+  
+  // 对触发事件分类，只有处于触发状态且分类为类地震时才视为地震
+  const classification = updateTriggerClassification(stream, triggerResult, processedTime);
+  const isEarthquake = triggerResult.triggered && classification !== null &&
+    classification.label === 'earthquake';
+  
+  // 触发期间累计本次事件的地震动参数（PGV、PGD、CAV、Arias 强度）
+  const eventMotion = updateEventMotion(stream, triggerResult, processedTime);
+  
+  // 创建增强的传感器数据对象
+  const enhancedData = {
+    ...data,
+    timestamp_corrected: correctDeviceTimestamp(stream, data.timestamp),
+    server_timestamp: new Date(sampleTime).toISOString(),
+    corrected: {
+      ax: parseFloat(corrected.ax.toFixed(6)),
+      ay: parseFloat(corrected.ay.toFixed(6)),
+      az: parseFloat(corrected.az.toFixed(6))
+    },
+    magnitude: magnitude !== null ? parseFloat(magnitude.toFixed(2)) : null,
+    magnitude_type: magnitude !== null ? 'ML' : null,
+    vibration_level: parseFloat(vibrationLevel.toFixed(4)),
+    intensity: parseFloat(intensity.toFixed(4)),
+    jma_intensity: parseFloat(jmaIntensity.toFixed(4)),
+    jma_scale: jmaWindow ? jmaWindow.scale : null,
+    jma_method: jmaWindow ? 'window' : 'instant',
+    china_intensity: chinaIntensity ? chinaIntensity.intensity : null,
+    china_intensity_level: chinaIntensity ? chinaIntensity.numeral : null,
+    pgv: windowMetrics && windowMetrics.peakMotion ?
+      parseFloat(windowMetrics.peakMotion.pgv.toFixed(6)) : null,
+    pgd: windowMetrics && windowMetrics.peakMotion ?
+      parseFloat(windowMetrics.peakMotion.pgd.toFixed(6)) : null,
+    cav: eventMotion ? eventMotion.cav : null,
+    arias_intensity: eventMotion ? eventMotion.arias : null,
+    pga: parseFloat(pga.toFixed(6)),
+    earthquake_type: earthquakeType,
+    energy: energy,
+    impact_radius: impactRadius,
+    is_earthquake: isEarthquake,
+    event_class: classification ? classification.label : null,
+    event_class_confidence: classification ? parseFloat(classification.confidence.toFixed(3)) : null,
+    sta_lta_ratio: parseFloat(triggerResult.ratio.toFixed(4)),
+    units: deviceInfo.units,
+    clipped: clippedAxes.length > 0,
+    clipped_axes: clippedAxes,
+    calibrated: sample.calibrated,
+    location: deviceInfo.location || null
+  };
+  if (stream.test) {
+    enhancedData.test = true;
+  }
+  
+  // 按告警规则评估警报级别（规则可按设备、分组、标签配置）
+  const ruleResult = evaluateAlertRules(alertRules.rules, getRuleDevice(device_id), enhancedData);
+  enhancedData.alert_level = ruleResult.level;
+  enhancedData.alert_rule = ruleResult.rule;
+  
+  // 添加到设备历史数据和最近数据列表，写入时序存储并计入降采样汇总（定期批量落盘，检测到地震时立即落盘）；
+  // 测试回放的数据只广播
+  if (!stream.test) {
+    deviceInfo.history.push(enhancedData);
+    if (deviceInfo.history.length > MAX_HISTORY_SIZE) {
+      deviceInfo.history.shift();
+    }
+    
+    recentData.push(enhancedData);
+    if (recentData.length > MAX_RECENT_DATA_SIZE) {
+      recentData.shift();
+    }
+    
+    dataStore.append(device_id, sampleTime, enhancedData);
+    rollupBuilder.add(device_id, sampleTime, enhancedData);
+    if (isEarthquake) {
+      flushDataStore();
+    }
+  }
+  
+  logger.info(`传感器数据 - 设备: ${device_id}, 震级: ${magnitude !== null ? magnitude.toFixed(2) : '-'}, ` +
+              `振动等级: ${vibrationLevel.toFixed(2)}, ` +
+              `烈度: ${intensity.toFixed(2)}, 震度: ${jmaIntensity.toFixed(2)}, ` +
+              `类型: ${earthquakeType}, 警报: ${ruleResult.level}, ` +
+              `地震: ${isEarthquake ? '是' : '否'}`);
+  
+  // 广播数据到监控面板
+  broadcastToDashboards(enhancedData);
+  
+  // 触发开始、结束时通知监控面板
+  if (triggerResult.event) {
+    handleTriggerEvent(device_id, stream, triggerResult.event, classification, eventMotion);
+  }
+  
+  // 每次触发在首次分类为类地震时发起预警并开始（或并入）地震事件
+  if (isEarthquake && !classification.detected) {
+    handleEarthquakeDetection(device_id, stream);
+  }
+  
+  // 更新该设备的警报状态（发起、升级），警报按服务器处理时间计时（补发的数据不会使警报立即清除）
+  updateDeviceAlert(device_id, ruleResult, triggerResult.triggered, Date.now(),
+    stream.test ? { stream, data: enhancedData } : null);
+  
+  // 更新该台站在进行中事件里的峰值
+  updateActiveEvent(device_id, stream, enhancedData, triggerResult, processedTime);
+  
+  // 触发后在缓存波形上拾取P波、S波到时
+  updatePhasePicks(device_id, stream, triggerResult, processedTime);
+  
+  return enhancedData;
+}
+
+// 获取（必要时创建）设备的流式处理状态
+function getDeviceStream(deviceId) {
+  let stream = deviceStreams.get(deviceId);
+  if (!stream) {
+    stream = createDeviceStream();
+    deviceStreams.set(deviceId, stream);
+  }
+  return stream;
+}
+
+// 创建流式处理状态。test 为 true 时是测试回放的独立流：数据记录、触发和警报带 test 标记，
+// 不写入存储和波形存档，不参与多台站关联、地震事件和预警
+function createDeviceStream(test = false) {
+  return {
+    preprocessor: new SignalPreprocessor(PREPROCESS_CONFIG),
+    trigger: new StaLtaTrigger(STA_LTA_CONFIG),
+    waveform: [],
+    windowMetrics: null,
+    windowMetricsUpdatedAt: 0,
+    pickState: null,
+    picks: [],
+    magnitude: null,
+    calibration: null,
+    classification: null,
+    eventMotion: null,
+    eventMotionUpdatedAt: 0,
+    lastBatchSequence: null,
+    timeError: SAMPLE_TIME_CONFIG.receivedError,
+    recordings: [],
+    timeSync: createTimeSyncState(),
+    test
+  };
+}
+
+// 将校正后的加速度（m/s²）和角速度（rad/s）加入设备波形缓存
+function bufferWaveform(stream, corrected, rotation, time) {
+  stream.waveform.push({
+    time,
+    ax: corrected.ax,
+    ay: corrected.ay,
+    az: corrected.az,
+    gx: rotation.gx,
+    gy: rotation.gy,
+    gz: rotation.gz
+  });
+  while (time - stream.waveform[0].time > WAVEFORM_BUFFER_SECONDS * 1000) {
+    stream.waveform.shift();
+  }
+}
+
+// 触发开始时对事件分类，触发期间按间隔、结束时再用更长的记录重新分类；
+// 返回当前触发的分类结果，不在触发中时返回null
+function updateTriggerClassification(stream, triggerResult, time) {
+  const event = triggerResult.event;
+  
+  if (event && event.type === 'trigger_on') {
+    // 记录太短无法分类时按类地震处理，避免漏报
+    stream.classification = {
+      on_time: event.on_time,
+      detected: false,
+      label: 'earthquake',
+      confidence: 0,
+      features: null,
+      ...classifyTriggerWindow(stream, event.on_time, time),
+      updatedAt: time
+    };
+  } else if (stream.classification && (triggerResult.triggered || event) &&
+             (event || time - stream.classification.updatedAt >= CLASSIFIER_CONFIG.updateInterval)) {
+    Object.assign(stream.classification,
+      classifyTriggerWindow(stream, stream.classification.on_time, time), { updatedAt: time });
+  }
+  
+  return (triggerResult.triggered || event) ? stream.classification : null;
+}
+
+// 用触发开始以来（最多 maxWindow 秒）的缓存波形分类，记录太短时返回空对象（保留原标签）
+function classifyTriggerWindow(stream, onTime, time) {
+  const from = Math.max(onTime, time - CLASSIFIER_CONFIG.maxWindow * 1000);
+  const samples = stream.waveform.filter(sample => sample.time >= from && sample.time <= time);
+  
+  if (samples.length < CLASSIFIER_CONFIG.minSamples) {
+    return {};
+  }
+  
+  const features = extractTriggerFeatures(samples, stream.preprocessor.sampleRate);
+  const result = classifyTrigger(features);
+  return {
+    label: result.label,
+    confidence: result.confidence,
+    features
+  };
+}
+
+// 触发期间按间隔（触发开始、结束时立即）计算本次事件（含触发前一小段）的地震动参数；
+// 不在触发中时返回null
+function updateEventMotion(stream, triggerResult, time) {
+  const event = triggerResult.event;
+  if (!triggerResult.triggered && !event) {
+    stream.eventMotion = null;
+    return null;
+  }
+  
+  if (event || time - stream.eventMotionUpdatedAt >= WINDOW_METRICS_CONFIG.updateInterval) {
+    const from = (event ? event.on_time : stream.trigger.onTime) - EVENT_MOTION_PRE_TRIGGER * 1000;
+    const samples = stream.waveform.filter(sample => sample.time >= from && sample.time <= time);
+    const metrics = calculateGroundMotionMetrics(samples, estimateSampleRate(samples));
+    stream.eventMotion = metrics ? roundGroundMotion(metrics) : null;
+    stream.eventMotionUpdatedAt = time;
+  }
+  
+  return stream.eventMotion;
+}
+
+// 由样本时间估计一段记录的平均采样率（积分类指标对采样率误差敏感，不用预处理器的瞬时估计）
+function estimateSampleRate(samples) {
+  if (samples.length < 2) return 0;
+  return (samples.length - 1) * 1000 / (samples[samples.length - 1].time - samples[0].time);
+}
+
+// 地震动参数保留6位小数
+function roundGroundMotion(metrics) {
+  return Object.fromEntries(Object.entries(metrics).map(([key, value]) =>
+    [key, parseFloat(value.toFixed(6))]));
+}
+
+// 按间隔重新计算波形窗口指标，缓存不足时返回null
+function updateWindowMetrics(stream, time) {
+  const buffered = stream.waveform;
+  if (time - buffered[0].time < WINDOW_METRICS_CONFIG.minSeconds * 1000) {
+    return null;
+  }
+  
+  if (time - stream.windowMetricsUpdatedAt >= WINDOW_METRICS_CONFIG.updateInterval) {
+    const windowStart = time - WINDOW_METRICS_CONFIG.windowSeconds * 1000;
+    const windowSamples = buffered.filter(sample => sample.time >= windowStart);
+    const sampleRate = stream.preprocessor.sampleRate;
+    const peakMotion = calculatePeakGroundMotion(windowSamples, sampleRate);
+    
+    stream.windowMetrics = {
+      jma: calculateJmaInstrumentalIntensity(windowSamples, sampleRate),
+      peakMotion,
+      china: peakMotion ? calculateChinaSeismicIntensity(peakMotion.pga, peakMotion.pgv) : null
+    };
+    stream.windowMetricsUpdatedAt = time;
+  }
+  
+  return stream.windowMetrics;
+}
+
+// 触发后依次拾取P波和S波：P波在触发前后的窗口内拾取，
+// S波在P波之后的窗口内（或触发结束时）拾取
+function updatePhasePicks(deviceId, stream, triggerResult, time) {
+  const event = triggerResult.event;
+  if (event && event.type === 'trigger_on' && !stream.pickState) {
+    stream.pickState = { onTime: event.on_time, p: null };
+  }
+  
+  const state = stream.pickState;
+  if (!state) return;
+  
+  if (!state.p) {
+    if (time - state.onTime < PICKER_CONFIG.postTrigger * 1000) return;
+    
+    state.p = pickPhase(stream, 'P', ['ax', 'ay', 'az'],
+      state.onTime - PICKER_CONFIG.preTrigger * 1000,
+      state.onTime + PICKER_CONFIG.postTrigger * 1000);
+    if (state.p) {
+      publishPick(deviceId, stream, state.p);
+      if (!stream.test) {
+        refineArrival(deviceId, state.onTime, state.p.time);
+      }
+    } else {
+      stream.pickState = null;
+    }
+    return;
+  }
+  
+  const sWindowEnd = state.p.time + PICKER_CONFIG.sWindow * 1000;
+  if (time < sWindowEnd && triggerResult.triggered) return;
+  
+  const sPick = pickPhase(stream, 'S', ['ax', 'ay'],
+    state.p.time + PICKER_CONFIG.sDelay * 1000,
+    Math.min(time, sWindowEnd));
+  if (sPick) {
+    sPick.sp_time = (sPick.time - state.p.time) / 1000;
+    sPick.distance_km = estimateDistanceFromSP(sPick.sp_time, PICKER_CONFIG.vp, PICKER_CONFIG.vs);
+    publishPick(deviceId, stream, sPick);
+  }
+  stream.pickState = null;
+  
+  // 非类地震的触发（脚步、关门等）不估算震级
+  if (stream.classification && stream.classification.label !== 'earthquake') return;
+  
+  // 单台震级：有S波时用S-P距离，否则用默认震中距
+  publishStationMagnitude(deviceId, stream, state.p.time, time,
+    sPick ? sPick.distance_km : DEFAULT_EPICENTRAL_DISTANCE,
+    sPick ? 's-p' : 'default');
+}
+
+// 计算单台 ML 并广播 magnitude_estimate（多台定位后会被网络震级覆盖）
+function publishStationMagnitude(deviceId, stream, arrivalTime, endTime, distance, distanceSource) {
+  const station = estimateStationMagnitude(stream, arrivalTime, endTime, distance);
+  if (!station) return;
+  
+  stream.magnitude = { ml: station.ml, time: endTime };
+  
+  const estimate = {
+    type: 'magnitude_estimate',
+    device_id: deviceId,
+    ml: parseFloat(station.ml.toFixed(2)),
+    std: null,
+    station_count: 1,
+    distance_km: parseFloat(distance.toFixed(2)),
+    distance_source: distanceSource,
+    amplitude_nm: parseFloat(station.amplitude.toFixed(1)),
+    timestamp: new Date().toISOString()
+  };
+  if (stream.test) {
+    estimate.test = true;
+  }
+  
+  logger.info(`单台震级 - 设备: ${deviceId}, ML: ${estimate.ml}, 距离: ${estimate.distance_km}km (${distanceSource})`);
+  broadcastToDashboards(estimate);
+}
+
+// 在P波到时前后的缓存波形上计算台站震级
+function estimateStationMagnitude(stream, arrivalTime, endTime, distance) {
+  const from = arrivalTime - MAGNITUDE_PRE_ARRIVAL * 1000;
+  const samples = stream.waveform.filter(sample => sample.time >= from && sample.time <= endTime);
+  return calculateStationMagnitude(samples, stream.preprocessor.sampleRate, distance);
+}
+
+// 设备当前有效的 ML 估计，过期或没有时返回null
+function getCurrentMagnitude(stream, time) {
+  if (!stream.magnitude || time - stream.magnitude.time > EVENT_ESTIMATE_TTL) {
+    return null;
+  }
+  return stream.magnitude.ml;
+}
+
+// 在给定时间范围的缓存波形上用AIC拾取震相，取质量最高的分量
+function pickPhase(stream, phase, components, from, to) {
+  const samples = stream.waveform.filter(sample => sample.time >= from && sample.time <= to);
+  const sampleRate = stream.preprocessor.sampleRate;
+  
+  let best = null;
+  for (const component of components) {
+    const result = aicPick(samples.map(sample => sample[component]), sampleRate);
+    if (result && (!best || result.quality > best.quality)) {
+      best = { ...result, component };
+    }
+  }
+  if (!best) return null;
+  
+  return {
+    phase,
+    time: samples[best.index].time,
+    quality: best.quality,
+    uncertainty: best.uncertainty,
+    component: best.component
+  };
+}
+
+// 保存震相拾取结果并广播到监控面板
+function publishPick(deviceId, stream, pick) {
+  const pickMessage = {
+    type: 'phase_pick',
+    device_id: deviceId,
+    phase: pick.phase,
+    time: new Date(pick.time).toISOString(),
+    quality: parseFloat(pick.quality.toFixed(4)),
+    uncertainty: parseFloat(pick.uncertainty.toFixed(4)),
+    component: pick.component,
+    sp_time: pick.sp_time !== undefined ? parseFloat(pick.sp_time.toFixed(3)) : null,
+    distance_km: pick.distance_km !== undefined ? parseFloat(pick.distance_km.toFixed(2)) : null
+  };
+  if (stream.test) {
+    pickMessage.test = true;
+  }
+  
+  stream.picks.push(pickMessage);
+  if (stream.picks.length > MAX_PICKS) {
+    stream.picks.shift();
+  }
+  
+  logger.info(`震相拾取 - 设备: ${deviceId}, 震相: ${pick.phase}, 分量: ${pick.component}, ` +
+              `时间: ${pickMessage.time}, 质量: ${pickMessage.quality}` +
+              (pickMessage.distance_km !== null ? `, 估计距离: ${pickMessage.distance_km}km` : ''));
+  
+  broadcastToDashboards(pickMessage);
+}
+
+// 记录有坐标的设备的触发时间（设备样本时间），等待多台站关联
+function registerArrival(deviceId, triggerTime) {
+  const deviceInfo = deviceData.get(deviceId);
+  if (!deviceInfo || !deviceInfo.location) return;
+  
+  pendingArrivals.push({
+    deviceId,
+    triggerTime,
+    time: triggerTime, // P波拾取后替换为拾取到时
+    timeError: getDeviceStream(deviceId).timeError,
+    lat: deviceInfo.location.lat,
+    lon: deviceInfo.location.lon
+  });
+  pendingArrivals.sort((a, b) => a.triggerTime - b.triggerTime);
+}
+
+// 用P波拾取到时替换触发时间
+function refineArrival(deviceId, triggerTime, pickTime) {
+  const arrival = pendingArrivals.find(a => a.deviceId === deviceId && a.triggerTime === triggerTime);
+  if (arrival) {
+    arrival.time = pickTime;
+  }
+}
+
+// 关联时间窗结束后，将窗内各台到时归为一个事件并定位
+function associateArrivals() {
+  const now = Date.now();
+  const waitTime = (ASSOCIATION_CONFIG.window + ASSOCIATION_CONFIG.settleTime) * 1000;
+  
+  while (pendingArrivals.length > 0 && now - pendingArrivals[0].triggerTime >= waitTime) {
+    const first = pendingArrivals[0];
+    const group = pendingArrivals.filter(a =>
+      a.triggerTime - first.triggerTime <= ASSOCIATION_CONFIG.window * 1000);
+    pendingArrivals.splice(0, group.length);
+    
+    // 每台设备只取最早的一次触发
+    const byDevice = new Map();
+    group.forEach(a => {
+      if (!byDevice.has(a.deviceId)) byDevice.set(a.deviceId, a);
+    });
+    
+    if (byDevice.size >= ASSOCIATION_CONFIG.minStations) {
+      publishLocatedEvent(Array.from(byDevice.values()));
+    } else {
+      logger.info(`关联台站不足，不做定位: ${Array.from(byDevice.keys()).join(', ')}`);
+    }
+  }
+}
+
+// 网格搜索定位并广播 located_event
+function publishLocatedEvent(arrivals) {
+  const result = locateEpicenter(arrivals, ASSOCIATION_CONFIG);
+  if (!result) return;
+  
+  // 各台按震源距计算台站震级，取平均作为网络震级
+  const now = Date.now();
+  const stationMagnitudes = arrivals.map((a, i) => {
+    const stream = deviceStreams.get(a.deviceId);
+    const epicentral = result.stations[i].distance;
+    const hypocentral = Math.sqrt(epicentral * epicentral + result.depth * result.depth);
+    return stream ? estimateStationMagnitude(stream, a.time, now, hypocentral) : null;
+  });
+  const networkMagnitude = averageMagnitude(
+    stationMagnitudes.filter(station => station).map(station => station.ml));
+  if (networkMagnitude) {
+    arrivals.forEach(a => {
+      const stream = deviceStreams.get(a.deviceId);
+      if (stream) stream.magnitude = { ml: networkMagnitude.ml, time: now };
+    });
+  }
+  
+  const located = {
+    type: 'located_event',
+    event_id: `loc_${Math.round(result.origin_time)}`,
+    origin_time: new Date(result.origin_time).toISOString(),
+    latitude: parseFloat(result.latitude.toFixed(5)),
+    longitude: parseFloat(result.longitude.toFixed(5)),
+    depth: result.depth,
+    uncertainty: {
+      horizontal_km: parseFloat(result.horizontal_uncertainty.toFixed(2)),
+      origin_time_s: parseFloat(result.origin_time_uncertainty.toFixed(3)),
+      at_grid_edge: result.at_grid_edge
+    },
+    rms: parseFloat(result.rms.toFixed(4)),
+    magnitude: networkMagnitude ? {
+      type: 'ML',
+      value: parseFloat(networkMagnitude.ml.toFixed(2)),
+      std: networkMagnitude.std !== null ? parseFloat(networkMagnitude.std.toFixed(2)) : null,
+      station_count: networkMagnitude.station_count
+    } : null,
+    station_count: result.station_count,
+    stations: arrivals.map((a, i) => ({
+      device_id: a.deviceId,
+      arrival_time: new Date(a.time).toISOString(),
+      distance_km: parseFloat(result.stations[i].distance.toFixed(2)),
+      residual: parseFloat(result.stations[i].residual.toFixed(3)),
+      ml: stationMagnitudes[i] ? parseFloat(stationMagnitudes[i].ml.toFixed(2)) : null
+    })),
+    timestamp: new Date().toISOString()
+  };
+  
+  locatedEvents.push(located);
+  if (locatedEvents.length > MAX_LOCATED_EVENTS) {
+    locatedEvents.shift();
+  }
+  
+  refineEarlyWarning(located, arrivals);
+  attachLocatedEvent(located);
+  
+  logger.warn(`事件定位: ${located.event_id}, 震中: ${located.latitude}, ${located.longitude}, ` +
+              `台站数: ${located.station_count}, 水平误差: ${located.uncertainty.horizontal_km}km, ` +
+              `震级: ${located.magnitude ? `ML ${located.magnitude.value}` : '-'}`);
+  
+  broadcastToDashboards(located);
+}
+
+// 首台触发时发起预警：假定震中位于该台站下方，向其他各场点推送S波倒计时
+function startEarlyWarning(deviceId, onTime) {
+  const now = Date.now();
+  if (activeWarning && now - activeWarning.startedAt < EARLY_WARNING_CONFIG.episodeWindow * 1000) {
+    return;
+  }
+  
+  const deviceInfo = deviceData.get(deviceId);
+  if (!deviceInfo || !deviceInfo.location) {
+    logger.info(`设备 ${deviceId} 没有坐标，无法发起地震预警`);
+    return;
+  }
+  
+  const depth = EARLY_WARNING_CONFIG.depth;
+  activeWarning = {
+    id: `ew_${onTime}`,
+    stage: 'single_station',
+    sourceDevice: deviceId,
+    startedAt: now,
+    source: {
+      lat: deviceInfo.location.lat,
+      lon: deviceInfo.location.lon,
+      depth,
+      originTime: onTime - depth / EARLY_WARNING_CONFIG.vp * 1000
+    },
+    observation: {
+      pga: getPeakAcceleration(deviceId, onTime),
+      distance: depth
+    },
+    magnitude: null
+  };
+  
+  issueEarlyWarnings(activeWarning);
+}
+
+// 多台定位完成后，用定位结果和观测最大的台站更新预警
+function refineEarlyWarning(located, arrivals) {
+  if (!activeWarning || Date.now() - activeWarning.startedAt >= EARLY_WARNING_CONFIG.episodeWindow * 1000) {
+    return;
+  }
+  
+  let observation = null;
+  arrivals.forEach((a, i) => {
+    const pga = getPeakAcceleration(a.deviceId, a.time);
+    if (!observation || pga > observation.pga) {
+      const epicentral = located.stations[i].distance_km;
+      observation = { pga, distance: Math.sqrt(epicentral * epicentral + located.depth * located.depth) };
+    }
+  });
+  
+  activeWarning.stage = 'located';
+  activeWarning.source = {
+    lat: located.latitude,
+    lon: located.longitude,
+    depth: located.depth,
+    originTime: Date.parse(located.origin_time)
+  };
+  activeWarning.observation = observation;
+  activeWarning.magnitude = located.magnitude ? located.magnitude.value : null;
+  
+  issueEarlyWarnings(activeWarning);
+}
+
+// 向每个有坐标的场点（首台以外）推送 early_warning，同时广播到监控面板
+function issueEarlyWarnings(warning) {
+  const now = Date.now();
+  
+  deviceData.forEach((info, deviceId) => {
+    if (!info.location || deviceId === warning.sourceDevice) return;
+    
+    const prediction = predictSiteShaking(warning.source, info.location, warning.observation, EARLY_WARNING_CONFIG);
+    const sArrivalSeconds = (prediction.s_arrival - now) / 1000;
+    const message = {
+      type: 'early_warning',
+      warning_id: warning.id,
+      stage: warning.stage,
+      device_id: deviceId,
+      site: info.site || null,
+      source: {
+        latitude: parseFloat(warning.source.lat.toFixed(5)),
+        longitude: parseFloat(warning.source.lon.toFixed(5)),
+        depth: warning.source.depth,
+        device_id: warning.sourceDevice
+      },
+      origin_time: new Date(warning.source.originTime).toISOString(),
+      magnitude: warning.magnitude,
+      distance_km: parseFloat(prediction.distance.toFixed(2)),
+      p_arrival_seconds: parseFloat(((prediction.p_arrival - now) / 1000).toFixed(2)),
+      s_arrival_seconds: parseFloat(sArrivalSeconds.toFixed(2)),
+      s_arrival_time: new Date(prediction.s_arrival).toISOString(),
+      arrived: sArrivalSeconds <= 0,
+      predicted_pga: parseFloat(prediction.pga.toFixed(4)),
+      predicted_intensity: prediction.intensity.intensity,
+      predicted_intensity_level: prediction.intensity.numeral,
+      timestamp: new Date(now).toISOString()
+    };
+    
+    sendToDevice(deviceId, message);
+    broadcastToDashboards(message);
+  });
+  
+  logger.warn(`地震预警 (${warning.stage}): ${warning.id}, 震源: ` +
+              `${warning.source.lat.toFixed(4)}, ${warning.source.lon.toFixed(4)}`);
+}
+
+// 设备自指定时刻以来的最大加速度矢量和（m/s²）
+function getPeakAcceleration(deviceId, since) {
+  const stream = deviceStreams.get(deviceId);
+  if (!stream) return 0;
+  return stream.waveform.reduce((peak, sample) => (sample.time >= since ?
+    Math.max(peak, Math.hypot(sample.ax, sample.ay, sample.az)) : peak), 0);
+}
+
+// 设备到最近一次定位震中的距离，没有有效定位时使用默认值
+function getEpicentralDistance(deviceInfo, time) {
+  const latest = locatedEvents[locatedEvents.length - 1];
+  if (!latest || !deviceInfo.location || time - Date.parse(latest.origin_time) > EVENT_ESTIMATE_TTL) {
+    return DEFAULT_EPICENTRAL_DISTANCE;
+  }
+  return Math.max(1, haversineDistance(
+    latest.latitude, latest.longitude,
+    deviceInfo.location.lat, deviceInfo.location.lon
+  ));
+}
+
+// 处理 STA/LTA 触发开始/结束
+function handleTriggerEvent(deviceId, stream, event, classification, groundMotion) {
+  const triggerMessage = {
+    type: event.type,
+    device_id: deviceId,
+    trigger_on_time: new Date(event.on_time).toISOString(),
+    trigger_off_time: event.off_time ? new Date(event.off_time).toISOString() : null,
+    duration: event.duration !== undefined ? parseFloat(event.duration.toFixed(3)) : null,
+    peak_ratio: parseFloat(event.peak_ratio.toFixed(4)),
+    event_class: classification.label,
+    event_class_confidence: parseFloat(classification.confidence.toFixed(3)),
+    features: classification.features,
+    ground_motion: groundMotion,
+    timestamp: new Date().toISOString()
+  };
+  if (stream.test) {
+    triggerMessage.test = true;
+  }
+  
+  broadcastToDashboards(triggerMessage);
+  
+  const className = TRIGGER_CLASS_NAMES[classification.label];
+  if (event.type === 'trigger_on') {
+    logger.warn(`触发开始 - 设备: ${deviceId}, 峰值比: ${triggerMessage.peak_ratio}, ` +
+                `分类: ${className} (${triggerMessage.event_class_confidence})`);
+    if (!stream.test) {
+      registerArrival(deviceId, event.on_time);
+    }
+  } else {
+    logger.info(`触发结束 - 设备: ${deviceId}, 持续: ${triggerMessage.duration}秒, ` +
+                `峰值比: ${triggerMessage.peak_ratio}, 分类: ${className}` +
+                (groundMotion ? `, PGV: ${groundMotion.pgv}m/s, CAV: ${groundMotion.cav}m/s` : ''));
+    saveTriggerRecording(stream, event, classification, groundMotion);
+  }
+}
+
+// 保存一次触发的波形记录（超出波形缓存后仍可做频谱分析）
+function saveTriggerRecording(stream, event, classification, groundMotion) {
+  const from = event.on_time - RECORDING_CONFIG.preEvent * 1000;
+  
+  stream.recordings.push({
+    on_time: event.on_time,
+    off_time: event.off_time,
+    event_class: classification.label,
+    ground_motion: groundMotion,
+    samples: stream.waveform.filter(sample => sample.time >= from && sample.time <= event.off_time)
+  });
+  if (stream.recordings.length > RECORDING_CONFIG.maxRecordings) {
+    stream.recordings.shift();
+  }
+}
+
+// 取设备在 [from, to] 内的波形：合并触发记录和当前波形缓存，按时间排序去重
+function getWaveformSamples(deviceId, from, to) {
+  const stream = deviceStreams.get(deviceId);
+  if (!stream) return [];
+  
+  const byTime = new Map();
+  for (const recording of stream.recordings) {
+    for (const sample of recording.samples) {
+      if (sample.time >= from && sample.time <= to) byTime.set(sample.time, sample);
+    }
+  }
+  for (const sample of stream.waveform) {
+    if (sample.time >= from && sample.time <= to) byTime.set(sample.time, sample);
+  }
+  
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+}
+
+// 解析查询参数中的时间（ISO 字符串或毫秒时间戳），无效时返回NaN
+function parseTimeParam(value) {
+  if (value === undefined) return NaN;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+// 触发被分类为类地震时发起地震预警，并开始新的地震事件或并入进行中的事件（测试回放只标记已检测）
+function handleEarthquakeDetection(deviceId, stream) {
+  const classification = stream.classification;
+  classification.detected = true;
+  if (stream.test) return;
+  
+  startEarlyWarning(deviceId, classification.on_time);
+  
+  if (activeEvent) {
+    joinEvent(activeEvent, deviceId, stream);
+  } else {
+    startEvent(deviceId, stream);
+  }
+}
+
+// 以该台站的触发开始新的地震事件
+function startEvent(deviceId, stream) {
+  const startTime = stream.classification.on_time;
+  const event = {
+    event_id: `evt_${startTime}`,
+    state: 'ongoing',
+    start_time: startTime,
+    end_time: null,
+    updated_at: Date.now(),
+    magnitude: null,
+    location: null,
+    devices: []
+  };
+  joinEvent(event, deviceId, stream);
+  
+  activeEvent = event;
+  eventCatalog.push(event);
+  if (eventCatalog.length > EVENT_CONFIG.maxEvents) {
+    eventCatalog.shift();
+  }
+  
+  logger.warn(`地震事件开始: ${event.event_id}, 首台: ${deviceId}`);
+  broadcastEvent('event_started', event);
+  return event;
+}
+
+// 台站加入事件；同一台站在事件中再次触发时沿用原记录
+function joinEvent(event, deviceId, stream) {
+  let entry = event.devices.find(device => device.device_id === deviceId);
+  if (!entry) {
+    entry = {
+      device_id: deviceId,
+      trigger_on_time: stream.classification.on_time,
+      trigger_off_time: null,
+      triggered: true,
+      last_seen: Date.now(),
+      event_class: stream.classification.label,
+      peak_ratio: parseFloat(stream.trigger.peakRatio.toFixed(4)),
+      pga: null,
+      pgv: null,
+      pgd: null,
+      cav: null,
+      arias_intensity: null,
+      jma_intensity: null,
+      china_intensity: null,
+      china_intensity_level: null,
+      magnitude: null
+    };
+    event.devices.push(entry);
+    if (event.devices.length > 1) {
+      logger.info(`设备 ${deviceId} 并入地震事件 ${event.event_id}`);
+    }
+  } else {
+    entry.triggered = true;
+    entry.trigger_off_time = null;
+  }
+  event.updated_at = Date.now();
+}
+
+// 用台站的实时数据更新进行中事件的峰值；触发结束时记录结束时间
+function updateActiveEvent(deviceId, stream, data, triggerResult, time) {
+  if (!activeEvent || stream.test) return;
+  const entry = activeEvent.devices.find(device => device.device_id === deviceId);
+  if (!entry || !entry.triggered) return;
+  
+  const maxOf = (current, value) =>
+    value === null || value === undefined ? current : (current === null ? value : Math.max(current, value));
+  entry.last_seen = time;
+  entry.event_class = stream.classification ? stream.classification.label : entry.event_class;
+  entry.peak_ratio = Math.max(entry.peak_ratio, parseFloat(stream.trigger.peakRatio.toFixed(4)));
+  entry.pga = maxOf(entry.pga, data.pga);
+  entry.pgv = maxOf(entry.pgv, stream.eventMotion && stream.eventMotion.pgv);
+  entry.pgd = maxOf(entry.pgd, stream.eventMotion && stream.eventMotion.pgd);
+  entry.cav = maxOf(entry.cav, data.cav);
+  entry.arias_intensity = maxOf(entry.arias_intensity, data.arias_intensity);
+  entry.jma_intensity = maxOf(entry.jma_intensity, data.jma_intensity);
+  if (data.china_intensity !== null && (entry.china_intensity === null || data.china_intensity > entry.china_intensity)) {
+    entry.china_intensity = data.china_intensity;
+    entry.china_intensity_level = data.china_intensity_level;
+  }
+  if (data.magnitude !== null) {
+    entry.magnitude = data.magnitude;
+  }
+  
+  if (triggerResult.event && triggerResult.event.type === 'trigger_off') {
+    entry.triggered = false;
+    entry.trigger_off_time = triggerResult.event.off_time;
+  }
+  activeEvent.updated_at = time;
+}
+
+// 定期检查进行中的事件：有更新时广播 event_updated，各台站触发结束（或设备停止发送数据）
+// endDelay 秒后结束事件
+function checkActiveEvent() {
+  if (!activeEvent) return;
+  const now = Date.now();
+  const endDelay = EVENT_CONFIG.endDelay * 1000;
+  
+  activeEvent.devices.forEach(entry => {
+    if (entry.triggered && now - entry.last_seen >= endDelay) {
+      entry.triggered = false;
+      entry.trigger_off_time = entry.last_seen;
+      activeEvent.updated_at = now;
+    }
+  });
+  
+  const lastOff = Math.max(...activeEvent.devices.map(entry =>
+    entry.triggered ? Infinity : entry.trigger_off_time));
+  if (now - lastOff >= endDelay) {
+    endActiveEvent(lastOff);
+  } else if (activeEvent.updated_at > lastEventBroadcast) {
+    broadcastEvent('event_updated', activeEvent);
+  }
+}
+
+// 结束进行中的事件并保存事件目录
+function endActiveEvent(endTime) {
+  const event = activeEvent;
+  activeEvent = null;
+  event.state = 'ended';
+  event.end_time = endTime;
+  event.updated_at = Date.now();
+  
+  saveEventCatalog();
+  
+  const summary = serializeEvent(event);
+  logger.warn(`地震事件结束: ${event.event_id}, 持续: ${summary.duration}秒, ` +
+              `台站数: ${summary.device_count}, 最大PGA: ${summary.peak_pga}m/s²`);
+  broadcastEvent('event_ended', event);
+}
+
+// 多台站定位结果归入发震时刻附近的事件，更新其震中和网络震级
+function attachLocatedEvent(located) {
+  const originTime = Date.parse(located.origin_time);
+  const associationWindow = ASSOCIATION_CONFIG.window * 1000;
+  const event = eventCatalog.slice().reverse().find(candidate =>
+    originTime >= candidate.start_time - associationWindow &&
+    originTime <= (candidate.end_time !== null ? candidate.end_time : Date.now()));
+  if (!event) return;
+  
+  event.location = {
+    located_event_id: located.event_id,
+    origin_time: located.origin_time,
+    latitude: located.latitude,
+    longitude: located.longitude,
+    depth: located.depth,
+    horizontal_uncertainty_km: located.uncertainty.horizontal_km,
+    origin_time_uncertainty_s: located.uncertainty.origin_time_s,
+    rms: located.rms,
+    station_count: located.station_count
+  };
+  if (located.magnitude) {
+    event.magnitude = {
+      type: located.magnitude.type,
+      value: located.magnitude.value,
+      source: 'network',
+      station_count: located.magnitude.station_count
+    };
+  }
+  event.updated_at = Date.now();
+  
+  // 进行中的事件由定期检查广播，已结束的事件立即保存并广播
+  if (event.state === 'ended') {
+    saveEventCatalog();
+    broadcastEvent('event_updated', event);
+  }
+}
+
+// 广播事件消息到监控面板
+function broadcastEvent(type, event) {
+  lastEventBroadcast = Date.now();
+  broadcastToDashboards({
+    type,
+    ...serializeEvent(event),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// 事件的对外表示：时间转为 ISO 字符串，并汇总持续时间、最大烈度、峰值和震级
+function serializeEvent(event) {
+  const toIso = time => time !== null && time !== undefined ? new Date(time).toISOString() : null;
+  const devices = event.devices.map(({ last_seen, ...entry }) => ({
+    ...entry,
+    trigger_on_time: toIso(entry.trigger_on_time),
+    trigger_off_time: toIso(entry.trigger_off_time)
+  }));
+  
+  const maxEntry = key => event.devices.reduce((best, entry) =>
+    entry[key] !== null && (best === null || entry[key] > best[key]) ? entry : best, null);
+  const maxJma = maxEntry('jma_intensity');
+  const maxChina = maxEntry('china_intensity');
+  const maxPga = maxEntry('pga');
+  const maxPgv = maxEntry('pgv');
+  
+  // 未定位时用各台站 ML 的平均值作为事件震级
+  let magnitude = event.magnitude;
+  if (!magnitude) {
+    const average = averageMagnitude(event.devices.map(entry => entry.magnitude).filter(ml => ml !== null));
+    magnitude = average ? { type: 'ML', value: parseFloat(average.ml.toFixed(2)), source: 'station' } : null;
+  }
+  
+  const endTime = event.end_time !== null ? event.end_time : Date.now();
+  return {
+    event_id: event.event_id,
+    state: event.state,
+    start_time: toIso(event.start_time),
+    end_time: toIso(event.end_time),
+    duration: parseFloat(((endTime - event.start_time) / 1000).toFixed(3)),
+    device_count: event.devices.length,
+    max_intensity: {
+      jma: maxJma ? maxJma.jma_intensity : null,
+      jma_scale: maxJma ? jmaIntensityClass(maxJma.jma_intensity) : null,
+      china: maxChina ? maxChina.china_intensity : null,
+      china_level: maxChina ? maxChina.china_intensity_level : null,
+      device_id: maxChina ? maxChina.device_id : (maxJma ? maxJma.device_id : null)
+    },
+    peak_pga: maxPga ? maxPga.pga : null,
+    peak_pgv: maxPgv ? maxPgv.pgv : null,
+    magnitude,
+    location: event.location,
+    devices,
+    updated_at: toIso(event.updated_at)
+  };
+}
+
+// 保存事件目录
+function saveEventCatalog() {
+  try {
+    fs.writeFileSync(EVENT_CATALOG_FILE, JSON.stringify(eventCatalog, null, 2));
+  } catch (error) {
+    logger.error(`保存地震事件目录失败: ${error.message}`);
+  }
+}
+
+// 事件目录输出使用的台站信息：SEED 台站代码，以及已注册设备的坐标和站点名称
+function getFeedStation(deviceId) {
+  const info = deviceData.get(deviceId);
+  return {
+    ...resolveStationCodes(seedStations, deviceId),
+    latitude: info && info.location ? info.location.lat : null,
+    longitude: info && info.location ? info.location.lon : null,
+    site: info ? info.site : null
+  };
+}
+
+// QuakeML、GeoJSON 输出的公共参数
+function getFeedOptions(req) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    stationInfo: getFeedStation,
+    network: EVENT_FEED_CONFIG.agencyId || seedStations.defaults.network || 'XX',
+    authority: EVENT_FEED_CONFIG.authority,
+    baseUrl,
+    url: `${baseUrl}${req.originalUrl}`
+  };
+}
+
+// 按查询参数过滤事件目录（新事件在前）：from、to（ISO 时间或毫秒时间戳，按发震时刻）、
+// minmagnitude、maxmagnitude、state、limit；参数无效时回复错误并返回null
+function queryEventFeed(req, res) {
+  const from = req.query.from !== undefined ? parseTimeParam(req.query.from) : undefined;
+  const to = req.query.to !== undefined ? parseTimeParam(req.query.to) : undefined;
+  const minMagnitude = req.query.minmagnitude !== undefined ? parseFloat(req.query.minmagnitude) : undefined;
+  const maxMagnitude = req.query.maxmagnitude !== undefined ? parseFloat(req.query.maxmagnitude) : undefined;
+  if ([from, to, minMagnitude, maxMagnitude].some(value => Number.isNaN(value))) {
+    res.status(400).json({ error: '无效的时间或震级条件' });
+    return null;
+  }
+  
+  let events = eventCatalog.slice().reverse().map(serializeEvent);
+  if (req.query.state) {
+    events = events.filter(event => event.state === req.query.state);
+  }
+  events = filterEvents(events, { from, to, minMagnitude, maxMagnitude });
+  const limit = parseInt(req.query.limit);
+  return limit > 0 ? events.slice(0, limit) : events;
+}
+
+// 设备当前未清除的警报（test 为 true 时取测试回放的警报），没有时返回undefined
+function getActiveAlert(deviceId, test = false) {
+  return alerts.find(alert => alert.device_id === deviceId && alert.test === test && alert.state !== 'cleared');
+}
+
+// 按设备更新警报：告警规则给出需要通知的级别时发起警报（冷却期内同级或更低级不发起），
+// 级别升高时升级；警报级别只升不降，触发期间持续刷新活动时间，由 checkAlerts 在触发结束后清除。
+// time 为服务器时间：警报的发起、升级、确认、清除和冷却都按服务器时钟，与样本时间无关。
+// 测试回放时 replay 为 { stream, data }（回放的流和最新数据记录），测试警报与设备的真实警报分开
+function updateDeviceAlert(deviceId, ruleResult, triggered, time, replay = null) {
+  const test = replay !== null;
+  const alert = getActiveAlert(deviceId, test);
+  if (alert && (triggered || ruleResult.notify)) {
+    alert.last_active = time;
+  }
+  if (alert && replay) {
+    alert.replay = replay;
+  }
+  
+  const rank = ALERT_LEVELS.indexOf(ruleResult.level);
+  if (!ruleResult.notify || rank < 1) return;
+  
+  if (!alert) {
+    const cleared = alerts.slice().reverse().find(candidate =>
+      candidate.device_id === deviceId && candidate.test === test);
+    if (cleared && time - cleared.cleared_at < ALERT_CONFIG.cooldown * 1000 &&
+        rank <= ALERT_LEVELS.indexOf(cleared.level)) {
+      return;
+    }
+    raiseAlert(deviceId, ruleResult, time, replay);
+  } else if (rank > ALERT_LEVELS.indexOf(alert.level)) {
+    alert.state = 'escalated';
+    alert.level = ruleResult.level;
+    alert.rule = ruleResult.rule;
+    alert.broadcast = ruleResult.broadcast;
+    alert.escalated_at = time;
+    recordAlertHistory(alert, time);
+    
+    logger.warn(`警报升级: ${alert.alert_id}, 级别: ${alert.level}`);
+    handleEarthquakeAlert(alert);
+  }
+}
+
+// 按告警规则的结果为设备发起新警报；测试回放的警报带 test 标记，不关联地震事件
+function raiseAlert(deviceId, ruleResult, time, replay = null) {
+  const alert = {
+    alert_id: replay ? `alert_test_${deviceId}_${time}` : `alert_${deviceId}_${time}`,
+    device_id: deviceId,
+    test: replay !== null,
+    replay,
+    event_id: !replay && activeEvent ? activeEvent.event_id : null,
+    state: 'raised',
+    level: ruleResult.level,
+    rule: ruleResult.rule,
+    broadcast: ruleResult.broadcast,
+    raised_at: time,
+    escalated_at: null,
+    acknowledged_at: null,
+    acknowledged_by: null,
+    claimed_operator: null,
+    cleared_at: null,
+    last_active: time,
+    last_notified_at: null,
+    notify_count: 0,
+    history: []
+  };
+  recordAlertHistory(alert, time);
+  
+  alerts.push(alert);
+  if (alerts.length > ALERT_CONFIG.maxAlerts) {
+    alerts.shift();
+  }
+  
+  handleEarthquakeAlert(alert);
+}
+
+// 记录警报状态变化，operator 为经过认证的确认者，claimedOperator 为确认者自报的操作员名称（未经验证）
+function recordAlertHistory(alert, time, operator = null, claimedOperator = null) {
+  alert.history.push({ state: alert.state, level: alert.level, time, operator, claimed_operator: claimedOperator });
+}
+
+// 请求中自报的操作员名称：非空字符串，截取前64个字符，其他值视为未提供
+function parseClaimedOperator(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  return value.trim().slice(0, 64);
+}
+
+// 确认警报的身份：API 密钥的名称，未启用 API 密钥时为连接的标识（IP 或客户端ID）
+function getAckIdentity(apiKey, fallback) {
+  return apiKey ? apiKey.name : fallback;
+}
+
+// 操作员确认警报，返回 {alert} 或 {error, status}。
+// operator 为经过认证的身份（记入 acknowledged_by），claimedOperator 为请求中自报的操作员名称，只作参考
+function acknowledgeAlert(alertId, operator, claimedOperator = null) {
+  const alert = alerts.find(candidate => candidate.alert_id === alertId);
+  if (!alert) {
+    return { error: '警报未找到', status: 404 };
+  }
+  if (alert.state === 'cleared') {
+    return { error: '警报已清除', status: 409 };
+  }
+  if (alert.state === 'acknowledged') {
+    return { error: '警报已确认', status: 409 };
+  }
+  
+  const now = Date.now();
+  alert.state = 'acknowledged';
+  alert.acknowledged_at = now;
+  alert.acknowledged_by = operator;
+  alert.claimed_operator = claimedOperator;
+  recordAlertHistory(alert, now, operator, claimedOperator);
+  
+  logger.info(`警报已确认: ${alert.alert_id}, 确认者: ${operator}` +
+              (claimedOperator ? `, 自报操作员: ${claimedOperator}` : ''));
+  broadcastToDashboards({
+    type: 'alert_acknowledged',
+    ...serializeAlert(alert),
+    timestamp: new Date().toISOString()
+  });
+  return { alert };
+}
+
+// 处理监控端发来的警报确认
+function handleAlertAck(ws, data, client) {
+  if (!requireClientRole(ws, client, 'operator', 'alert_ack')) return;
+  
+  const result = acknowledgeAlert(data.alert_id, getAckIdentity(client.apiKey, client.id),
+    parseClaimedOperator(data.operator));
+  if (result.error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: result.error
+    }));
+  }
+}
+
+// 定期检查警报：触发结束满 clearDelay 秒的清除，未确认的高级别警报按间隔重新通知
+function checkAlerts() {
+  const now = Date.now();
+  
+  alerts.filter(alert => alert.state !== 'cleared').forEach(alert => {
+    if (now - alert.last_active >= ALERT_CONFIG.clearDelay * 1000) {
+      alert.state = 'cleared';
+      alert.cleared_at = now;
+      alert.replay = null;
+      recordAlertHistory(alert, now);
+      
+      logger.info(`警报已清除: ${alert.alert_id}`);
+      broadcastToDashboards({
+        type: 'alert_cleared',
+        ...serializeAlert(alert),
+        timestamp: new Date().toISOString()
+      });
+    } else if (alert.state !== 'acknowledged' &&
+               ALERT_LEVELS.indexOf(alert.level) >= ALERT_LEVELS.indexOf(ALERT_CONFIG.renotifyLevel) &&
+               now - alert.last_notified_at >= ALERT_CONFIG.renotifyInterval * 1000) {
+      logger.warn(`警报未确认，重新通知: ${alert.alert_id}`);
+      handleEarthquakeAlert(alert, true);
+    }
+  });
+}
+
+// 警报的对外表示：时间转为 ISO 字符串
+function serializeAlert(alert) {
+  const toIso = time => time !== null ? new Date(time).toISOString() : null;
+  return {
+    alert_id: alert.alert_id,
+    device_id: alert.device_id,
+    test: alert.test,
+    event_id: alert.event_id,
+    state: alert.state,
+    level: alert.level,
+    rule: alert.rule,
+    raised_at: toIso(alert.raised_at),
+    escalated_at: toIso(alert.escalated_at),
+    acknowledged_at: toIso(alert.acknowledged_at),
+    acknowledged_by: alert.acknowledged_by,
+    claimed_operator: alert.claimed_operator,
+    cleared_at: toIso(alert.cleared_at),
+    notify_count: alert.notify_count,
+    history: alert.history.map(entry => ({ ...entry, time: toIso(entry.time) }))
+  };
+}
+
+// 处理监控端发来的校准请求
+function handleCalibrateRequest(ws, data, client) {
+  if (!requireClientRole(ws, client, 'operator', 'calibrate')) return;
+  
+  const result = startCalibration(data.device_id, data.duration);
+  
+  if (result.error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: result.error
+    }));
+    return;
+  }
+  
+  logger.info(`${client.id} 请求校准设备 ${data.device_id}`);
+}
+
+// 向设备发送 calibrate 命令并开始记录其静置数据，返回 {calibration} 或 {error}
+function startCalibration(deviceId, duration = CALIBRATION_CONFIG.defaultDuration) {
+  const deviceInfo = deviceData.get(deviceId);
+  if (!deviceInfo) {
+    return { error: '设备未找到' };
+  }
+  if (deviceInfo.status !== 'connected') {
+    return { error: '设备未连接' };
+  }
+  
+  const stream = getDeviceStream(deviceId);
+  if (stream.calibration) {
+    return { error: '设备正在校准' };
+  }
+  
+  const seconds = parseFloat(duration);
+  if (isNaN(seconds) || seconds < CALIBRATION_CONFIG.minDuration || seconds > CALIBRATION_CONFIG.maxDuration) {
+    return { error: `校准时长应在 ${CALIBRATION_CONFIG.minDuration}～${CALIBRATION_CONFIG.maxDuration} 秒之间` };
+  }
+  
+  const calibration = {
+    calibration_id: `${deviceId}-${Date.now()}`,
+    device_id: deviceId,
+    duration: seconds,
+    started_at: new Date().toISOString()
+  };
+  stream.calibration = {
+    ...calibration,
+    samples: [],
+    timer: setTimeout(() => finishCalibration(deviceId), seconds * 1000)
+  };
+  
+  sendToDevice(deviceId, {
+    type: 'calibrate',
+    ...calibration,
+    message: '请保持设备静止'
+  });
+  broadcastToDashboards({
+    type: 'calibration_started',
+    ...calibration
+  });
+  
+  logger.info(`设备 ${deviceId} 开始校准，记录 ${seconds} 秒`);
+  return { calibration };
+}
+
+// 校准记录结束：检查是否静置，按朝向合并到已有记录后重新计算校准参数
+function finishCalibration(deviceId) {
+  const stream = deviceStreams.get(deviceId);
+  const calibration = stream.calibration;
+  stream.calibration = null;
+  
+  const recording = summarizeCalibrationRecording(calibration.samples, {
+    maxAccelStd: CALIBRATION_CONFIG.maxAccelStd
+  });
+  
+  let reason = null;
+  if (recording.count < CALIBRATION_CONFIG.minSamples) {
+    reason = `记录样本不足（${recording.count} 条）`;
+  } else if (!recording.still) {
+    reason = '设备未保持静止';
+  }
+  
+  if (reason) {
+    const message = {
+      type: 'calibration_failed',
+      calibration_id: calibration.calibration_id,
+      device_id: deviceId,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+    sendToDevice(deviceId, message);
+    broadcastToDashboards(message);
+    logger.warn(`设备 ${deviceId} 校准失败: ${reason}`);
+    return;
+  }
+  
+  // 同一朝向的新记录替换旧记录，不同朝向累积（六面法）
+  const previous = calibrationProfiles.get(deviceId);
+  const positions = (previous && previous.positions ? previous.positions : [])
+    .filter(position => position.orientation !== recording.orientation);
+  positions.push({
+    orientation: recording.orientation,
+    mean: recording.mean,
+    std: recording.std,
+    count: recording.count,
+    recorded_at: new Date().toISOString()
+  });
+  
+  const profile = {
+    ...computeCalibrationProfile(positions),
+    positions,
+    source: 'calibration',
+    updated_at: new Date().toISOString()
+  };
+  setCalibrationProfile(deviceId, profile);
+  
+  const message = {
+    type: 'calibration_complete',
+    calibration_id: calibration.calibration_id,
+    device_id: deviceId,
+    orientation: recording.orientation,
+    profile,
+    timestamp: new Date().toISOString()
+  };
+  sendToDevice(deviceId, message);
+  broadcastToDashboards(message);
+  logger.info(`设备 ${deviceId} 校准完成，朝向 ${recording.orientation}，已记录 ${positions.length} 个朝向`);
+}
+
+// 更新（profile 为null时删除）设备校准参数并保存到文件
+function setCalibrationProfile(deviceId, profile) {
+  if (profile) {
+    calibrationProfiles.set(deviceId, profile);
+  } else {
+    calibrationProfiles.delete(deviceId);
+  }
+  
+  // 校正量改变后重新跟踪基线，避免阶跃引起误触发
+  const stream = deviceStreams.get(deviceId);
+  if (stream) {
+    stream.preprocessor.reset();
+    stream.trigger.reset();
+  }
+  
+  try {
+    fs.writeFileSync(CALIBRATION_FILE,
+      JSON.stringify(Object.fromEntries(calibrationProfiles), null, 2));
+  } catch (error) {
+    logger.error(`保存校准参数失败: ${error.message}`);
+  }
+}
+
+// 校验手动修改的校准参数，返回合并后的 profile 或 {error}
+function mergeCalibrationProfile(current, changes) {
+  const profile = {
+    accel_bias: { ax: 0, ay: 0, az: 0 },
+    accel_scale: { ax: 1, ay: 1, az: 1 },
+    gyro_bias: { gx: 0, gy: 0, gz: 0 },
+    positions: [],
+    ...current
+  };
+  
+  const fields = {
+    accel_bias: ['ax', 'ay', 'az'],
+    accel_scale: ['ax', 'ay', 'az'],
+    gyro_bias: ['gx', 'gy', 'gz']
+  };
+  
+  for (const [field, axes] of Object.entries(fields)) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== 'object' || changes[field] === null) {
+      return { error: `${field} 应为对象` };
+    }
+    
+    const values = { ...profile[field] };
+    for (const [axis, value] of Object.entries(changes[field])) {
+      if (!axes.includes(axis) || typeof value !== 'number' || !isFinite(value)) {
+        return { error: `${field}.${axis} 无效` };
+      }
+      if (field === 'accel_scale' && value === 0) {
+        return { error: '比例因子不能为0' };
+      }
+      values[axis] = value;
+    }
+    profile[field] = values;
+  }
+  
+  return {
+    ...profile,
+    source: 'manual',
+    updated_at: new Date().toISOString()
+  };
+}
+
+// 取设备的二进制帧编号，首次协商时分配
+function getBinaryDeviceIndex(deviceId) {
+  if (!binaryDeviceIndexes.has(deviceId)) {
+    const index = binaryDeviceIndexes.size + 1;
+    binaryDeviceIndexes.set(deviceId, index);
+    binaryDeviceIds.set(index, deviceId);
+  }
+  return binaryDeviceIndexes.get(deviceId);
+}
+
+// 处理设备注册
+function handleDeviceRegister(ws, data, client) {
+  const { device_id } = data; // 移除设备类型字段
+  const location = parseDeviceLocation(data);
+  
+  if (!device_id) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: '设备ID不能为空'
+    }));
+    return;
+  }
+  
+  // 校验设备凭据，未通过时已回复挑战或错误
+  if (!authenticateDevice(ws, data, client)) {
+    return;
+  }
+  
+  // 解析设备声明的数据单位和量程、采样率，以及二进制帧协商参数
+  let units;
+  let sampleRate;
+  let binary;
+  try {
+    units = parseSensorUnits(data);
+    sampleRate = parseDeclaredSampleRate(data.sample_rate);
+    binary = parseBinaryOptions(data.binary);
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: error.message
+    }));
+    return;
+  }
+  
+  // 更新客户端信息
+  client.deviceId = device_id;
+  
+  // 存储设备信息
   if (!deviceData.has(device_id)) {
     deviceData.set(device_id, {
       location,
+      site: parseDeviceSite(data, location),
+      group: parseDeviceGroup(data),
+      tags: parseDeviceTags(data),
+      units,
+      sample_rate: sampleRate,
+      binary: null,
+      clock: null,
       status: 'connected',
       connectedAt: new Date(),
       lastSeen: new Date(),
+      clipped_packets: 0,
+      rejected_packets: 0,
+      lost_batches: 0,
       history: []
     });
   } else {
     const deviceInfo = deviceData.get(device_id);
     deviceInfo.status = 'connected';
     deviceInfo.lastSeen = new Date();
+    if (location) {
+      deviceInfo.location = location;
+    }
+    deviceInfo.site = parseDeviceSite(data, location) || deviceInfo.site;
+    deviceInfo.group = parseDeviceGroup(data) || deviceInfo.group;
+    if (data.tags !== undefined) {
+      deviceInfo.tags = parseDeviceTags(data);
+    }
+    deviceInfo.units = units;
+    deviceInfo.sample_rate = sampleRate;
+  }
+  deviceData.get(device_id).binary = binary ? { device_index: getBinaryDeviceIndex(device_id), ...binary } : null;
+  
+  // 设备重新注册后（可能已重启）批次序号和时钟同步重新开始
+  const stream = getDeviceStream(device_id);
+  stream.lastBatchSequence = null;
+  stream.preprocessor.setSampleRate(sampleRate);
+  stream.timeSync = createTimeSyncState();
+  deviceData.get(device_id).clock = null;
+  
+  if (!location) {
+    logger.warn(`设备 ${device_id} 未提供有效经纬度，不参与多台站定位`);
   }
   
   logger.info(`设备注册: ${device_id}`); // 简化日志信息
@@ -542,20 +2876,422 @@ function handleDeviceRegister(ws, data, client) {
   ws.send(JSON.stringify({
     type: 'device_registered',
     device_id,
+    units,
+    binary: binary ? { version: FRAME_VERSION, ...deviceData.get(device_id).binary } : null,
     server_time: new Date().toISOString(),
     message: '设备注册成功'
   }));
   
+  // 连续发送几次时钟同步探测，尽快得到时钟偏差
+  for (let i = 0; i < TIME_SYNC_CONFIG.burst; i++) {
+    setTimeout(() => sendTimeSyncProbe(ws, device_id), i * TIME_SYNC_CONFIG.burstSpacing);
+  }
+  
   // 广播设备状态
   broadcastToDashboards({
     type: 'device_status',
     device_id,
     location,
+    site: deviceData.get(device_id).site,
     status: 'connected',
     timestamp: new Date().toISOString()
   });
 }
 
+// 校验设备注册的凭据：没有应答时下发挑战，应答有效时把设备绑定到本连接
+function authenticateDevice(ws, data, client) {
+  if (!DEVICE_AUTH_CONFIG.required) return true;
+  
+  const { device_id, auth } = data;
+  const credential = deviceCredentials.devices[device_id];
+  if (!credential) {
+    rejectDevice(ws, client, device_id, 'UNKNOWN_DEVICE', `设备 ${device_id} 未分配凭据`);
+    return false;
+  }
+  if (credential.status !== 'active') {
+    rejectDevice(ws, client, device_id, 'DEVICE_REVOKED', `设备 ${device_id} 的凭据已被吊销`);
+    return false;
+  }
+  
+  if (!auth) {
+    const nonce = generateNonce();
+    client.authChallenge = { device_id, nonce, issuedAt: Date.now() };
+    ws.send(JSON.stringify({
+      type: 'auth_challenge',
+      code: 'AUTH_REQUIRED',
+      device_id,
+      nonce,
+      expires_in: DEVICE_AUTH_CONFIG.challengeTimeout,
+      message: '设备需要认证，请用设备密钥计算应答后重新注册'
+    }));
+    return false;
+  }
+  
+  // 挑战只能使用一次
+  const challenge = client.authChallenge;
+  client.authChallenge = null;
+  if (!challenge || challenge.device_id !== device_id || challenge.nonce !== auth.nonce) {
+    rejectDevice(ws, client, device_id, 'INVALID_CHALLENGE', '挑战无效或已使用，请重新注册获取新的挑战');
+    return false;
+  }
+  if (Date.now() - challenge.issuedAt > DEVICE_AUTH_CONFIG.challengeTimeout * 1000) {
+    rejectDevice(ws, client, device_id, 'CHALLENGE_EXPIRED', '挑战已过期，请重新注册获取新的挑战');
+    return false;
+  }
+  if (!verifyAuthProof(credential.stored_key, device_id, challenge.nonce, auth.proof)) {
+    rejectDevice(ws, client, device_id, 'AUTH_FAILED', `设备 ${device_id} 认证失败`);
+    return false;
+  }
+  
+  // 一个连接可以认证多台设备（如网关），记下认证时的密钥哈希以便凭据变更时断开
+  client.authenticatedDevices.set(device_id, credential.stored_key);
+  logger.info(`设备认证成功: ${device_id} (${client.id})`);
+  return true;
+}
+
+// 拒绝设备认证，回复带错误码的 error 消息
+function rejectDevice(ws, client, deviceId, code, message) {
+  logger.warn(`设备认证被拒绝 (${client.id}): ${code} ${message}`);
+  ws.send(JSON.stringify({
+    type: 'error',
+    code,
+    device_id: deviceId,
+    message
+  }));
+}
+
+// 设备是否由本连接认证（关闭认证时或服务器内部注入的数据总是成立）
+function isDeviceSession(client, deviceId) {
+  return !DEVICE_AUTH_CONFIG.required || client.internal === true || client.authenticatedDevices.has(deviceId);
+}
+
+// 检查设备消息是否来自认证了该设备的连接，否则回复错误（每个连接每台设备只提示一次）
+function requireDeviceSession(ws, client, deviceId) {
+  if (isDeviceSession(client, deviceId)) return true;
+  
+  if (!client.authWarnings.has(deviceId)) {
+    client.authWarnings.add(deviceId);
+    rejectDevice(ws, client, deviceId, 'NOT_AUTHENTICATED', `本连接未认证设备 ${deviceId}，数据已丢弃`);
+  }
+  return false;
+}
+
+// 断开凭据已被吊销或更换的设备连接
+function disconnectInvalidDeviceSessions() {
+  clients.forEach((client, ws) => {
+    client.authenticatedDevices.forEach((storedKey, deviceId) => {
+      const credential = deviceCredentials.devices[deviceId];
+      if (credential && credential.status === 'active' && credential.stored_key === storedKey) return;
+      
+      client.authenticatedDevices.delete(deviceId);
+      rejectDevice(ws, client, deviceId, 'CREDENTIALS_CHANGED', `设备 ${deviceId} 的凭据已被吊销或更换，请重新认证`);
+      ws.close();
+    });
+  });
+}
+
+// 保存设备凭据文件
+function saveDeviceCredentials() {
+  try {
+    saveCredentials(DEFAULT_CREDENTIALS_FILE, deviceCredentials);
+  } catch (error) {
+    logger.error(`保存设备凭据失败: ${error.message}`);
+  }
+}
+
+// 请求携带的 API 密钥：X-API-Key 头或 Authorization: Bearer
+function getRequestApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+  
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// 拒绝 REST 请求并记录日志
+function denyRequest(req, res, status, code, message, extra = {}) {
+  const identity = req.apiKey ? `${req.apiKey.id}/${req.apiKey.role}` : '-';
+  logger.warn(`API 请求被拒绝: ${req.method} ${req.originalUrl} 来自 ${req.ip} 密钥 ${identity}: ${code}`);
+  res.status(status).json({ error: message, code, ...extra });
+}
+
+/**
+ * REST 端点的角色检查中间件
+ * 401：没有密钥或密钥无效；403：角色不足。通过时 req.apiKey 为 { id, name, role }
+ * @param {string} role - 需要的最低角色
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!API_AUTH_CONFIG.required) return next();
+    
+    if (!req.apiKey) {
+      const key = getRequestApiKey(req);
+      if (!key) {
+        return denyRequest(req, res, 401, 'API_KEY_REQUIRED', '需要 API 密钥（X-API-Key 头或 Authorization: Bearer）');
+      }
+      req.apiKey = authenticateApiKey(apiKeys, key);
+      if (!req.apiKey) {
+        return denyRequest(req, res, 401, 'INVALID_API_KEY', 'API 密钥无效或已吊销');
+      }
+    }
+    
+    if (!hasRole(req.apiKey.role, role)) {
+      return denyRequest(req, res, 403, 'FORBIDDEN', `需要 ${role} 角色`, { required_role: role });
+    }
+    next();
+  };
+}
+
+// 拒绝 WebSocket 客户端的请求，回复带错误码的 error 消息并记录日志
+function denyClient(ws, client, action, code, message) {
+  const identity = client.apiKey ? `${client.apiKey.id}/${client.apiKey.role}` : '-';
+  logger.warn(`客户端请求被拒绝 (${client.id} ${client.ip}) ${action} 密钥 ${identity}: ${code}`);
+  ws.send(JSON.stringify({
+    type: 'error',
+    code,
+    action,
+    message
+  }));
+}
+
+// 检查 WebSocket 客户端注册时的 API 密钥是否满足角色要求
+function requireClientRole(ws, client, role, action) {
+  if (!API_AUTH_CONFIG.required) return true;
+  if (client.apiKey && hasRole(client.apiKey.role, role)) return true;
+  
+  denyClient(ws, client, action, client.apiKey ? 'FORBIDDEN' : 'API_KEY_REQUIRED',
+    client.apiKey ? `需要 ${role} 角色` : '需要以带 API 密钥的监控连接注册');
+  return false;
+}
+
+// 断开 API 密钥已被吊销的监控连接
+function disconnectInvalidApiSessions() {
+  clients.forEach((client, ws) => {
+    if (!client.apiKey) return;
+    const entry = apiKeys.keys[client.apiKey.id];
+    if (entry && entry.status === 'active') return;
+    
+    denyClient(ws, client, 'session', 'API_KEY_REVOKED', 'API 密钥已被吊销');
+    client.apiKey = null;
+    ws.close();
+  });
+}
+
+// 保存 API 密钥文件
+function saveApiKeysFile() {
+  try {
+    saveApiKeys(DEFAULT_API_KEYS_FILE, apiKeys);
+  } catch (error) {
+    logger.error(`保存 API 密钥失败: ${error.message}`);
+  }
+}
+
+// 解析注册消息中的设备坐标，支持 lat/lon、latitude/longitude、
+// location 对象或 "纬度,经度" 字符串，无效时返回null
+function parseDeviceLocation(data) {
+  let lat = data.lat !== undefined ? data.lat : data.latitude;
+  let lon = data.lon !== undefined ? data.lon : data.longitude;
+  const { location } = data;
+  
+  if (lat === undefined && location && typeof location === 'object') {
+    lat = location.lat !== undefined ? location.lat : location.latitude;
+    lon = location.lon !== undefined ? location.lon : location.longitude;
+  } else if (lat === undefined && typeof location === 'string') {
+    [lat, lon] = location.split(',');
+  }
+  
+  lat = parseFloat(lat);
+  lon = parseFloat(lon);
+  if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+}
+
+// 设备站点名称：优先使用 site 字段，其次是无法解析为坐标的 location 字符串
+function parseDeviceSite(data, location) {
+  if (typeof data.site === 'string') return data.site;
+  if (!location && typeof data.location === 'string') return data.location;
+  return null;
+}
+
+// 设备声明的采样率（Hz），单样本 sensor_data 按此设计滤波器；未声明时为null，由样本时间估计
+function parseDeclaredSampleRate(value) {
+  if (value === undefined || value === null) return null;
+  const sampleRate = Number(value);
+  if (!(sampleRate > 0) || !isFinite(sampleRate)) {
+    throw new Error(`采样率必须是正数: ${value}`);
+  }
+  return sampleRate;
+}
+
+// 设备分组，用于告警规则匹配（如 basement、floor10）
+function parseDeviceGroup(data) {
+  return typeof data.group === 'string' && data.group !== '' ? data.group : null;
+}
+
+// 设备标签：字符串数组或逗号分隔的字符串
+function parseDeviceTags(data) {
+  if (Array.isArray(data.tags)) {
+    return data.tags.filter(tag => typeof tag === 'string');
+  }
+  if (typeof data.tags === 'string') {
+    return data.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+  }
+  return [];
+}
+
+// 告警规则匹配使用的设备信息
+function getRuleDevice(deviceId) {
+  const deviceInfo = deviceData.get(deviceId);
+  return {
+    device_id: deviceId,
+    group: deviceInfo ? deviceInfo.group : null,
+    tags: deviceInfo ? deviceInfo.tags : []
+  };
+}
+
+// 每台设备的时钟同步状态：等待回复的探测和往返样本
+function createTimeSyncState() {
+  return {
+    nextId: 1,
+    probes: new Map(),
+    samples: [],
+    estimate: null,
+    lastSyncAt: 0
+  };
+}
+
+// 向设备发送一次时钟同步探测，设备应立即回显 id 并附上收到（t1）和回复（t2）时的设备时间
+function sendTimeSyncProbe(ws, deviceId) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  
+  const state = getDeviceStream(deviceId).timeSync;
+  const now = Date.now();
+  state.probes.forEach((sentAt, id) => {
+    if (now - sentAt > TIME_SYNC_CONFIG.probeTimeout * 1000) {
+      state.probes.delete(id);
+    }
+  });
+  
+  const id = `${deviceId}_${state.nextId++}`;
+  state.probes.set(id, now);
+  ws.send(JSON.stringify({
+    type: 'time_sync',
+    id,
+    t0: now,
+    server_time: new Date(now).toISOString()
+  }));
+}
+
+// 定期向所有已连接的设备发送时钟同步探测，并标记长时间未同步的设备
+function sendTimeSyncProbes() {
+  const now = Date.now();
+  wss.clients.forEach(ws => {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo || !clientInfo.deviceId || isDashboardClient(clientInfo) ||
+        !deviceData.has(clientInfo.deviceId)) {
+      return;
+    }
+    
+    sendTimeSyncProbe(ws, clientInfo.deviceId);
+    const deviceInfo = deviceData.get(clientInfo.deviceId);
+    const state = getDeviceStream(clientInfo.deviceId).timeSync;
+    if (deviceInfo.clock && now - state.lastSyncAt > TIME_SYNC_CONFIG.staleAfter * TIME_SYNC_CONFIG.interval * 1000) {
+      deviceInfo.clock.quality = 'stale';
+    }
+  });
+}
+
+// 处理设备回显的时钟同步探测
+function handleTimeSync(ws, data, client) {
+  const receivedAt = Date.now();
+  const deviceId = client.deviceId;
+  if (!deviceId || !deviceData.has(deviceId)) {
+    logger.warn(`未注册设备回复时钟同步: ${client.id}`);
+    return;
+  }
+  
+  // 发送时间以服务器记录为准，不使用设备回显的 t0
+  const state = getDeviceStream(deviceId).timeSync;
+  const sentAt = state.probes.get(data.id);
+  if (sentAt === undefined) {
+    logger.warn(`设备 ${deviceId} 回复了未知或已过期的时钟同步探测: ${data.id}`);
+    return;
+  }
+  state.probes.delete(data.id);
+  
+  const deviceReceived = parseDeviceTime(data.t1);
+  const deviceSent = data.t2 !== undefined ? parseDeviceTime(data.t2) : deviceReceived;
+  if (isNaN(deviceReceived) || isNaN(deviceSent)) {
+    logger.warn(`设备 ${deviceId} 时钟同步回复中的时间无效: t1=${data.t1}, t2=${data.t2}`);
+    return;
+  }
+  
+  state.samples.push(calculateTimeSyncSample(sentAt, deviceReceived, deviceSent, receivedAt));
+  state.samples = state.samples
+    .filter(sample => receivedAt - sample.time <= TIME_SYNC_CONFIG.maxAge * 1000)
+    .slice(-TIME_SYNC_CONFIG.maxSamples);
+  
+  const estimate = estimateClockSync(state.samples, receivedAt, {
+    minDriftSpan: TIME_SYNC_CONFIG.minDriftSpan * 1000
+  });
+  if (!estimate) return;
+  
+  state.estimate = { ...estimate, time: receivedAt };
+  state.lastSyncAt = receivedAt;
+  deviceData.get(deviceId).clock = {
+    offset_ms: parseFloat(estimate.offset.toFixed(2)),
+    drift_ppm: parseFloat(estimate.drift.toFixed(2)),
+    uncertainty_ms: parseFloat(estimate.uncertainty.toFixed(2)),
+    rtt_ms: parseFloat(estimate.delay.toFixed(2)),
+    samples: estimate.samples,
+    quality: estimate.uncertainty <= TIME_SYNC_CONFIG.goodUncertainty ? 'good' :
+      (estimate.uncertainty <= TIME_SYNC_CONFIG.fairUncertainty ? 'fair' : 'poor'),
+    synced_at: new Date(receivedAt).toISOString()
+  };
+}
+
+// 解析设备时间：数字为毫秒（Unix 时间或设备启动后的毫秒数均可，只要与时钟同步回复使用同一时钟），
+// 字符串为 ISO 时间或数字；无效时返回NaN
+function parseDeviceTime(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return isNaN(Number(value)) ? Date.parse(value) : Number(value);
+}
+
+// 按时钟同步估计把设备时间（毫秒）换算为服务器时间（毫秒）
+function applyClockEstimate(estimate, deviceTime) {
+  // 偏差随时间按漂移线性变化，先用当前偏差粗略换算得到对应的服务器时间
+  const approximate = deviceTime - estimate.offset;
+  const offset = estimate.offset + estimate.drift * 1e-6 * (approximate - estimate.time);
+  return deviceTime - offset;
+}
+
+// 按时钟同步结果把设备时间换算为服务器时间（ISO 字符串），尚未同步或时间无效时返回null
+function correctDeviceTimestamp(stream, timestamp) {
+  const estimate = stream.timeSync.estimate;
+  const deviceTime = parseDeviceTime(timestamp);
+  if (!estimate || isNaN(deviceTime)) return null;
+  
+  const corrected = applyClockEstimate(estimate, deviceTime);
+  return Math.abs(corrected) <= 8.64e15 ? new Date(corrected).toISOString() : null;
+}
+
+// 设备时间（毫秒）在服务器时间轴上的位置：已同步时按偏差和漂移换算，尚未同步时直接使用（须为 Unix 时间）；
+// 设备时间无效或结果与收到时间的偏差超出 SAMPLE_TIME_CONFIG 的范围时返回NaN，由调用方改用收到时间
+function toServerSampleTime(stream, deviceTime, receivedAt) {
+  if (isNaN(deviceTime)) return NaN;
+  
+  const estimate = stream.timeSync.estimate;
+  const time = estimate ? applyClockEstimate(estimate, deviceTime) : deviceTime;
+  if (time - receivedAt > SAMPLE_TIME_CONFIG.maxLead * 1000 ||
+      receivedAt - time > SAMPLE_TIME_CONFIG.maxDelay * 1000) {
+    return NaN;
+  }
+  return time;
+}
+
 // 处理心跳
 function handleHeartbeat(ws, data, client) {
   const { device_id } = data;
@@ -563,7 +3299,7 @@ function handleHeartbeat(ws, data, client) {
   if (client) {
     client.lastHeartbeat = Date.now();
     
-    if (device_id && deviceData.has(device_id)) {
+    if (device_id && deviceData.has(device_id) && isDeviceSession(client, device_id)) {
       const deviceInfo = deviceData.get(device_id);
       deviceInfo.status = 'connected'; // 更新状态为连接
       deviceInfo.lastSeen = new Date(); // 更新最后活动时间
@@ -581,7 +3317,7 @@ function handleHeartbeat(ws, data, client) {
 function handleStatusUpdate(ws, data, client) {
   const { device_id, battery, signal_strength, free_heap } = data;
   
-  if (device_id && deviceData.has(device_id)) {
+  if (device_id && deviceData.has(device_id) && requireDeviceSession(ws, client, device_id)) {
     const deviceInfo = deviceData.get(device_id);
     deviceInfo.battery = battery;
     deviceInfo.signal_strength = signal_strength;
@@ -601,39 +3337,206 @@ function handleStatusUpdate(ws, data, client) {
   }
 }
 
-// 处理地震警报
-function handleEarthquakeAlert(data) {
+// 发出地震警报（发起、升级和重新通知时），带设备最新数据
+function handleEarthquakeAlert(alert, renotify = false) {
+  const deviceInfo = deviceData.get(alert.device_id);
+  const data = alert.replay ? alert.replay.data : deviceInfo.history[deviceInfo.history.length - 1];
+  const stream = alert.replay ? alert.replay.stream : deviceStreams.get(alert.device_id);
+  const classification = stream.classification;
+  
+  alert.last_notified_at = Date.now();
+  alert.notify_count++;
+  
   const alertMessage = {
     type: 'earthquake_alert',
-    alert_level: 'warning',
-    device_id: data.device_id,
+    alert_id: alert.alert_id,
+    test: alert.test,
+    alert_state: alert.state,
+    alert_level: alert.level,
+    alert_rule: alert.rule,
+    raised_at: new Date(alert.raised_at).toISOString(),
+    renotify,
+    notify_count: alert.notify_count,
+    device_id: alert.device_id,
+    event_id: alert.event_id,
     magnitude: data.magnitude,
+    vibration_level: data.vibration_level,
     timestamp: data.server_timestamp,
+    trigger_on_time: classification ? new Date(classification.on_time).toISOString() : null,
+    peak_ratio: parseFloat(stream.trigger.peakRatio.toFixed(4)),
+    event_class: data.event_class || null,
+    event_class_confidence: data.event_class_confidence || null,
     location: data.location || '未知位置',
-    message: `检测到地震活动！震级: ${data.magnitude}`
+    message: data.magnitude !== null ?
+      `检测到地震活动！震级: ML ${data.magnitude}，警报级别: ${alert.level}` :
+      `检测到地震活动！振动等级: ${data.vibration_level}，警报级别: ${alert.level}`
   };
   
   logger.warn(`地震警报: ${JSON.stringify(alertMessage)}`);
   
-  // 广播警报到所有连接（包括ESP32）
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(alertMessage));
-    }
+  // 按规则的广播范围发送：all 为所有连接（包括ESP32），dashboards 仅监控面板，
+  // site 为监控面板和同一场点的设备（设备没有场点时只发给该设备）
+  wss.clients.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN) return;
+    
+    const clientInfo = clients.get(client);
+    if (alert.broadcast !== 'all' && !isDashboardClient(clientInfo)) {
+      if (alert.broadcast === 'dashboards' || !clientInfo || !clientInfo.deviceId) return;
+      const clientDevice = deviceData.get(clientInfo.deviceId);
+      const sameSite = deviceInfo.site && clientDevice && clientDevice.site === deviceInfo.site;
+      if (clientInfo.deviceId !== alert.device_id && !sameSite) return;
+    }
+    client.send(JSON.stringify(alertMessage));
+  });
+}
+
+
+// 发送消息到指定设备的连接
+function sendToDevice(deviceId, message) {
+  wss.clients.forEach(client => {
+    const clientInfo = clients.get(client);
+    if (client.readyState === WebSocket.OPEN && clientInfo && clientInfo.deviceId === deviceId) {
+      client.send(JSON.stringify(message));
+    }
+  });
+}
+
+// 是否为监控面板连接；要求 API 密钥时只有带密钥注册的监控连接才是（以 DASHBOARD 为设备ID注册不能绕过）
+function isDashboardClient(clientInfo) {
+  if (!clientInfo) return false;
+  if (API_AUTH_CONFIG.required && !clientInfo.apiKey) return false;
+  return clientInfo.deviceId === 'DASHBOARD' || clientInfo.clientType === 'monitor';
+}
+
+// 广播消息到监控面板
+function broadcastToDashboards(message) {
+  wss.clients.forEach(client => {
+    const clientInfo = clients.get(client);
+    if (client.readyState === WebSocket.OPEN && isDashboardClient(clientInfo)) {
+      client.send(JSON.stringify(message));
+    }
+  });
+}
+
+// 把时序存储、各级别汇总和波形存档的缓冲写入磁盘
+function flushDataStore() {
+  try {
+    dataStore.flush();
+    ROLLUP_TIERS.forEach(tier => rollupStores[tier.name].flush());
+    waveformStore.flush();
+  } catch (error) {
+    logger.error(`写入时序存储失败: ${error.message}`);
+  }
+}
+
+// 删除超过保留期限的时序数据、汇总和波形
+function pruneDataStore() {
+  try {
+    const removed = dataStore.prune() +
+      ROLLUP_TIERS.reduce((sum, tier) => sum + rollupStores[tier.name].prune(), 0) +
+      waveformStore.prune();
+    if (removed > 0) {
+      logger.info(`删除了 ${removed} 个超过保留期限的数据段`);
+    }
+  } catch (error) {
+    logger.error(`清理时序存储失败: ${error.message}`);
+  }
+}
+
+// 保存关闭的汇总时间桶
+function saveRollup(tierName, rollup) {
+  rollupStores[tierName].append(rollup.device_id, Date.parse(rollup.time), rollup);
+}
+
+// 关闭设备已停止发送数据的汇总时间桶和波形块
+function closeIdleRollups() {
+  rollupBuilder.closeIdle(Date.now(), ROLLUP_CONFIG.closeGrace);
+  waveformArchive.closeIdle(Date.now(), WAVEFORM_ARCHIVE_CONFIG.chunkDuration * 1000);
+}
+
+/**
+ * 查询汇总：已保存的时间桶与未关闭的时间桶合并后，返回范围内最新的 limit 个
+ * 已保存的汇总最多读取 maxQueryLimit 条；超出时 truncated 为 true，total_count 按存储中的条数
+ * 加上新的未关闭时间桶计算（同一时间桶的多条汇总各算一条），否则为合并后的准确桶数
+ * @param {string} tierName - 级别名称
+ * @param {object} options - { deviceId, from, to, limit }
+ * @returns {Promise<object>} { records, total_count, truncated }
+ */
+async function queryRollups(tierName, options) {
+  const { records, total_count: savedCount } = await rollupStores[tierName].query({
+    deviceId: options.deviceId,
+    from: options.from,
+    to: options.to,
+    limit: STORAGE_CONFIG.maxQueryLimit
+  });
+  
+  const from = options.from !== undefined ? options.from : -Infinity;
+  const to = options.to !== undefined ? options.to : Infinity;
+  const open = rollupBuilder.openRollups(tierName, options.deviceId).filter(rollup => {
+    const time = Date.parse(rollup.time);
+    return time >= from && time <= to;
   });
+  
+  const merged = mergeRollups(records.concat(open));
+  const truncated = savedCount > records.length;
+  return {
+    records: merged.slice(-options.limit),
+    total_count: truncated ? savedCount + merged.length - mergeRollups(records).length : merged.length,
+    truncated
+  };
 }
 
+/**
+ * 由原始数据重建设备的全部汇总
+ * 对每台设备在同一时刻写入原始数据缓冲、丢弃未关闭的时间桶、删除已保存的汇总并取原始数据块的快照，
+ * 之后到达的数据由增量构建器另行汇总，两部分在读取时合并
+ * @param {Array<string>} deviceIds - 设备ID列表
+ * @returns {Promise<object>} { devices, records, rollups: { 级别 -> 时间桶数 } }
+ */
+async function rebuildRollups(deviceIds) {
+  const result = { devices: deviceIds.length, records: 0, rollups: {} };
+  ROLLUP_TIERS.forEach(tier => { result.rollups[tier.name] = 0; });
+  
+  for (const deviceId of deviceIds) {
+    flushDataStore();
+    rollupBuilder.reset(deviceId);
+    ROLLUP_TIERS.forEach(tier => rollupStores[tier.name].removeDevice(deviceId));
+    
+    const builder = new RollupBuilder((tierName, rollup) => {
+      saveRollup(tierName, rollup);
+      result.rollups[tierName]++;
+    });
+    result.records += await dataStore.scan({ deviceId }, items => {
+      items.forEach(item => builder.add(deviceId, item.time, item.record));
+    });
+    builder.closeAll();
+    flushDataStore();
+  }
+  return result;
+}
 
-// 广播消息到监控面板
-function broadcastToDashboards(message) {
-  wss.clients.forEach(client => {
-    const clientInfo = clients.get(client);
-    if (client.readyState === WebSocket.OPEN && 
-        clientInfo && 
-        (clientInfo.deviceId === 'DASHBOARD' || clientInfo.clientType === 'monitor')) {
-      client.send(JSON.stringify(message));
-    }
-  });
+// 按查询参数 from、to（ISO 时间或毫秒时间戳，按服务器时间）、limit 查询时序存储，
+// 参数无效或读取失败时回复错误并返回null
+async function queryDataStore(req, res, deviceId) {
+  const from = req.query.from !== undefined ? parseTimeParam(req.query.from) : undefined;
+  const to = req.query.to !== undefined ? parseTimeParam(req.query.to) : undefined;
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== undefined && to !== undefined && from > to)) {
+    res.status(400).json({ error: '无效的时间范围' });
+    return null;
+  }
+  
+  try {
+    return await dataStore.query({
+      deviceId,
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit) || 100, STORAGE_CONFIG.maxQueryLimit)
+    });
+  } catch (error) {
+    logger.error(`读取时序存储失败: ${error.message}`);
+    res.status(500).json({ error: '读取历史数据失败' });
+    return null;
+  }
 }
 
 // 生成客户端ID
@@ -644,6 +3547,26 @@ function generateClientId(req) {
   return `client_${ip.replace(/[.:]/g, '_')}_${port}_${timestamp}`;
 }
 
+// 定期关联各台站触发并定位
+setInterval(associateArrivals, 1000);
+
+// 定期广播进行中地震事件的更新并检查其是否结束
+setInterval(checkActiveEvent, 1000);
+
+// 定期向设备发送时钟同步探测
+setInterval(sendTimeSyncProbes, TIME_SYNC_CONFIG.interval * 1000);
+
+// 定期清除结束的警报并重新通知未确认的警报
+setInterval(checkAlerts, 1000);
+
+// 定期关闭空闲的汇总时间桶和波形块、把时序存储的缓冲写入磁盘，并删除超过保留期限的数据
+setInterval(() => {
+  closeIdleRollups();
+  flushDataStore();
+}, STORAGE_CONFIG.flushInterval * 1000);
+setInterval(pruneDataStore, STORAGE_CONFIG.pruneInterval * 1000);
+pruneDataStore();
+
 // 定期心跳检查
 setInterval(() => {
   const now = Date.now();
@@ -677,6 +3600,50 @@ setInterval(() => {
 // Express API 端点
 app.use(express.json());
 
+// 所有 /api 请求至少需要 viewer 角色，修改操作在各端点上要求更高的角色
+app.use('/api', requireRole('viewer'));
+
+// 当前密钥的身份和角色
+app.get('/api/auth/whoami', (req, res) => {
+  res.json({
+    auth_required: API_AUTH_CONFIG.required,
+    ...(req.apiKey || { id: null, name: null, role: 'admin' })
+  });
+});
+
+// API 密钥列表（不含哈希）
+app.get('/api/keys', requireRole('admin'), (req, res) => {
+  res.json({ keys: listApiKeys(apiKeys) });
+});
+
+// 创建 API 密钥，密钥只在响应中返回这一次
+app.post('/api/keys', requireRole('admin'), (req, res) => {
+  let created;
+  try {
+    created = createApiKey(apiKeys, req.body.name, req.body.role);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  saveApiKeysFile();
+  logger.info(`API 密钥已创建: ${created.id} (${req.body.role})，操作者 ${req.apiKey ? req.apiKey.id : '-'}`);
+  res.status(201).json({ ...created, name: req.body.name, role: req.body.role, message: '请妥善保存密钥，服务器只保存其哈希，无法再次查看' });
+});
+
+// 吊销 API 密钥，使用该密钥的监控连接被断开
+app.post('/api/keys/:id/revoke', requireRole('admin'), (req, res) => {
+  try {
+    revokeApiKey(apiKeys, req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  
+  saveApiKeysFile();
+  disconnectInvalidApiSessions();
+  logger.warn(`API 密钥已吊销: ${req.params.id}，操作者 ${req.apiKey ? req.apiKey.id : '-'}`);
+  res.json({ message: 'API 密钥已吊销', id: req.params.id });
+});
+
 // 健康检查端点
 app.get('/health', (req, res) => {
   res.json({
@@ -699,17 +3666,447 @@ app.get('/api/devices', (req, res) => {
 });
 
 // 获取设备数据
-app.get('/api/device/:id/data', (req, res) => {
+app.get('/api/device/:id/data', async (req, res) => {
   const deviceId = req.params.id;
-  const limit = parseInt(req.query.limit) || 100;
+  if (!deviceData.has(deviceId) && !dataStore.hasDevice(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
   
-  if (deviceData.has(deviceId)) {
-    const deviceInfo = deviceData.get(deviceId);
-    const data = deviceInfo.history.slice(-limit);
-    res.json({ device_id: deviceId, data });
-  } else {
-    res.status(404).json({ error: '设备未找到' });
+  const result = await queryDataStore(req, res, deviceId);
+  if (result) {
+    res.json({ device_id: deviceId, data: result.records, total_count: result.total_count });
+  }
+});
+
+// 获取设备的震相拾取结果
+app.get('/api/device/:id/picks', (req, res) => {
+  const deviceId = req.params.id;
+  const limit = parseInt(req.query.limit) || MAX_PICKS;
+  const phase = req.query.phase; // 可选：P 或 S
+  
+  if (phase !== undefined && !(typeof phase === 'string' && ['P', 'S'].includes(phase.toUpperCase()))) {
+    return res.status(400).json({ error: '无效的 phase（可选 P、S）' });
+  }
+  if (!deviceData.has(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
+  
+  const stream = deviceStreams.get(deviceId);
+  let picks = stream ? stream.picks : [];
+  if (phase) {
+    picks = picks.filter(pick => pick.phase === phase.toUpperCase());
+  }
+  
+  res.json({ device_id: deviceId, picks: picks.slice(-limit) });
+});
+
+// 获取地震事件目录（新事件在前），可按状态 ongoing/ended 过滤
+app.get('/api/events', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const state = req.query.state;
+  
+  let events = eventCatalog.slice().reverse();
+  if (state) {
+    events = events.filter(event => event.state === state);
+  }
+  
+  res.json({ events: events.slice(0, limit).map(serializeEvent) });
+});
+
+// 地震事件目录（QuakeML 1.2），过滤参数见 queryEventFeed
+app.get('/api/events.quakeml', (req, res) => {
+  const events = queryEventFeed(req, res);
+  if (events) {
+    res.type('application/xml').send(buildQuakeMl(events, getFeedOptions(req)));
+  }
+});
+
+// 地震事件目录（GeoJSON FeatureCollection，与 USGS 实时数据源格式相同），过滤参数见 queryEventFeed
+app.get('/api/events.geojson', (req, res) => {
+  const events = queryEventFeed(req, res);
+  if (events) {
+    res.type('application/geo+json').send(JSON.stringify(buildGeoJson(events, getFeedOptions(req))));
+  }
+});
+
+// 获取单个地震事件
+app.get('/api/events/:id', (req, res) => {
+  const event = eventCatalog.find(candidate => candidate.event_id === req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: '事件未找到' });
+  }
+  res.json(serializeEvent(event));
+});
+
+// 导出地震事件中全部台站的波形：各台站一个 MiniSEED 文件和事件说明 event.json，打包为 tar.gz
+app.get('/api/events/:id/waveforms.tar.gz', async (req, res) => {
+  const event = eventCatalog.find(candidate => candidate.event_id === req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: '事件未找到' });
+  }
+  
+  try {
+    flushDataStore();
+    const { buffer, manifest } = await exportEventWaveforms(waveformArchive, seedStations, event);
+    const exported = manifest.devices.filter(entry => entry.file !== null).length;
+    logger.info(`导出地震事件 ${event.event_id} 的波形: ${exported}/${manifest.devices.length} 台设备`);
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${event.event_id}.tar.gz"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    logger.error(`导出地震事件 ${event.event_id} 的波形失败: ${error.message}`);
+    res.status(500).json({ error: '导出波形失败' });
+  }
+});
+
+// 获取警报列表（新警报在前），可按状态和设备过滤；active=true 只返回未清除的警报
+app.get('/api/alerts', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const { state, device_id } = req.query;
+  
+  let result = alerts.slice().reverse();
+  if (req.query.active === 'true') {
+    result = result.filter(alert => alert.state !== 'cleared');
+  }
+  if (state) {
+    result = result.filter(alert => alert.state === state);
+  }
+  if (device_id) {
+    result = result.filter(alert => alert.device_id === device_id);
+  }
+  
+  res.json({ alerts: result.slice(0, limit).map(serializeAlert) });
+});
+
+// 操作员确认警报（body: { operator }，自报的操作员名称），确认者记为 API 密钥的名称
+app.post('/api/alerts/:id/ack', requireRole('operator'), (req, res) => {
+  const result = acknowledgeAlert(req.params.id, getAckIdentity(req.apiKey, req.ip),
+    parseClaimedOperator(req.body && req.body.operator));
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(serializeAlert(result.alert));
+});
+
+// 获取当前生效的告警规则
+app.get('/api/alert-rules', (req, res) => {
+  res.json({
+    file: ALERT_RULES_FILE,
+    loaded_at: alertRules.loadedAt,
+    error: alertRules.error,
+    rules: alertRules.rules
+  });
+});
+
+// 立即重新加载告警规则文件（文件修改后也会自动加载）
+app.post('/api/alert-rules/reload', requireRole('admin'), (req, res) => {
+  if (!reloadAlertRules()) {
+    return res.status(400).json({ error: alertRules.error });
+  }
+  res.json({
+    message: '告警规则已重新加载',
+    rule_count: alertRules.rules.length
+  });
+});
+
+// 用时序存储中的最近样本试运行告警规则，不发出警报
+// body: { rules（可选，规则配置，缺省为当前规则）, device_id（可选）, limit（最近的样本数，可选，默认1000） }
+app.post('/api/alert-rules/dry-run', requireRole('operator'), async (req, res) => {
+  const { rules: candidate, device_id, limit } = req.body || {};
+  
+  let rules = alertRules.rules;
+  if (candidate !== undefined) {
+    try {
+      rules = compileAlertRules(candidate);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+  }
+  
+  let samples;
+  try {
+    ({ records: samples } = await dataStore.query({
+      deviceId: device_id,
+      limit: Math.min(parseInt(limit) || 1000, STORAGE_CONFIG.maxQueryLimit)
+    }));
+  } catch (error) {
+    logger.error(`读取时序存储失败: ${error.message}`);
+    return res.status(500).json({ error: '读取历史数据失败' });
+  }
+  
+  const levels = {};
+  const ruleHits = {};
+  const alertSamples = [];
+  samples.forEach(sample => {
+    const result = evaluateAlertRules(rules, getRuleDevice(sample.device_id), sample);
+    levels[result.level] = (levels[result.level] || 0) + 1;
+    if (result.rule) {
+      ruleHits[result.rule] = (ruleHits[result.rule] || 0) + 1;
+    }
+    if (result.notify && ALERT_LEVELS.indexOf(result.level) >= 1) {
+      alertSamples.push({
+        device_id: sample.device_id,
+        timestamp: sample.server_timestamp || sample.timestamp,
+        level: result.level,
+        rule: result.rule,
+        broadcast: result.broadcast,
+        matched: result.matched
+      });
+    }
+  });
+  
+  res.json({
+    rule_count: rules.length,
+    sample_count: samples.length,
+    levels,
+    rule_hits: ruleHits,
+    alert_sample_count: alertSamples.length,
+    alert_samples: alertSamples.slice(-100)
+  });
+});
+
+// 获取各设备保存的触发记录（不含波形），可用其时间范围请求频谱
+app.get('/api/recordings', (req, res) => {
+  const recordings = [];
+  deviceStreams.forEach((stream, deviceId) => {
+    stream.recordings.forEach(recording => {
+      recordings.push({
+        device_id: deviceId,
+        on_time: new Date(recording.on_time).toISOString(),
+        off_time: new Date(recording.off_time).toISOString(),
+        duration: (recording.off_time - recording.on_time) / 1000,
+        event_class: recording.event_class,
+        ground_motion: recording.ground_motion,
+        sample_count: recording.samples.length
+      });
+    });
+  });
+  recordings.sort((a, b) => b.on_time.localeCompare(a.on_time));
+  res.json({ recordings });
+});
+
+// 计算设备在时间范围内的傅里叶幅值谱和5%阻尼拟加速度反应谱
+// 参数：from、to（ISO 时间或毫秒时间戳），periods（逗号分隔的周期，秒）
+app.get('/api/device/:id/spectrum', (req, res) => {
+  const deviceId = req.params.id;
+  if (!deviceData.has(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
+  
+  const to = req.query.to !== undefined ? parseTimeParam(req.query.to) : Date.now();
+  const from = req.query.from !== undefined ? parseTimeParam(req.query.from) :
+    to - SPECTRUM_CONFIG.defaultWindow * 1000;
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: '无效的时间范围' });
+  }
+  if (to - from > SPECTRUM_CONFIG.maxWindow * 1000) {
+    return res.status(400).json({ error: `时间范围不能超过 ${SPECTRUM_CONFIG.maxWindow} 秒` });
+  }
+  
+  let periods = DEFAULT_RESPONSE_PERIODS;
+  if (req.query.periods) {
+    periods = String(req.query.periods).split(',').map(parseFloat);
+    if (periods.some(period => isNaN(period) || period <= 0)) {
+      return res.status(400).json({ error: '无效的周期列表' });
+    }
+  }
+  
+  const samples = getWaveformSamples(deviceId, from, to);
+  if (samples.length < SPECTRUM_CONFIG.minSamples) {
+    return res.status(404).json({ error: '该时间范围内没有足够的波形数据' });
+  }
+  
+  const sampleRate = estimateSampleRate(samples);
+  const round = value => parseFloat(value.toPrecision(6));
+  const fourier = { frequencies: null };
+  const response = { damping: SPECTRUM_CONFIG.damping, periods };
+  
+  for (const axis of ['ax', 'ay', 'az']) {
+    const values = samples.map(sample => sample[axis]);
+    const spectrum = calculateFourierSpectrum(values, sampleRate);
+    fourier.frequencies = spectrum.frequencies.map(round);
+    fourier[axis] = spectrum.amplitudes.map(round);
+    response[axis] = calculateResponseSpectrum(values, sampleRate, periods, SPECTRUM_CONFIG.damping)
+      .map(point => round(point.sa));
+  }
+  
+  res.json({
+    device_id: deviceId,
+    from: new Date(samples[0].time).toISOString(),
+    to: new Date(samples[samples.length - 1].time).toISOString(),
+    sample_rate: round(sampleRate),
+    sample_count: samples.length,
+    fourier,
+    response_spectrum: response
+  });
+});
+
+// 导出设备在时间范围内的原始波形（MiniSEED，每个加速度和角速度通道一组记录）
+// 参数：from、to（ISO 时间或毫秒时间戳，按服务器时间），缺省导出最近 defaultSpan 秒
+app.get('/api/device/:id/waveform.mseed', async (req, res) => {
+  const deviceId = req.params.id;
+  if (!deviceData.has(deviceId) && !waveformStore.hasDevice(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
+  
+  const to = req.query.to !== undefined ? parseTimeParam(req.query.to) : Date.now();
+  const from = req.query.from !== undefined ? parseTimeParam(req.query.from) :
+    to - WAVEFORM_ARCHIVE_CONFIG.defaultSpan * 1000;
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: '无效的时间范围' });
+  }
+  if (to - from > WAVEFORM_ARCHIVE_CONFIG.maxSpan * 1000) {
+    return res.status(400).json({ error: `时间范围不能超过 ${WAVEFORM_ARCHIVE_CONFIG.maxSpan} 秒` });
+  }
+  
+  let mseed;
+  try {
+    flushDataStore();
+    const samples = await waveformArchive.readSamples(deviceId, from, to);
+    mseed = buildDeviceMiniSeed(seedStations, deviceId, samples);
+  } catch (error) {
+    logger.error(`导出设备 ${deviceId} 的波形失败: ${error.message}`);
+    return res.status(500).json({ error: '导出波形失败' });
+  }
+  if (!mseed) {
+    return res.status(404).json({ error: '该时间范围内没有波形数据' });
+  }
+  
+  const fileTime = new Date(from).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  res.set({
+    'Content-Type': 'application/vnd.fdsn.mseed',
+    'Content-Disposition': `attachment; filename="${mseed.network}.${mseed.station}.${mseed.location}.${fileTime}.mseed"`,
+    'X-Sample-Rate': String(mseed.sample_rate),
+    'X-Segment-Count': String(mseed.segments.length)
+  });
+  res.send(mseed.buffer);
+});
+
+// 获取全部设备校准参数
+app.get('/api/calibration', (req, res) => {
+  res.json({ profiles: Object.fromEntries(calibrationProfiles) });
+});
+
+// 获取设备校准参数
+app.get('/api/device/:id/calibration', (req, res) => {
+  const deviceId = req.params.id;
+  if (!deviceData.has(deviceId) && !calibrationProfiles.has(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
+  const stream = deviceStreams.get(deviceId);
+  
+  res.json({
+    device_id: deviceId,
+    profile: calibrationProfiles.get(deviceId) || null,
+    calibrating: Boolean(stream && stream.calibration)
+  });
+});
+
+// 开始校准：设备需静置，记录 duration 秒
+app.post('/api/device/:id/calibrate', requireRole('operator'), (req, res) => {
+  const deviceId = req.params.id;
+  const duration = req.body.duration !== undefined ? req.body.duration : CALIBRATION_CONFIG.defaultDuration;
+  const result = startCalibration(deviceId, duration);
+  
+  if (result.error) {
+    const status = result.error === '设备未找到' ? 404 : 409;
+    return res.status(status).json({ error: result.error });
+  }
+  
+  res.json({ message: '校准已开始', ...result.calibration });
+});
+
+// 手动修改校准参数（可只提供部分轴）
+app.put('/api/device/:id/calibration', requireRole('admin'), (req, res) => {
+  const deviceId = req.params.id;
+  if (!deviceData.has(deviceId) && !calibrationProfiles.has(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
+  const profile = mergeCalibrationProfile(calibrationProfiles.get(deviceId), req.body);
+  
+  if (profile.error) {
+    return res.status(400).json({ error: profile.error });
+  }
+  
+  setCalibrationProfile(deviceId, profile);
+  logger.info(`设备 ${deviceId} 校准参数已手动修改`);
+  res.json({ device_id: deviceId, profile });
+});
+
+// 重置校准参数（恢复使用原始数据）
+app.delete('/api/device/:id/calibration', requireRole('admin'), (req, res) => {
+  const deviceId = req.params.id;
+  
+  if (!calibrationProfiles.has(deviceId)) {
+    return res.status(404).json({ error: '设备没有校准参数' });
+  }
+  
+  setCalibrationProfile(deviceId, null);
+  logger.info(`设备 ${deviceId} 校准参数已重置`);
+  res.json({ message: '校准参数已重置', device_id: deviceId });
+});
+
+// 设备凭据列表（不含密钥哈希）
+app.get('/api/device-credentials', requireRole('admin'), (req, res) => {
+  res.json({
+    auth_required: DEVICE_AUTH_CONFIG.required,
+    devices: listCredentials(deviceCredentials)
+  });
+});
+
+// 为设备分配凭据，密钥只在响应中返回这一次
+app.post('/api/device-credentials', requireRole('admin'), (req, res) => {
+  const deviceId = req.body.device_id;
+  const existing = deviceCredentials.devices[deviceId];
+  if (existing && existing.status === 'active') {
+    return res.status(409).json({ error: `设备 ${deviceId} 已有有效凭据，请使用 rotate 更换密钥` });
+  }
+  
+  let secret;
+  try {
+    secret = provisionDevice(deviceCredentials, deviceId);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  saveDeviceCredentials();
+  logger.info(`设备凭据已分配: ${deviceId}`);
+  res.status(201).json({ device_id: deviceId, secret, message: '请妥善保存密钥，服务器只保存其哈希，无法再次查看' });
+});
+
+// 更换设备密钥，使用旧密钥的连接被断开
+app.post('/api/device-credentials/:id/rotate', requireRole('admin'), (req, res) => {
+  const deviceId = req.params.id;
+  
+  let secret;
+  try {
+    secret = rotateDevice(deviceCredentials, deviceId);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  
+  saveDeviceCredentials();
+  disconnectInvalidDeviceSessions();
+  logger.info(`设备密钥已更换: ${deviceId}`);
+  res.json({ device_id: deviceId, secret, message: '请妥善保存密钥，服务器只保存其哈希，无法再次查看' });
+});
+
+// 吊销设备凭据，设备的连接被断开
+app.post('/api/device-credentials/:id/revoke', requireRole('admin'), (req, res) => {
+  const deviceId = req.params.id;
+  
+  try {
+    revokeDevice(deviceCredentials, deviceId);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
   }
+  
+  saveDeviceCredentials();
+  disconnectInvalidDeviceSessions();
+  logger.warn(`设备凭据已吊销: ${deviceId}`);
+  res.json({ message: '设备凭据已吊销', device_id: deviceId });
 });
 
 // 获取最近数据
@@ -717,45 +4114,103 @@ app.get('/api/recent-data', (req, res) => {
   res.json({ recent_data: recentData });
 });
 
-// 获取缓存的历史数据（用于图表显示）
-app.get('/api/history-data', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const from = req.query.from; // 开始时间戳
-  const to = req.query.to; // 结束时间戳
+// 获取历史数据（用于图表显示），可选 device_id 只看一台设备；
+// resolution（raw、1s、1m、1h）指定汇总级别，maxPoints 按点数上限自动选择级别
+app.get('/api/history-data', async (req, res) => {
+  const { device_id, resolution } = req.query;
   
-  let filteredData = [...dataCache];
+  // 未指定级别时与原来相同，返回原始记录
+  if (resolution === undefined && req.query.maxPoints === undefined) {
+    const result = await queryDataStore(req, res, device_id);
+    if (result) {
+      res.json({
+        resolution: 'raw',
+        history_data: result.records,
+        total_count: result.total_count,
+        returned_count: result.records.length
+      });
+    }
+    return;
+  }
   
-  // 根据时间范围过滤数据
-  if (from) {
-    filteredData = filteredData.filter(item => item.timestamp >= from);
+  if (resolution !== undefined && resolution !== 'raw' && !findTier(resolution)) {
+    return res.status(400).json({ error: `无效的 resolution（可选 raw、${ROLLUP_TIERS.map(tier => tier.name).join('、')}）` });
   }
-  if (to) {
-    filteredData = filteredData.filter(item => item.timestamp <= to);
+  const maxPoints = req.query.maxPoints !== undefined ? parseInt(req.query.maxPoints) : null;
+  if (maxPoints !== null && !(maxPoints > 0)) {
+    return res.status(400).json({ error: 'maxPoints 必须是正整数' });
   }
+  const to = req.query.to !== undefined ? parseTimeParam(req.query.to) : Date.now();
+  const from = req.query.from !== undefined ? parseTimeParam(req.query.from) :
+    to - ROLLUP_CONFIG.defaultSpan * 1000;
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({ error: '无效的时间范围' });
+  }
+  const limit = Math.min(maxPoints || parseInt(req.query.limit) || 100, STORAGE_CONFIG.maxQueryLimit);
   
-  // 限制返回数据量
-  const limitedData = filteredData.slice(-limit);
+  try {
+    let tier = resolution;
+    if (tier === undefined) {
+      const { total_count: rawCount } = await dataStore.query({ deviceId: device_id, from, to, limit: 1 });
+      const deviceCount = device_id !== undefined ? 1 : Math.max(1, dataStore.listDevices().length);
+      tier = chooseRollupTier(to - from, limit, rawCount, deviceCount);
+    }
+    
+    const options = { deviceId: device_id, from, to, limit };
+    const result = tier === 'raw' ? await dataStore.query(options) : await queryRollups(tier, options);
+    res.json({
+      resolution: tier,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      history_data: result.records,
+      total_count: result.total_count,
+      returned_count: result.records.length,
+      truncated: Boolean(result.truncated)
+    });
+  } catch (error) {
+    logger.error(`读取时序存储失败: ${error.message}`);
+    res.status(500).json({ error: '读取历史数据失败' });
+  }
+});
+
+// 由原始数据重建降采样汇总（body 可选 device_id，缺省为全部设备）
+app.post('/api/rollups/rebuild', requireRole('admin'), async (req, res) => {
+  if (rollupRebuild) {
+    return res.status(409).json({ error: '汇总正在重建' });
+  }
+  const deviceId = req.body && req.body.device_id;
+  if (deviceId !== undefined && !dataStore.hasDevice(deviceId)) {
+    return res.status(404).json({ error: '设备未找到' });
+  }
   
-  res.json({ 
-    history_data: limitedData,
-    total_count: filteredData.length,
-    returned_count: limitedData.length
-  });
+  const startedAt = Date.now();
+  rollupRebuild = rebuildRollups(deviceId !== undefined ? [deviceId] : dataStore.listDevices());
+  try {
+    const result = await rollupRebuild;
+    logger.info(`重建了 ${result.devices} 台设备的汇总（${result.records} 条原始记录），用时 ${Date.now() - startedAt} 毫秒`);
+    res.json({ message: '汇总已重建', ...result, duration_ms: Date.now() - startedAt });
+  } catch (error) {
+    logger.error(`重建汇总失败: ${error.message}`);
+    res.status(500).json({ error: '重建汇总失败' });
+  } finally {
+    rollupRebuild = null;
+  }
 });
 
-// 清除数据缓存
-app.post('/api/clear-cache', (req, res) => {
-  const backupPath = path.join(CACHE_DIR, `sensor-data-cache-backup-${Date.now()}.json`);
+// 清除数据缓存（时序存储、各级别汇总和波形存档的目录整体改名备份）
+app.post('/api/clear-cache', requireRole('admin'), (req, res) => {
+  if (rollupRebuild) {
+    return res.status(409).json({ error: '汇总正在重建，请稍后再清除' });
+  }
+  const backupPath = path.join(CACHE_DIR, `timeseries-backup-${Date.now()}`);
   
   try {
-    // 备份当前缓存
-    fs.writeFileSync(backupPath, JSON.stringify(dataCache, null, 2));
-    // 清空内存中的缓存
-    dataCache = [];
-    // 删除缓存文件
-    if (fs.existsSync(DATA_CACHE_FILE)) {
-      fs.unlinkSync(DATA_CACHE_FILE);
-    }
+    fs.mkdirSync(backupPath, { recursive: true });
+    dataStore.clear(path.join(backupPath, 'raw'));
+    rollupBuilder.reset();
+    ROLLUP_TIERS.forEach(tier => rollupStores[tier.name].clear(path.join(backupPath, `rollup-${tier.name}`)));
+    waveformArchive.reset();
+    waveformStore.clear(path.join(backupPath, 'waveforms'));
     
     logger.info(`数据缓存已清除，备份到: ${backupPath}`);
     
@@ -769,28 +4224,89 @@ app.post('/api/clear-cache', (req, res) => {
   }
 });
 
-// 手动触发地震测试
-app.post('/api/test/earthquake', (req, res) => {
-  const { magnitude = 4.5, device_id = 'test_device' } = req.body;
+// 合成测试地震的波形（设备声明的单位），返回各轴样本数组：背景噪声中间插入一段两端渐变、
+// 频率 0.8-5.7 Hz 的水平震动，竖直轴保持1g重力
+function synthesizeTestEarthquake(units, magnitude, quiet) {
+  const config = TEST_EARTHQUAKE_CONFIG;
+  const count = Math.round((quiet + config.shaking + config.after) * config.sampleRate);
   
-  const testData = {
-    type: 'sensor_data',
-    device_id,
-    timestamp: new Date().toISOString(),
-    ax: magnitude * 0.1,
-    ay: magnitude * 0.2,
-    az: magnitude * 0.3,
-    gx: 0,
-    gy: 0,
-    gz: 0
+  // 按设备单位表示：加速度的换算是线性的，用单位读数的换算结果求比例；原始计数取整
+  const scale = convertSensorSample({ ax: 1, ay: 0, az: 0, gx: 0, gy: 0, gz: 0 }, units).values.ax;
+  const fullScale = units.accel_range !== null ? units.accel_range * GRAVITY : Infinity;
+  const toDevice = value => {
+    const reading = value / scale;
+    return units.accel_unit === 'raw' ? Math.round(reading) : reading;
   };
+  const peak = Math.min(magnitude * config.amplitudePerMagnitude, fullScale * 0.9);
+  const frequencies = Array.from({ length: 15 }, (_, k) => [0.8 + k * 0.35, k * 1.7]);
   
-  handleSensorData(null, testData, { id: 'test_api' });
+  const samples = { ax: [], ay: [], az: [], gx: [], gy: [], gz: [] };
+  for (let i = 0; i < count; i++) {
+    const t = i / config.sampleRate - quiet;
+    let shaking = 0;
+    if (t >= 0 && t < config.shaking) {
+      const envelope = Math.min(1, t / 0.5, (config.shaking - t) / 2);
+      shaking = envelope * frequencies.reduce((sum, [f, phase]) => sum + Math.sin(2 * Math.PI * f * t + phase), 0) / 4;
+    }
+    const noise = () => (Math.random() - 0.5) * config.noise;
+    samples.ax.push(toDevice(peak * shaking + noise()));
+    samples.ay.push(toDevice(peak * 0.6 * shaking + noise()));
+    samples.az.push(toDevice(GRAVITY + noise()));
+    ['gx', 'gy', 'gz'].forEach(axis => samples[axis].push(0));
+  }
+  return samples;
+}
+
+// 手动触发地震测试：在独立的测试流上为已注册的设备回放合成的地震波形（最近一段时间），报告实际的触发、
+// 分类和警报结果。回放的数据、触发和警报带 test 标记，不写入存储，不参与关联定位、地震事件和预警
+app.post('/api/test/earthquake', requireRole('operator'), (req, res) => {
+  const { device_id = 'test_device' } = req.body;
+  const magnitude = req.body.magnitude !== undefined ? parseFloat(req.body.magnitude) : 4.5;
+  if (!(magnitude > 0) || !isFinite(magnitude)) {
+    return res.status(400).json({ error: '震级必须是正数' });
+  }
+  
+  const deviceInfo = deviceData.get(device_id);
+  if (!deviceInfo) {
+    return res.status(404).json({ error: `设备未注册: ${device_id}` });
+  }
   
+  const config = TEST_EARTHQUAKE_CONFIG;
+  const quiet = STA_LTA_CONFIG.ltaWindow + config.quietMargin;
+  const duration = (quiet + config.shaking + config.after) * 1000;
+  const stream = createDeviceStream(true);
+  const now = Date.now();
+  const start = now - duration;
+  
+  // 按批量数据分批回放（测试流没有时钟同步，时间即服务器时间）
+  const samples = synthesizeTestEarthquake(deviceInfo.units, magnitude, quiet);
+  const interval = 1000 / config.sampleRate;
+  for (let offset = 0; offset < samples.ax.length; offset += SENSOR_BATCH_CONFIG.maxSamples) {
+    const batch = { type: 'sensor_batch', device_id, timestamp: start + offset * interval, sample_rate: config.sampleRate };
+    Object.keys(samples).forEach(axis => {
+      batch[axis] = samples[axis].slice(offset, offset + SENSOR_BATCH_CONFIG.maxSamples);
+    });
+    handleSensorBatch(null, batch, internalClient, stream);
+  }
+  
+  // 报告回放期间实际发生的结果
+  const triggers = stream.recordings.map(recording => ({
+      on_time: new Date(recording.on_time).toISOString(),
+      off_time: new Date(recording.off_time).toISOString(),
+      event_class: recording.event_class
+    }));
+  const alert = getActiveAlert(device_id, true);
+  
+  logger.info(`测试地震回放: ${device_id}, 触发 ${triggers.length} 次` + (alert ? `, 警报: ${alert.alert_id}` : ''));
   res.json({
-    message: '地震测试已触发',
+    message: triggers.length > 0 ? '测试波形已回放并触发' : '测试波形已回放，未触发',
+    test: true,
+    device_id,
     magnitude,
-    timestamp: testData.timestamp
+    from: new Date(start).toISOString(),
+    to: new Date(now).toISOString(),
+    triggers,
+    alert: alert && alert.replay && alert.replay.stream === stream ? serializeAlert(alert) : null
   });
 });
 
@@ -806,6 +4322,9 @@ server.listen(PORT, () => {
 // 优雅关闭
 process.on('SIGINT', () => {
   logger.info('正在关闭服务器...');
+  rollupBuilder.closeAll();
+  waveformArchive.closeAll();
+  flushDataStore();
   
   // 通知所有客户端
   wss.clients.forEach(client => {
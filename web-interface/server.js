@@ -16,6 +16,75 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// 主服务器 HTTP 地址，/api 请求原样转发（如频谱分析），浏览器的 X-API-Key 头一并转发
+const BACKEND_HTTP_URL = 'http://localhost:8080';
+
+// 本服务器连接主服务器使用的 API 密钥（viewer 及以上角色）
+const EARTHQUAKE_API_KEY = process.env.EARTHQUAKE_API_KEY || null;
+if (!EARTHQUAKE_API_KEY) {
+  console.warn('未设置 EARTHQUAKE_API_KEY，主服务器开启 API 认证时将无法注册为监控客户端');
+}
+
+// 向主服务器校验浏览器提供的 API 密钥，回调 (error, identity)
+function verifyApiKey(apiKey, callback) {
+  const target = new URL('/api/auth/whoami', BACKEND_HTTP_URL);
+  const verifyReq = http.request(target, {
+    headers: apiKey ? { 'X-API-Key': apiKey } : {}
+  }, (verifyRes) => {
+    let body = '';
+    verifyRes.on('data', chunk => { body += chunk; });
+    verifyRes.on('end', () => {
+      let result = {};
+      try {
+        result = JSON.parse(body);
+      } catch (error) {
+        // 非 JSON 响应按校验失败处理
+      }
+      if (verifyRes.statusCode !== 200) {
+        return callback(new Error(result.code || 'INVALID_API_KEY'));
+      }
+      callback(null, result);
+    });
+  });
+  
+  verifyReq.on('error', (error) => {
+    console.error('校验API密钥失败:', error.message);
+    callback(new Error('BACKEND_UNAVAILABLE'));
+  });
+  verifyReq.end();
+}
+
+// 浏览器的 Socket.IO 连接须在 auth.apiKey 中提供有效的 API 密钥
+io.use((socket, next) => {
+  const apiKey = socket.handshake.auth && socket.handshake.auth.apiKey;
+  verifyApiKey(apiKey, (error, identity) => {
+    if (error) {
+      console.warn(`拒绝前端界面连接 ${socket.id} 来自 ${socket.handshake.address}: ${error.message}`);
+      return next(error);
+    }
+    socket.data.apiKey = identity;
+    next();
+  });
+});
+
+app.use('/api', (req, res) => {
+  const target = new URL(req.originalUrl, BACKEND_HTTP_URL);
+  const proxyReq = http.request(target, {
+    method: req.method,
+    headers: { ...req.headers, host: target.host }
+  }, (proxyRes) => {
+    res.writeHead(proxyRes.statusCode, proxyRes.headers);
+    proxyRes.pipe(res);
+  });
+  
+  proxyReq.on('error', (error) => {
+    console.error('转发API请求失败:', error.message);
+    res.status(502).json({ error: '无法连接主服务器' });
+  });
+  
+  req.pipe(proxyReq);
+});
+
 // 连接到主地震检测服务器
 let earthquakeWs = null;
 let isConnectedToMainServer = false;
@@ -31,6 +100,17 @@ const deviceData = new Map();
 const lastSendTime = {};
 const SEND_INTERVAL = 500; // 500ms最小发送间隔
 
+// 注册为监控客户端（主服务器随即发送当前所有数据）
+function registerAsMonitor() {
+  if (earthquakeWs && earthquakeWs.readyState === WebSocket.OPEN) {
+    earthquakeWs.send(JSON.stringify({
+      type: 'client_register',
+      client_type: 'monitor',
+      api_key: EARTHQUAKE_API_KEY
+    }));
+  }
+}
+
 function connectToMainServer() {
   console.log('正在连接到主地震检测服务器...');
   
@@ -49,16 +129,19 @@ function connectToMainServer() {
     isConnectedToMainServer = true;
     
     // 注册为监控客户端
-    earthquakeWs.send(JSON.stringify({
-      type: 'client_register',
-      client_type: 'monitor'
-    }));
+    registerAsMonitor();
   });
   
   earthquakeWs.on('message', (data) => {
     try {
       const message = JSON.parse(data);
       
+      // 主服务器拒绝注册（密钥缺失、无效或被吊销）时不转发给浏览器
+      if (message.type === 'error' && message.code && message.action) {
+        console.error(`主服务器拒绝请求 ${message.action}: ${message.code} ${message.message}`);
+        return;
+      }
+      
       // 添加调试日志，查看接收的消息内容
       if (message.type === 'sensor_data') {
         console.log('前端界面服务器接收到传感器数据:', {
@@ -165,13 +248,15 @@ function connectToMainServer() {
             calculateIntensity, 
             calculateJmaSeismicIntensity, 
             classifyEarthquake, 
-            assessAlertLevel 
+            assessAlertLevel,
+            GRAVITY
           } = require('../earthquake-algorithm'); // 从项目根目录导入算法库
           
-          // 计算地震参数
+          // 计算地震参数（原始数据按 g 处理，计测震度需要 m/s²）
           const magnitude = calculateMagnitude(message.ax, message.ay, message.az);
           const intensity = calculateIntensity(message.ax, message.ay, message.az, 10);
-          const jmaResult = calculateJmaSeismicIntensity(message.ax, message.ay, message.az);
+          const jmaResult = calculateJmaSeismicIntensity(
+            message.ax * GRAVITY, message.ay * GRAVITY, message.az * GRAVITY);
           const jmaIntensity = jmaResult.intensity;
           const pga = jmaResult.pga_raw;
           const earthquakeType = classifyEarthquake(magnitude);
@@ -245,18 +330,14 @@ connectionCheckInterval = setInterval(() => {
 
 // 每30秒向主服务器请求最新数据，确保数据同步
 setInterval(() => {
-  if (earthquakeWs && earthquakeWs.readyState === WebSocket.OPEN) {
-    // 重新注册为监控客户端以获取最新数据
-    earthquakeWs.send(JSON.stringify({
-      type: 'client_register',
-      client_type: 'monitor'
-    }));
-  }
+  // 重新注册为监控客户端以获取最新数据
+  registerAsMonitor();
 }, 30000); // 每30秒同步一次
 
 // Socket.io连接
 io.on('connection', (socket) => {
-  console.log('前端界面客户端连接:', socket.id);
+  const identity = socket.data.apiKey || {};
+  console.log('前端界面客户端连接:', socket.id, identity.name ? `(${identity.name}/${identity.role})` : '');
   
   // 连接时立即发送连接状态
   socket.emit('connection_status', {
@@ -267,12 +348,7 @@ io.on('connection', (socket) => {
   });
   
   // 连接时立即请求最新数据
-  if (earthquakeWs && earthquakeWs.readyState === WebSocket.OPEN) {
-    earthquakeWs.send(JSON.stringify({
-      type: 'client_register',
-      client_type: 'monitor'
-    }));
-  }
+  registerAsMonitor();
   
   // 发送所有设备的图表数据给新连接的客户端
   for (const deviceId in deviceChartData) {
@@ -290,12 +366,7 @@ io.on('connection', (socket) => {
   
   socket.on('request_latest_data', () => {
     // 当客户端请求最新数据时，重新发送注册消息以获取最新数据
-    if (earthquakeWs && earthquakeWs.readyState === WebSocket.OPEN) {
-      earthquakeWs.send(JSON.stringify({
-        type: 'client_register',
-        client_type: 'monitor'
-      }));
-    }
+    registerAsMonitor();
   });
   
   socket.on('disconnect', () => {